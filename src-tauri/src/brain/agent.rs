@@ -0,0 +1,241 @@
+//! The local agent process that answers queries.
+//!
+//! Every query starts the configured agent, writes one JSON request line to its
+//! stdin and reads JSON lines from its stdout until it exits:
+//!
+//! ```text
+//! → {"query_id", "session_id", "input", "audio_path", "mime_type", "history": [{"role", "content"}]}
+//! ← {"type": "progress", "step": "TASK_EXECUTION", "message", "current_step", "total_steps"}
+//! ← {"type": "chunk", "text"}
+//! ← {"type": "result", "response_type": "SIMPLE", "message"?, "route_taken"?, "steps_completed"?, "transcript"?}
+//! ← {"type": "error", "error_code", "message", "details"?, "recoverable"?}
+//! ```
+//!
+//! Lines that are not valid messages are logged and skipped, and stderr is
+//! passed through so agent logs end up in the app's console. Cancelling a
+//! query kills its process.
+
+use std::io::{BufRead, BufReader, Lines, Write};
+use std::path::{Path, PathBuf};
+use std::process::{Child, ChildStdout, Command, ExitStatus, Stdio};
+use std::sync::{Arc, Mutex};
+use std::time::Duration;
+
+use serde::{Deserialize, Serialize};
+
+use super::types::{ErrorResponse, ProgressType, ResponseType};
+
+/// Environment variable naming the agent executable; overrides the config file.
+const AGENT_ENV: &str = "JUNA_BRAIN_AGENT";
+/// Config file looked up in the app config directory.
+const CONFIG_FILE: &str = "brain-agent.json";
+const EXIT_POLL_INTERVAL: Duration = Duration::from_millis(20);
+
+#[derive(Debug, Clone, Deserialize)]
+pub struct AgentConfig {
+    pub command: String,
+    #[serde(default)]
+    pub args: Vec<String>,
+    #[serde(default)]
+    pub working_dir: Option<PathBuf>,
+}
+
+impl AgentConfig {
+    /// Resolve the agent from `JUNA_BRAIN_AGENT` or `<config_dir>/brain-agent.json`.
+    pub fn resolve(config_dir: Option<&Path>) -> Result<Self, ErrorResponse> {
+        if let Ok(command) = std::env::var(AGENT_ENV) {
+            if !command.trim().is_empty() {
+                return Ok(Self {
+                    command,
+                    args: Vec::new(),
+                    working_dir: None,
+                });
+            }
+        }
+
+        let path = config_dir.map(|dir| dir.join(CONFIG_FILE));
+        let Some(path) = path.filter(|path| path.exists()) else {
+            return Err(
+                ErrorResponse::new("AGENT_NOT_CONFIGURED", "No Brain agent is configured")
+                    .with_details(format!(
+                        "Set {AGENT_ENV} or create {CONFIG_FILE} in the app config folder"
+                    )),
+            );
+        };
+
+        let contents = std::fs::read_to_string(&path).map_err(|e| {
+            ErrorResponse::new("AGENT_CONFIG_INVALID", "Could not read the agent config")
+                .with_details(format!("{}: {e}", path.display()))
+        })?;
+        serde_json::from_str(&contents).map_err(|e| {
+            ErrorResponse::new("AGENT_CONFIG_INVALID", "The agent config is not valid")
+                .with_details(format!("{}: {e}", path.display()))
+        })
+    }
+}
+
+#[derive(Debug, Clone, Serialize)]
+pub struct HistoryTurn {
+    pub role: String,
+    pub content: String,
+    /// Query that produced the turn, so the frontend can edit the history.
+    #[serde(skip)]
+    pub query_id: String,
+}
+
+#[derive(Debug, Serialize)]
+pub struct AgentRequest<'a> {
+    pub query_id: &'a str,
+    pub session_id: &'a str,
+    pub input: &'a str,
+    pub audio_path: Option<&'a Path>,
+    pub mime_type: Option<&'a str>,
+    pub history: &'a [HistoryTurn],
+}
+
+#[derive(Debug, Deserialize)]
+#[serde(tag = "type", rename_all = "snake_case")]
+pub enum AgentMessage {
+    Progress {
+        step: ProgressType,
+        message: String,
+        current_step: u32,
+        #[serde(default)]
+        total_steps: Option<u32>,
+    },
+    Chunk {
+        text: String,
+    },
+    Result {
+        response_type: ResponseType,
+        #[serde(default)]
+        message: Option<String>,
+        #[serde(default)]
+        route_taken: Option<String>,
+        #[serde(default)]
+        steps_completed: u32,
+        /// What the agent heard, for audio queries.
+        #[serde(default)]
+        transcript: Option<String>,
+    },
+    Error {
+        error_code: String,
+        message: String,
+        #[serde(default)]
+        details: Option<String>,
+        #[serde(default)]
+        recoverable: bool,
+    },
+}
+
+/// Kills a running agent from another thread.
+#[derive(Clone)]
+pub struct AgentKiller(Arc<Mutex<Child>>);
+
+impl AgentKiller {
+    pub fn kill(&self) -> Result<(), String> {
+        let mut child = self.0.lock().map_err(|_| "Agent lock poisoned")?;
+        match child.try_wait() {
+            Ok(Some(_)) => Ok(()),
+            _ => child
+                .kill()
+                .map_err(|e| format!("Failed to stop agent: {e}")),
+        }
+    }
+}
+
+/// One agent process answering one query.
+pub struct AgentRun {
+    child: Arc<Mutex<Child>>,
+    lines: Lines<BufReader<ChildStdout>>,
+}
+
+impl AgentRun {
+    pub fn start(config: &AgentConfig, request: &AgentRequest) -> Result<Self, ErrorResponse> {
+        let line = serde_json::to_string(request).map_err(|e| {
+            ErrorResponse::new("AGENT_PROTOCOL_ERROR", "Could not encode the query")
+                .with_details(e.to_string())
+        })?;
+
+        let mut command = Command::new(&config.command);
+        command
+            .args(&config.args)
+            .stdin(Stdio::piped())
+            .stdout(Stdio::piped())
+            .stderr(Stdio::inherit());
+        if let Some(dir) = &config.working_dir {
+            command.current_dir(dir);
+        }
+
+        let mut child = command.spawn().map_err(|e| {
+            ErrorResponse::new("AGENT_UNAVAILABLE", "Could not start the Brain agent")
+                .with_details(format!("{}: {e}", config.command))
+        })?;
+
+        // Dropping stdin after the request tells the agent no more input follows
+        if let Some(mut stdin) = child.stdin.take() {
+            if let Err(e) = writeln!(stdin, "{line}") {
+                let _ = child.kill();
+                return Err(ErrorResponse::new(
+                    "AGENT_PROTOCOL_ERROR",
+                    "Could not send the query to the Brain agent",
+                )
+                .with_details(e.to_string())
+                .recoverable());
+            }
+        }
+
+        let stdout = child.stdout.take().ok_or_else(|| {
+            ErrorResponse::new("AGENT_PROTOCOL_ERROR", "Brain agent has no output")
+        })?;
+
+        Ok(Self {
+            child: Arc::new(Mutex::new(child)),
+            lines: BufReader::new(stdout).lines(),
+        })
+    }
+
+    pub fn killer(&self) -> AgentKiller {
+        AgentKiller(self.child.clone())
+    }
+
+    /// Next message from the agent, or `None` once its output is closed.
+    pub fn next_message(&mut self) -> Option<AgentMessage> {
+        for line in self.lines.by_ref() {
+            let line = match line {
+                Ok(line) => line,
+                Err(e) => {
+                    eprintln!("Failed to read Brain agent output: {e}");
+                    return None;
+                }
+            };
+            if line.trim().is_empty() {
+                continue;
+            }
+
+            match serde_json::from_str(&line) {
+                Ok(message) => return Some(message),
+                Err(e) => eprintln!("Ignoring invalid Brain agent message ({e}): {line}"),
+            }
+        }
+        None
+    }
+
+    /// Wait for the process to exit.
+    ///
+    /// Polls instead of blocking in `wait()` so the lock stays free for [`AgentKiller`].
+    pub fn wait(self) -> Result<ExitStatus, String> {
+        loop {
+            let status = {
+                let mut child = self.child.lock().map_err(|_| "Agent lock poisoned")?;
+                child
+                    .try_wait()
+                    .map_err(|e| format!("Failed to wait for agent: {e}"))?
+            };
+            if let Some(status) = status {
+                return Ok(status);
+            }
+            std::thread::sleep(EXIT_POLL_INTERVAL);
+        }
+    }
+}
@@ -0,0 +1,818 @@
+//! The Brain: conversation sessions and the IPC commands the frontend calls.
+//!
+//! Every command takes an optional `session_id`; without one it works on the
+//! default session. Conversations are stored by the frontend and outlive this
+//! process, so an unknown session id simply starts a new, empty session.
+//!
+//! Queries are answered by a local agent process (see [`agent`]). While it
+//! works, the Brain forwards its output as events:
+//! - `progress_update` for each step the agent reports
+//! - `response_chunk` / `response_end` for streamed answers
+//! - `session_event` when the session changes
+//! - `brain_error` for failures that no query response can carry
+
+mod agent;
+pub mod types;
+
+use std::collections::HashMap;
+use std::path::PathBuf;
+use std::sync::atomic::{AtomicBool, AtomicU64, Ordering};
+use std::sync::{Arc, Mutex, MutexGuard};
+use std::time::Instant;
+
+use serde::Serialize;
+use tauri::{AppHandle, Emitter, Manager, State};
+
+use agent::{AgentConfig, AgentKiller, AgentMessage, AgentRequest, AgentRun, HistoryTurn};
+use types::{
+    now_ms, ErrorResponse, ProgressUpdate, QueryResponse, ResponseChunk, ResponseEnd,
+    ResponseMetadata, ResponseType, SessionEvent, SessionStatus,
+};
+
+/// Same limits the frontend enforces before sending.
+const MAX_INPUT_CHARS: usize = 10_000;
+const MAX_AUDIO_BYTES: usize = 25 * 1024 * 1024;
+/// Most recent turns passed to the agent as conversation context.
+const MAX_HISTORY_TURNS: usize = 40;
+
+static SESSION_COUNTER: AtomicU64 = AtomicU64::new(0);
+
+struct Session {
+    id: String,
+    /// Changes on every reset, so answers to queries from before a reset are dropped.
+    epoch: u64,
+    created_at: u64,
+    history: Vec<HistoryTurn>,
+    current_task: Option<String>,
+}
+
+impl Session {
+    fn new() -> Self {
+        let created_at = now_ms();
+        let counter = SESSION_COUNTER.load(Ordering::Relaxed);
+        Self::with_id(format!("session-{created_at:x}-{counter}"))
+    }
+
+    fn with_id(id: String) -> Self {
+        Self {
+            id,
+            epoch: SESSION_COUNTER.fetch_add(1, Ordering::Relaxed),
+            created_at: now_ms(),
+            history: Vec::new(),
+            current_task: None,
+        }
+    }
+
+    fn status(&self) -> SessionStatus {
+        SessionStatus {
+            session_id: self.id.clone(),
+            created_at: self.created_at,
+            message_count: self.history.len() as u32,
+            current_task: self.current_task.clone(),
+            memory_size: self
+                .history
+                .iter()
+                .map(|turn| turn.content.len() as u64)
+                .sum(),
+            is_active: true,
+        }
+    }
+}
+
+/// Cancellation handle for a query in flight.
+#[derive(Clone, Default)]
+struct RunningQuery {
+    session_id: String,
+    cancelled: Arc<AtomicBool>,
+    /// Filled in once the agent process has started.
+    killer: Arc<Mutex<Option<AgentKiller>>>,
+}
+
+impl RunningQuery {
+    fn is_cancelled(&self) -> bool {
+        self.cancelled.load(Ordering::SeqCst)
+    }
+
+    fn cancel(&self) -> Result<(), String> {
+        self.cancelled.store(true, Ordering::SeqCst);
+        let killer = self.killer.lock().map_err(|_| "Query lock poisoned")?;
+        match killer.as_ref() {
+            Some(killer) => killer.kill(),
+            None => Ok(()),
+        }
+    }
+
+    fn attach(&self, killer: AgentKiller) {
+        if let Ok(mut slot) = self.killer.lock() {
+            *slot = Some(killer.clone());
+        }
+        // cancel_query may have run before the process existed
+        if self.is_cancelled() {
+            let _ = killer.kill();
+        }
+    }
+}
+
+/// Snapshot of the session a query runs in.
+struct QueryContext {
+    session_id: String,
+    epoch: u64,
+    history: Vec<HistoryTurn>,
+    running: RunningQuery,
+}
+
+pub struct BrainState {
+    sessions: Mutex<HashMap<String, Session>>,
+    default_session: String,
+    running: Mutex<HashMap<String, RunningQuery>>,
+}
+
+impl Default for BrainState {
+    fn default() -> Self {
+        let session = Session::new();
+        let default_session = session.id.clone();
+        Self {
+            sessions: Mutex::new(HashMap::from([(session.id.clone(), session)])),
+            default_session,
+            running: Mutex::new(HashMap::new()),
+        }
+    }
+}
+
+impl BrainState {
+    /// The session a command works on.
+    fn session_id(&self, session_id: Option<String>) -> Result<String, ErrorResponse> {
+        match session_id {
+            Some(id) => {
+                validate_id("session id", &id)?;
+                Ok(id)
+            }
+            None => Ok(self.default_session.clone()),
+        }
+    }
+
+    /// Register a query and snapshot the session it runs in.
+    fn begin_query(&self, query_id: &str, session_id: &str) -> Result<QueryContext, ErrorResponse> {
+        let mut running = lock(&self.running)?;
+        if running.contains_key(query_id) {
+            return Err(ErrorResponse::new(
+                "DUPLICATE_QUERY",
+                format!("Query {query_id} is already running"),
+            ));
+        }
+
+        let mut sessions = lock(&self.sessions)?;
+        let session = sessions
+            .entry(session_id.to_string())
+            .or_insert_with(|| Session::with_id(session_id.to_string()));
+        session.current_task = Some(query_id.to_string());
+        let start = session.history.len().saturating_sub(MAX_HISTORY_TURNS);
+
+        let query = RunningQuery {
+            session_id: session_id.to_string(),
+            ..RunningQuery::default()
+        };
+        running.insert(query_id.to_string(), query.clone());
+        Ok(QueryContext {
+            session_id: session_id.to_string(),
+            epoch: session.epoch,
+            history: session.history[start..].to_vec(),
+            running: query,
+        })
+    }
+
+    fn finish_query(&self, query_id: &str, session_id: &str) {
+        if let Ok(mut running) = self.running.lock() {
+            running.remove(query_id);
+        }
+        if let Ok(mut sessions) = self.sessions.lock() {
+            if let Some(session) = sessions.get_mut(session_id) {
+                if session.current_task.as_deref() == Some(query_id) {
+                    session.current_task = None;
+                }
+            }
+        }
+    }
+
+    /// Cancel every query running in a session.
+    fn cancel_session_queries(
+        &self,
+        app: &AppHandle,
+        session_id: &str,
+    ) -> Result<(), ErrorResponse> {
+        let queries: Vec<RunningQuery> = lock(&self.running)?
+            .values()
+            .filter(|query| query.session_id == session_id)
+            .cloned()
+            .collect();
+        for query in queries {
+            if let Err(e) = query.cancel() {
+                emit(
+                    app,
+                    "brain_error",
+                    ErrorResponse::new("CANCEL_FAILED", "A running query could not be stopped")
+                        .with_details(e),
+                );
+            }
+        }
+        Ok(())
+    }
+
+    /// Append an answered exchange, unless the session was reset or deleted meanwhile.
+    fn record_exchange(
+        &self,
+        session_id: &str,
+        epoch: u64,
+        query_id: &str,
+        user: String,
+        assistant: String,
+    ) {
+        let Ok(mut sessions) = self.sessions.lock() else {
+            return;
+        };
+        let Some(session) = sessions.get_mut(session_id) else {
+            return;
+        };
+        if session.epoch != epoch {
+            return;
+        }
+        session.history.push(HistoryTurn {
+            role: "user".to_string(),
+            content: user,
+            query_id: query_id.to_string(),
+        });
+        session.history.push(HistoryTurn {
+            role: "assistant".to_string(),
+            content: assistant,
+            query_id: query_id.to_string(),
+        });
+    }
+
+    /// Drop the turns recorded for a query. Unknown ids are ignored: failed
+    /// queries and those from before a restart have no turns.
+    fn edit_history(
+        &self,
+        session_id: &str,
+        query_id: &str,
+        edit: HistoryEdit,
+    ) -> Result<SessionStatus, ErrorResponse> {
+        let mut sessions = lock(&self.sessions)?;
+        let Some(session) = sessions.get_mut(session_id) else {
+            return Ok(Session::with_id(session_id.to_string()).status());
+        };
+
+        if let Some(start) = session
+            .history
+            .iter()
+            .position(|turn| turn.query_id == query_id)
+        {
+            match edit {
+                HistoryEdit::Truncate => session.history.truncate(start),
+                HistoryEdit::RemoveExchange => {
+                    session.history.retain(|turn| turn.query_id != query_id)
+                }
+                HistoryEdit::RemoveAnswer => session
+                    .history
+                    .retain(|turn| turn.query_id != query_id || turn.role != "assistant"),
+            }
+        }
+        Ok(session.status())
+    }
+}
+
+/// How [`BrainState::edit_history`] changes a session.
+enum HistoryEdit {
+    /// Forget the exchange and everything after it.
+    Truncate,
+    /// Forget the question and the answer.
+    RemoveExchange,
+    /// Forget only the answer.
+    RemoveAnswer,
+}
+
+/// A validated query waiting to be handed to the agent.
+struct PendingQuery {
+    query_id: String,
+    session_id: String,
+    input: String,
+    audio: Option<(PathBuf, String)>,
+}
+
+enum AgentOutcome {
+    Answered {
+        response_type: ResponseType,
+        message: String,
+        route_taken: String,
+        steps_completed: u32,
+        transcript: Option<String>,
+        streamed: bool,
+    },
+    Failed(ErrorResponse),
+    Cancelled,
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+#[tauri::command]
+pub async fn process_query(
+    app: AppHandle,
+    state: State<'_, BrainState>,
+    input: String,
+    query_id: String,
+    session_id: Option<String>,
+) -> Result<QueryResponse, ErrorResponse> {
+    validate_id("query id", &query_id)?;
+    let session_id = state.session_id(session_id)?;
+
+    let input = input.trim();
+    if input.is_empty() {
+        return Err(ErrorResponse::new(
+            "INVALID_INPUT",
+            "Input must be a non-empty string",
+        ));
+    }
+    if input.chars().count() > MAX_INPUT_CHARS {
+        return Err(ErrorResponse::new(
+            "INVALID_INPUT",
+            format!("Input exceeds maximum length of {MAX_INPUT_CHARS} characters"),
+        ));
+    }
+
+    let query = PendingQuery {
+        query_id,
+        session_id,
+        input: input.to_string(),
+        audio: None,
+    };
+    run_query(&app, &state, query).await
+}
+
+#[tauri::command]
+pub async fn process_audio_query(
+    app: AppHandle,
+    state: State<'_, BrainState>,
+    audio: Vec<u8>,
+    mime_type: String,
+    query_id: String,
+    session_id: Option<String>,
+) -> Result<QueryResponse, ErrorResponse> {
+    validate_id("query id", &query_id)?;
+    let session_id = state.session_id(session_id)?;
+
+    if audio.is_empty() {
+        return Err(ErrorResponse::new(
+            "INVALID_INPUT",
+            "Audio must not be empty",
+        ));
+    }
+    if audio.len() > MAX_AUDIO_BYTES {
+        return Err(ErrorResponse::new(
+            "INVALID_INPUT",
+            format!(
+                "Audio exceeds maximum size of {}MB",
+                MAX_AUDIO_BYTES / (1024 * 1024)
+            ),
+        ));
+    }
+
+    // The agent gets a file path rather than megabytes of JSON
+    let audio_dir = app
+        .path()
+        .app_cache_dir()
+        .unwrap_or_else(|_| std::env::temp_dir())
+        .join("audio-queries");
+    let audio_path = audio_dir.join(format!("{query_id}.{}", audio_extension(&mime_type)));
+    std::fs::create_dir_all(&audio_dir)
+        .and_then(|_| std::fs::write(&audio_path, &audio))
+        .map_err(|e| {
+            ErrorResponse::new("AUDIO_WRITE_FAILED", "Could not store the voice message")
+                .with_details(e.to_string())
+                .recoverable()
+        })?;
+
+    let query = PendingQuery {
+        query_id,
+        session_id,
+        input: String::new(),
+        audio: Some((audio_path.clone(), mime_type)),
+    };
+    let response = run_query(&app, &state, query).await;
+
+    if let Err(e) = std::fs::remove_file(&audio_path) {
+        eprintln!(
+            "Failed to remove voice message {}: {e}",
+            audio_path.display()
+        );
+    }
+    response
+}
+
+#[tauri::command]
+pub fn cancel_query(state: State<'_, BrainState>, query_id: String) -> Result<(), ErrorResponse> {
+    // Unknown ids are fine: the query may have finished while the request was in flight
+    let query = lock(&state.running)?.get(&query_id).cloned();
+    if let Some(query) = query {
+        query.cancel().map_err(|e| {
+            ErrorResponse::new("CANCEL_FAILED", "Could not stop the Brain agent")
+                .with_details(e)
+                .recoverable()
+        })?;
+    }
+    Ok(())
+}
+
+#[tauri::command]
+pub fn get_session_status(
+    state: State<'_, BrainState>,
+    session_id: Option<String>,
+) -> Result<SessionStatus, ErrorResponse> {
+    let session_id = state.session_id(session_id)?;
+    let sessions = lock(&state.sessions)?;
+    Ok(match sessions.get(&session_id) {
+        Some(session) => session.status(),
+        // Not used since this process started: report it as empty
+        None => Session::with_id(session_id).status(),
+    })
+}
+
+#[tauri::command]
+pub fn create_session(
+    app: AppHandle,
+    state: State<'_, BrainState>,
+) -> Result<SessionStatus, ErrorResponse> {
+    let session = Session::new();
+    let status = session.status();
+    lock(&state.sessions)?.insert(session.id.clone(), session);
+
+    emit_session_event(&app, "session_created", &status.session_id);
+    Ok(status)
+}
+
+#[tauri::command]
+pub fn reset_session(
+    app: AppHandle,
+    state: State<'_, BrainState>,
+    session_id: Option<String>,
+) -> Result<(), ErrorResponse> {
+    let session_id = state.session_id(session_id)?;
+    state.cancel_session_queries(&app, &session_id)?;
+    lock(&state.sessions)?.insert(session_id.clone(), Session::with_id(session_id.clone()));
+
+    emit_session_event(&app, "session_reset", &session_id);
+    Ok(())
+}
+
+#[tauri::command]
+pub fn delete_session(
+    app: AppHandle,
+    state: State<'_, BrainState>,
+    session_id: String,
+) -> Result<(), ErrorResponse> {
+    validate_id("session id", &session_id)?;
+    state.cancel_session_queries(&app, &session_id)?;
+
+    let mut sessions = lock(&state.sessions)?;
+    if session_id == state.default_session {
+        // The default session always exists; deleting it just empties it
+        sessions.insert(session_id.clone(), Session::with_id(session_id.clone()));
+    } else {
+        sessions.remove(&session_id);
+    }
+    drop(sessions);
+
+    emit_session_event(&app, "session_deleted", &session_id);
+    Ok(())
+}
+
+/// Forget the exchange answered by `query_id` and everything after it, before
+/// a message is edited and resent or an answer regenerated.
+#[tauri::command]
+pub fn truncate_session(
+    app: AppHandle,
+    state: State<'_, BrainState>,
+    query_id: String,
+    session_id: Option<String>,
+) -> Result<SessionStatus, ErrorResponse> {
+    validate_id("query id", &query_id)?;
+    let session_id = state.session_id(session_id)?;
+    let status = state.edit_history(&session_id, &query_id, HistoryEdit::Truncate)?;
+
+    emit_session_event(&app, "session_edited", &session_id);
+    Ok(status)
+}
+
+/// Forget one exchange, or with `answer_only` just the Brain's answer to it.
+#[tauri::command]
+pub fn remove_exchange(
+    app: AppHandle,
+    state: State<'_, BrainState>,
+    query_id: String,
+    answer_only: Option<bool>,
+    session_id: Option<String>,
+) -> Result<SessionStatus, ErrorResponse> {
+    validate_id("query id", &query_id)?;
+    let session_id = state.session_id(session_id)?;
+    let edit = if answer_only.unwrap_or(false) {
+        HistoryEdit::RemoveAnswer
+    } else {
+        HistoryEdit::RemoveExchange
+    };
+    let status = state.edit_history(&session_id, &query_id, edit)?;
+
+    emit_session_event(&app, "session_edited", &session_id);
+    Ok(status)
+}
+
+// ============================================================================
+// QUERY EXECUTION
+// ============================================================================
+
+async fn run_query(
+    app: &AppHandle,
+    state: &BrainState,
+    query: PendingQuery,
+) -> Result<QueryResponse, ErrorResponse> {
+    let started = Instant::now();
+    let QueryContext {
+        session_id,
+        epoch,
+        history,
+        running,
+    } = state.begin_query(&query.query_id, &query.session_id)?;
+
+    let config_dir = app.path().app_config_dir().ok();
+    let outcome = match AgentConfig::resolve(config_dir.as_deref()) {
+        Err(error) => AgentOutcome::Failed(error),
+        Ok(config) => {
+            let app = app.clone();
+            let session_id = session_id.clone();
+            let query_id = query.query_id.clone();
+            let input = query.input.clone();
+            let audio = query.audio.clone();
+
+            tauri::async_runtime::spawn_blocking(move || {
+                let request = AgentRequest {
+                    query_id: &query_id,
+                    session_id: &session_id,
+                    input: &input,
+                    audio_path: audio.as_ref().map(|(path, _)| path.as_path()),
+                    mime_type: audio.as_ref().map(|(_, mime)| mime.as_str()),
+                    history: &history,
+                };
+                drive_agent(&app, &config, &request, &running)
+            })
+            .await
+            .unwrap_or_else(|e| {
+                AgentOutcome::Failed(
+                    ErrorResponse::new("AGENT_TASK_FAILED", "The Brain agent task crashed")
+                        .with_details(e.to_string())
+                        .recoverable(),
+                )
+            })
+        }
+    };
+
+    state.finish_query(&query.query_id, &session_id);
+    let execution_time_ms = started.elapsed().as_millis() as u64;
+
+    let response = match outcome {
+        AgentOutcome::Cancelled => QueryResponse::cancelled(&session_id, execution_time_ms),
+        AgentOutcome::Failed(error) => QueryResponse::error(&error, &session_id, execution_time_ms),
+        AgentOutcome::Answered {
+            response_type,
+            message,
+            route_taken,
+            steps_completed,
+            transcript,
+            streamed,
+        } => {
+            let user_turn = transcript.unwrap_or_else(|| {
+                if query.audio.is_some() {
+                    "[voice message]".to_string()
+                } else {
+                    query.input.clone()
+                }
+            });
+            state.record_exchange(
+                &session_id,
+                epoch,
+                &query.query_id,
+                user_turn,
+                message.clone(),
+            );
+
+            let response = QueryResponse {
+                success: true,
+                response_type,
+                message,
+                metadata: ResponseMetadata {
+                    route_taken,
+                    execution_time_ms,
+                    steps_completed,
+                    session_id: session_id.clone(),
+                    error: None,
+                },
+            };
+            if streamed {
+                emit(
+                    app,
+                    "response_end",
+                    ResponseEnd {
+                        query_id: query.query_id.clone(),
+                        response: response.clone(),
+                    },
+                );
+            }
+            response
+        }
+    };
+    Ok(response)
+}
+
+/// Run the agent for one query, forwarding its progress and chunks as events.
+fn drive_agent(
+    app: &AppHandle,
+    config: &AgentConfig,
+    request: &AgentRequest,
+    running: &RunningQuery,
+) -> AgentOutcome {
+    let mut run = match AgentRun::start(config, request) {
+        Ok(run) => run,
+        Err(error) => return AgentOutcome::Failed(error),
+    };
+    running.attach(run.killer());
+
+    let mut outcome = None;
+    let mut streamed = String::new();
+    let mut chunk_index = 0;
+
+    while let Some(message) = run.next_message() {
+        if running.is_cancelled() {
+            break;
+        }
+
+        match message {
+            AgentMessage::Progress {
+                step,
+                message,
+                current_step,
+                total_steps,
+            } => emit(
+                app,
+                "progress_update",
+                ProgressUpdate {
+                    kind: step,
+                    message,
+                    current_step,
+                    total_steps,
+                    timestamp: now_ms(),
+                },
+            ),
+            AgentMessage::Chunk { text } => {
+                streamed.push_str(&text);
+                emit(
+                    app,
+                    "response_chunk",
+                    ResponseChunk {
+                        query_id: request.query_id.to_string(),
+                        index: chunk_index,
+                        text,
+                    },
+                );
+                chunk_index += 1;
+            }
+            AgentMessage::Result {
+                response_type,
+                message,
+                route_taken,
+                steps_completed,
+                transcript,
+            } => {
+                outcome = Some(match response_type {
+                    ResponseType::Cancelled => AgentOutcome::Cancelled,
+                    ResponseType::Error => AgentOutcome::Failed(ErrorResponse::new(
+                        "AGENT_ERROR",
+                        message.unwrap_or_else(|| "The Brain agent reported an error".to_string()),
+                    )),
+                    _ => AgentOutcome::Answered {
+                        response_type,
+                        message: message.unwrap_or_else(|| streamed.clone()),
+                        route_taken: route_taken.unwrap_or_else(|| "agent".to_string()),
+                        steps_completed,
+                        transcript,
+                        streamed: chunk_index > 0,
+                    },
+                });
+            }
+            AgentMessage::Error {
+                error_code,
+                message,
+                details,
+                recoverable,
+            } => {
+                let error = ErrorResponse {
+                    error_code,
+                    message,
+                    details,
+                    recoverable,
+                    timestamp: now_ms(),
+                };
+                // Once the query has its answer, later errors can only be reported as events
+                if outcome.is_some() {
+                    emit(app, "brain_error", error);
+                } else {
+                    outcome = Some(AgentOutcome::Failed(error));
+                }
+            }
+        }
+    }
+
+    let status = run.wait();
+    if running.is_cancelled() {
+        return AgentOutcome::Cancelled;
+    }
+
+    match (outcome, status) {
+        (Some(outcome), Ok(status)) => {
+            if !status.success() {
+                eprintln!("Brain agent exited with {status} after answering");
+            }
+            outcome
+        }
+        (Some(outcome), Err(e)) => {
+            eprintln!("{e}");
+            outcome
+        }
+        (None, status) => {
+            let details = match status {
+                Ok(status) => format!("Agent exited with {status}"),
+                Err(e) => e,
+            };
+            AgentOutcome::Failed(
+                ErrorResponse::new(
+                    "AGENT_NO_RESPONSE",
+                    "The Brain agent stopped without answering",
+                )
+                .with_details(details)
+                .recoverable(),
+            )
+        }
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+fn lock<T>(mutex: &Mutex<T>) -> Result<MutexGuard<'_, T>, ErrorResponse> {
+    mutex
+        .lock()
+        .map_err(|_| ErrorResponse::new("STATE_UNAVAILABLE", "Brain state lock poisoned"))
+}
+
+fn emit<S: Serialize + Clone>(app: &AppHandle, event: &str, payload: S) {
+    if let Err(e) = app.emit(event, payload) {
+        eprintln!("Failed to emit {event}: {e}");
+    }
+}
+
+fn emit_session_event(app: &AppHandle, kind: &str, session_id: &str) {
+    emit(
+        app,
+        "session_event",
+        SessionEvent {
+            kind: kind.to_string(),
+            session_id: session_id.to_string(),
+            timestamp: now_ms(),
+        },
+    );
+}
+
+/// Ids end up in file names, so keep them to a safe character set.
+fn validate_id(kind: &str, id: &str) -> Result<(), ErrorResponse> {
+    let valid = !id.is_empty()
+        && id.len() <= 128
+        && id
+            .chars()
+            .all(|c| c.is_ascii_alphanumeric() || c == '_' || c == '-');
+    if valid {
+        Ok(())
+    } else {
+        Err(ErrorResponse::new("INVALID_INPUT", format!("Invalid {kind}")).with_details(id))
+    }
+}
+
+fn audio_extension(mime_type: &str) -> &'static str {
+    let base = mime_type.split(';').next().unwrap_or("").trim();
+    match base {
+        "audio/webm" | "video/webm" => "webm",
+        "audio/ogg" => "ogg",
+        "audio/mp4" | "audio/m4a" | "audio/x-m4a" => "m4a",
+        "audio/mpeg" => "mp3",
+        "audio/wav" | "audio/x-wav" | "audio/wave" => "wav",
+        "audio/flac" => "flac",
+        _ => "bin",
+    }
+}
@@ -0,0 +1,169 @@
+//! Payloads shared with the frontend.
+//!
+//! Field names and casing follow `src/brain-communication.js` exactly; the
+//! frontend validates every payload against these shapes.
+
+use std::time::{SystemTime, UNIX_EPOCH};
+
+use serde::{Deserialize, Serialize};
+
+#[derive(Debug, Clone, Copy, PartialEq, Eq, Serialize, Deserialize)]
+#[serde(rename_all = "SCREAMING_SNAKE_CASE")]
+pub enum ResponseType {
+    Simple,
+    Complex,
+    Direct,
+    Error,
+    Cancelled,
+}
+
+#[derive(Debug, Clone, Serialize)]
+pub struct QueryResponse {
+    pub success: bool,
+    pub response_type: ResponseType,
+    pub message: String,
+    pub metadata: ResponseMetadata,
+}
+
+#[derive(Debug, Clone, Serialize)]
+pub struct ResponseMetadata {
+    pub route_taken: String,
+    pub execution_time_ms: u64,
+    pub steps_completed: u32,
+    pub session_id: String,
+    /// Only present on ERROR responses.
+    #[serde(flatten, skip_serializing_if = "Option::is_none")]
+    pub error: Option<ErrorFields>,
+}
+
+#[derive(Debug, Clone, Serialize)]
+pub struct ErrorFields {
+    pub error_code: String,
+    pub details: Option<String>,
+    pub recoverable: bool,
+}
+
+impl QueryResponse {
+    pub fn error(error: &ErrorResponse, session_id: &str, execution_time_ms: u64) -> Self {
+        Self {
+            success: false,
+            response_type: ResponseType::Error,
+            message: error.message.clone(),
+            metadata: ResponseMetadata {
+                route_taken: "error_handler".to_string(),
+                execution_time_ms,
+                steps_completed: 0,
+                session_id: session_id.to_string(),
+                error: Some(ErrorFields {
+                    error_code: error.error_code.clone(),
+                    details: error.details.clone(),
+                    recoverable: error.recoverable,
+                }),
+            },
+        }
+    }
+
+    pub fn cancelled(session_id: &str, execution_time_ms: u64) -> Self {
+        Self {
+            success: false,
+            response_type: ResponseType::Cancelled,
+            message: "Query cancelled".to_string(),
+            metadata: ResponseMetadata {
+                route_taken: "cancelled".to_string(),
+                execution_time_ms,
+                steps_completed: 0,
+                session_id: session_id.to_string(),
+                error: None,
+            },
+        }
+    }
+}
+
+#[derive(Debug, Clone, Serialize)]
+pub struct SessionStatus {
+    pub session_id: String,
+    pub created_at: u64,
+    pub message_count: u32,
+    pub current_task: Option<String>,
+    pub memory_size: u64,
+    pub is_active: bool,
+}
+
+/// Returned as the `Err` side of commands and emitted as `brain_error`.
+#[derive(Debug, Clone, Serialize)]
+pub struct ErrorResponse {
+    pub error_code: String,
+    pub message: String,
+    pub details: Option<String>,
+    pub recoverable: bool,
+    pub timestamp: u64,
+}
+
+impl ErrorResponse {
+    pub fn new(error_code: &str, message: impl Into<String>) -> Self {
+        Self {
+            error_code: error_code.to_string(),
+            message: message.into(),
+            details: None,
+            recoverable: false,
+            timestamp: now_ms(),
+        }
+    }
+
+    pub fn with_details(mut self, details: impl Into<String>) -> Self {
+        self.details = Some(details.into());
+        self
+    }
+
+    pub fn recoverable(mut self) -> Self {
+        self.recoverable = true;
+        self
+    }
+}
+
+#[derive(Debug, Clone, Copy, PartialEq, Eq, Serialize, Deserialize)]
+#[serde(rename_all = "SCREAMING_SNAKE_CASE")]
+pub enum ProgressType {
+    ContextCollection,
+    TaskExecution,
+    StepComplete,
+}
+
+#[derive(Debug, Clone, Serialize)]
+pub struct ProgressUpdate {
+    #[serde(rename = "type")]
+    pub kind: ProgressType,
+    pub message: String,
+    pub current_step: u32,
+    pub total_steps: Option<u32>,
+    pub timestamp: u64,
+}
+
+#[derive(Debug, Clone, Serialize)]
+pub struct ResponseChunk {
+    pub query_id: String,
+    pub index: u32,
+    pub text: String,
+}
+
+#[derive(Debug, Clone, Serialize)]
+pub struct ResponseEnd {
+    pub query_id: String,
+    pub response: QueryResponse,
+}
+
+#[derive(Debug, Clone, Serialize)]
+pub struct SessionEvent {
+    #[serde(rename = "type")]
+    pub kind: String,
+    pub session_id: String,
+    pub timestamp: u64,
+}
+
+/// Milliseconds since the Unix epoch, the timestamp unit used by the frontend.
+pub fn now_ms() -> u64 {
+    SystemTime::now()
+        .duration_since(UNIX_EPOCH)
+        .map(|duration| duration.as_millis() as u64)
+        .unwrap_or(0)
+}
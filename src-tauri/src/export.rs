@@ -0,0 +1,39 @@
+//! Saving exported conversations through the native save dialog.
+//!
+//! The frontend renders the export; this module only asks the user where to
+//! put it and writes the file.
+
+use tauri::AppHandle;
+use tauri_plugin_dialog::DialogExt;
+
+/// Ask for a location and write `contents` there. Returns the chosen path,
+/// or `None` when the user cancelled the dialog.
+#[tauri::command]
+pub async fn save_export(
+    app: AppHandle,
+    file_name: String,
+    filter_name: String,
+    extension: String,
+    contents: String,
+) -> Result<Option<String>, String> {
+    // The dialog blocks until the user answers, so keep it off the async runtime
+    let picked = tauri::async_runtime::spawn_blocking(move || {
+        app.dialog()
+            .file()
+            .set_file_name(&file_name)
+            .add_filter(&filter_name, &[extension.as_str()])
+            .blocking_save_file()
+    })
+    .await
+    .map_err(|e| format!("Save dialog failed: {e}"))?;
+
+    let Some(picked) = picked else {
+        return Ok(None);
+    };
+    let path = picked
+        .into_path()
+        .map_err(|e| format!("Unsupported save location: {e}"))?;
+    std::fs::write(&path, contents)
+        .map_err(|e| format!("Failed to write {}: {e}", path.display()))?;
+    Ok(Some(path.display().to_string()))
+}
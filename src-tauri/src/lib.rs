@@ -1,3 +1,10 @@
+mod brain;
+mod export;
+mod recordings;
+mod shortcuts;
+mod storage;
+mod transcriber;
+
 // Learn more about Tauri commands at https://tauri.app/develop/calling-rust/
 #[tauri::command]
 fn greet(name: &str) -> String {
@@ -8,7 +15,39 @@ fn greet(name: &str) -> String {
 pub fn run() {
     tauri::Builder::default()
         .plugin(tauri_plugin_opener::init())
-        .invoke_handler(tauri::generate_handler![greet])
+        .plugin(tauri_plugin_dialog::init())
+        .plugin(
+            tauri_plugin_global_shortcut::Builder::new()
+                .with_handler(shortcuts::handle_shortcut)
+                .build(),
+        )
+        .manage(brain::BrainState::default())
+        .manage(transcriber::TranscriberState::default())
+        .manage(shortcuts::ShortcutRegistry::default())
+        .invoke_handler(tauri::generate_handler![
+            greet,
+            brain::process_query,
+            brain::process_audio_query,
+            brain::cancel_query,
+            brain::get_session_status,
+            brain::create_session,
+            brain::reset_session,
+            brain::delete_session,
+            brain::truncate_session,
+            brain::remove_exchange,
+            export::save_export,
+            recordings::recording_write,
+            recordings::recording_read,
+            recordings::recording_delete,
+            recordings::recordings_usage,
+            shortcuts::set_global_shortcuts,
+            shortcuts::set_capture_indicator,
+            storage::storage_read,
+            storage::storage_write,
+            storage::storage_delete,
+            transcriber::transcriber_status,
+            transcriber::transcribe_audio
+        ])
         .run(tauri::generate_context!())
         .expect("error while running tauri application");
 }
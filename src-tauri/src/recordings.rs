@@ -0,0 +1,114 @@
+//! Audio files of the recording library, kept in the app data folder.
+//!
+//! Each clip is `<app data>/recordings/<file name>`. The frontend keeps the
+//! clip list (names, durations, transcripts) as a storage document; this
+//! module only stores, returns and removes the audio.
+
+use std::path::PathBuf;
+
+use serde::Serialize;
+use tauri::ipc::Response;
+use tauri::{AppHandle, Manager};
+
+const RECORDINGS_DIR: &str = "recordings";
+// Voice messages are minutes long; anything bigger is a frontend bug
+const MAX_CLIP_BYTES: usize = 200 * 1024 * 1024;
+
+#[derive(Debug, Serialize)]
+pub struct RecordingsUsage {
+    pub files: u32,
+    pub bytes: u64,
+}
+
+fn recordings_dir(app: &AppHandle) -> Result<PathBuf, String> {
+    Ok(app
+        .path()
+        .app_data_dir()
+        .map_err(|e| format!("No app data folder: {e}"))?
+        .join(RECORDINGS_DIR))
+}
+
+fn clip_path(app: &AppHandle, file_name: &str) -> Result<PathBuf, String> {
+    // A plain "<id>.<extension>", never a path
+    let valid = !file_name.is_empty()
+        && file_name.len() <= 80
+        && file_name
+            .chars()
+            .all(|c| c.is_ascii_alphanumeric() || c == '-' || c == '_' || c == '.')
+        && !file_name.starts_with('.')
+        && file_name.matches('.').count() == 1;
+    if !valid {
+        return Err(format!("Invalid recording file name: {file_name}"));
+    }
+    Ok(recordings_dir(app)?.join(file_name))
+}
+
+#[tauri::command]
+pub async fn recording_write(
+    app: AppHandle,
+    file_name: String,
+    audio: Vec<u8>,
+) -> Result<(), String> {
+    let path = clip_path(&app, &file_name)?;
+    if audio.is_empty() {
+        return Err("Recording is empty".to_string());
+    }
+    if audio.len() > MAX_CLIP_BYTES {
+        return Err(format!(
+            "Recording is too large ({} MB)",
+            audio.len() / (1024 * 1024)
+        ));
+    }
+
+    if let Some(dir) = path.parent() {
+        std::fs::create_dir_all(dir)
+            .map_err(|e| format!("Failed to create recordings folder: {e}"))?;
+    }
+    let temp_path = path.with_extension("tmp");
+    std::fs::write(&temp_path, audio)
+        .and_then(|_| std::fs::rename(&temp_path, &path))
+        .map_err(|e| format!("Failed to write {file_name}: {e}"))
+}
+
+/// The clip's bytes, sent as a binary response (an ArrayBuffer in the frontend)
+#[tauri::command]
+pub async fn recording_read(app: AppHandle, file_name: String) -> Result<Response, String> {
+    let path = clip_path(&app, &file_name)?;
+    std::fs::read(&path)
+        .map(Response::new)
+        .map_err(|e| format!("Failed to read {file_name}: {e}"))
+}
+
+#[tauri::command]
+pub async fn recording_delete(app: AppHandle, file_name: String) -> Result<(), String> {
+    let path = clip_path(&app, &file_name)?;
+    match std::fs::remove_file(&path) {
+        Ok(()) => Ok(()),
+        Err(e) if e.kind() == std::io::ErrorKind::NotFound => Ok(()),
+        Err(e) => Err(format!("Failed to delete {file_name}: {e}")),
+    }
+}
+
+/// Space taken by the recordings folder, including files the list lost track of
+#[tauri::command]
+pub async fn recordings_usage(app: AppHandle) -> Result<RecordingsUsage, String> {
+    let dir = recordings_dir(&app)?;
+    let entries = match std::fs::read_dir(&dir) {
+        Ok(entries) => entries,
+        Err(e) if e.kind() == std::io::ErrorKind::NotFound => {
+            return Ok(RecordingsUsage { files: 0, bytes: 0 })
+        }
+        Err(e) => return Err(format!("Failed to list recordings: {e}")),
+    };
+
+    let mut usage = RecordingsUsage { files: 0, bytes: 0 };
+    for entry in entries.flatten() {
+        if let Ok(metadata) = entry.metadata() {
+            if metadata.is_file() {
+                usage.files += 1;
+                usage.bytes += metadata.len();
+            }
+        }
+    }
+    Ok(usage)
+}
@@ -0,0 +1,152 @@
+//! System-wide shortcuts for push-to-talk and toggling the recording.
+//!
+//! Shortcuts are registered with the OS, so they also fire while another
+//! application is focused. Presses and releases are forwarded to the frontend
+//! as `global_shortcut` events; recording itself stays in the frontend.
+
+use std::collections::HashMap;
+use std::str::FromStr;
+use std::sync::Mutex;
+
+use serde::{Deserialize, Serialize};
+use tauri::{AppHandle, Emitter, Manager, State, WebviewWindow, Wry};
+use tauri_plugin_global_shortcut::{GlobalShortcutExt, Shortcut, ShortcutEvent, ShortcutState};
+
+/// Prefix for the window title while capture runs in the background
+const CAPTURE_TITLE_PREFIX: &str = "● Recording — ";
+
+#[derive(Debug, Clone, Copy, PartialEq, Eq, Serialize, Deserialize)]
+#[serde(rename_all = "snake_case")]
+pub enum ShortcutAction {
+    PushToTalk,
+    ToggleRecording,
+}
+
+/// Shortcuts registered by the app, keyed by shortcut id.
+#[derive(Default)]
+pub struct ShortcutRegistry {
+    bindings: Mutex<HashMap<u32, (ShortcutAction, Shortcut)>>,
+    window_title: Mutex<Option<String>>,
+}
+
+#[derive(Debug, Deserialize)]
+pub struct ShortcutBinding {
+    action: ShortcutAction,
+    accelerator: String,
+}
+
+/// Outcome of registering one binding. `error` explains a conflict.
+#[derive(Debug, Serialize)]
+pub struct BindingStatus {
+    action: ShortcutAction,
+    accelerator: String,
+    registered: bool,
+    error: Option<String>,
+}
+
+#[derive(Debug, Clone, Serialize)]
+struct ShortcutPayload {
+    action: ShortcutAction,
+    pressed: bool,
+}
+
+/// Plugin handler, called on the main thread for every press and release.
+pub fn handle_shortcut(app: &AppHandle<Wry>, shortcut: &Shortcut, event: ShortcutEvent) {
+    let state = app.state::<ShortcutRegistry>();
+    let action = match state.bindings.lock() {
+        Ok(bindings) => bindings.get(&shortcut.id()).map(|(action, _)| *action),
+        Err(_) => None,
+    };
+    let Some(action) = action else {
+        return;
+    };
+
+    let payload = ShortcutPayload {
+        action,
+        pressed: event.state() == ShortcutState::Pressed,
+    };
+    if let Err(e) = app.emit("global_shortcut", payload) {
+        eprintln!("Failed to emit global_shortcut: {e}");
+    }
+}
+
+/// Replace all registered shortcuts with `bindings`. Every binding gets a
+/// status, so one conflict does not keep the others from working.
+#[tauri::command]
+pub fn set_global_shortcuts(
+    app: AppHandle,
+    state: State<'_, ShortcutRegistry>,
+    bindings: Vec<ShortcutBinding>,
+) -> Result<Vec<BindingStatus>, String> {
+    let manager = app.global_shortcut();
+    let mut registered = state
+        .bindings
+        .lock()
+        .map_err(|_| "Shortcut lock poisoned")?;
+
+    for (_, (_, shortcut)) in registered.drain() {
+        if let Err(e) = manager.unregister(shortcut) {
+            eprintln!("Failed to unregister shortcut: {e}");
+        }
+    }
+
+    let statuses = bindings
+        .into_iter()
+        .map(|binding| {
+            let result = Shortcut::from_str(&binding.accelerator)
+                .map_err(|e| format!("Not a valid shortcut: {e}"))
+                .and_then(|shortcut| {
+                    if let Some((other, _)) = registered.get(&shortcut.id()) {
+                        return Err(format!("Already used for {}", action_label(*other)));
+                    }
+                    manager
+                        .register(shortcut)
+                        .map_err(|e| format!("Taken by another application or the system: {e}"))?;
+                    registered.insert(shortcut.id(), (binding.action, shortcut));
+                    Ok(())
+                });
+
+            BindingStatus {
+                action: binding.action,
+                accelerator: binding.accelerator,
+                registered: result.is_ok(),
+                error: result.err(),
+            }
+        })
+        .collect();
+    Ok(statuses)
+}
+
+/// Mark the window title while the microphone records without the window
+/// being focused, so capture stays visible in the taskbar and window switcher.
+#[tauri::command]
+pub fn set_capture_indicator(
+    window: WebviewWindow,
+    state: State<'_, ShortcutRegistry>,
+    active: bool,
+) -> Result<(), String> {
+    let mut saved_title = state
+        .window_title
+        .lock()
+        .map_err(|_| "Shortcut lock poisoned")?;
+
+    if active {
+        if saved_title.is_none() {
+            let title = window.title().map_err(|e| e.to_string())?;
+            window
+                .set_title(&format!("{CAPTURE_TITLE_PREFIX}{title}"))
+                .map_err(|e| e.to_string())?;
+            *saved_title = Some(title);
+        }
+    } else if let Some(title) = saved_title.take() {
+        window.set_title(&title).map_err(|e| e.to_string())?;
+    }
+    Ok(())
+}
+
+fn action_label(action: ShortcutAction) -> &'static str {
+    match action {
+        ShortcutAction::PushToTalk => "push-to-talk",
+        ShortcutAction::ToggleRecording => "toggle recording",
+    }
+}
@@ -0,0 +1,81 @@
+//! Small JSON documents persisted in the app data folder.
+//!
+//! Each key maps to `<app data>/storage/<key>.json`. Writes go through a
+//! temporary file and a rename, so a crash never leaves a half-written document.
+//! Commands are async so file IO stays off the main thread.
+
+use std::path::PathBuf;
+
+use serde_json::Value;
+use tauri::{AppHandle, Manager};
+
+const STORAGE_DIR: &str = "storage";
+
+fn document_path(app: &AppHandle, key: &str) -> Result<PathBuf, String> {
+    let valid = !key.is_empty()
+        && key.len() <= 64
+        && key
+            .chars()
+            .all(|c| c.is_ascii_alphanumeric() || c == '-' || c == '_' || c == '.')
+        && !key.starts_with('.');
+    if !valid {
+        return Err(format!("Invalid storage key: {key}"));
+    }
+
+    let dir = app
+        .path()
+        .app_data_dir()
+        .map_err(|e| format!("No app data folder: {e}"))?
+        .join(STORAGE_DIR);
+    Ok(dir.join(format!("{key}.json")))
+}
+
+#[tauri::command]
+pub async fn storage_read(app: AppHandle, key: String) -> Result<Option<Value>, String> {
+    let path = document_path(&app, &key)?;
+    let contents = match std::fs::read_to_string(&path) {
+        Ok(contents) => contents,
+        Err(e) if e.kind() == std::io::ErrorKind::NotFound => return Ok(None),
+        Err(e) => return Err(format!("Failed to read {key}: {e}")),
+    };
+
+    match serde_json::from_str(&contents) {
+        Ok(value) => Ok(Some(value)),
+        Err(e) => {
+            // Keep the damaged file for inspection instead of overwriting it on the next write
+            let backup = path.with_extension("json.corrupt");
+            eprintln!(
+                "Stored document {key} is not valid JSON ({e}), moved to {}",
+                backup.display()
+            );
+            let _ = std::fs::rename(&path, &backup);
+            Ok(None)
+        }
+    }
+}
+
+#[tauri::command]
+pub async fn storage_write(app: AppHandle, key: String, value: Value) -> Result<(), String> {
+    let path = document_path(&app, &key)?;
+    if let Some(dir) = path.parent() {
+        std::fs::create_dir_all(dir)
+            .map_err(|e| format!("Failed to create storage folder: {e}"))?;
+    }
+
+    let contents =
+        serde_json::to_vec(&value).map_err(|e| format!("Failed to encode {key}: {e}"))?;
+    let temp_path = path.with_extension("json.tmp");
+    std::fs::write(&temp_path, contents)
+        .and_then(|_| std::fs::rename(&temp_path, &path))
+        .map_err(|e| format!("Failed to write {key}: {e}"))
+}
+
+#[tauri::command]
+pub async fn storage_delete(app: AppHandle, key: String) -> Result<(), String> {
+    let path = document_path(&app, &key)?;
+    match std::fs::remove_file(&path) {
+        Ok(()) => Ok(()),
+        Err(e) if e.kind() == std::io::ErrorKind::NotFound => Ok(()),
+        Err(e) => Err(format!("Failed to delete {key}: {e}")),
+    }
+}
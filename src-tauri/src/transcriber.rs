@@ -0,0 +1,171 @@
+//! Offline speech-to-text.
+//!
+//! Engines implement [`SpeechToText`]; the Whisper engine is loaded lazily from a
+//! local ggml model file so transcription works without any network access.
+
+use std::path::{Path, PathBuf};
+use std::sync::{Arc, Mutex};
+
+use serde::Serialize;
+use tauri::{AppHandle, Manager, State};
+use whisper_rs::{FullParams, SamplingStrategy, WhisperContext, WhisperContextParameters};
+
+/// Environment variable that overrides the model location.
+const MODEL_PATH_ENV: &str = "JUNA_WHISPER_MODEL";
+/// Default model file, looked up in `<app data>/models/`.
+const DEFAULT_MODEL_FILE: &str = "ggml-base.bin";
+/// Whisper only accepts 16kHz mono input.
+const WHISPER_SAMPLE_RATE: u32 = 16_000;
+
+#[derive(Debug, Clone, Serialize)]
+pub struct Transcript {
+    pub text: String,
+    pub language: Option<String>,
+    pub duration_ms: u64,
+    pub engine: String,
+}
+
+#[derive(Debug, Clone, Serialize)]
+pub struct TranscriberStatus {
+    pub available: bool,
+    pub engine: String,
+    pub model_path: Option<String>,
+}
+
+/// A speech-to-text backend running inside the Tauri process.
+pub trait SpeechToText: Send + Sync {
+    fn name(&self) -> &str;
+    fn transcribe(&self, samples: &[f32], language: Option<&str>) -> Result<Transcript, String>;
+}
+
+pub struct WhisperEngine {
+    context: WhisperContext,
+}
+
+impl WhisperEngine {
+    pub fn load(model_path: &Path) -> Result<Self, String> {
+        let path = model_path
+            .to_str()
+            .ok_or_else(|| "Model path is not valid UTF-8".to_string())?;
+        let context = WhisperContext::new_with_params(path, WhisperContextParameters::default())
+            .map_err(|e| format!("Failed to load Whisper model: {e}"))?;
+        Ok(Self { context })
+    }
+}
+
+impl SpeechToText for WhisperEngine {
+    fn name(&self) -> &str {
+        "local-whisper"
+    }
+
+    fn transcribe(&self, samples: &[f32], language: Option<&str>) -> Result<Transcript, String> {
+        let mut state = self
+            .context
+            .create_state()
+            .map_err(|e| format!("Failed to create Whisper state: {e}"))?;
+
+        let mut params = FullParams::new(SamplingStrategy::Greedy { best_of: 1 });
+        params.set_language(Some(language.unwrap_or("auto")));
+        params.set_print_progress(false);
+        params.set_print_realtime(false);
+        params.set_print_timestamps(false);
+
+        state
+            .full(params, samples)
+            .map_err(|e| format!("Transcription failed: {e}"))?;
+
+        let segments = state
+            .full_n_segments()
+            .map_err(|e| format!("Failed to read transcript: {e}"))?;
+        let mut text = String::new();
+        for i in 0..segments {
+            let segment = state
+                .full_get_segment_text(i)
+                .map_err(|e| format!("Failed to read transcript: {e}"))?;
+            text.push_str(&segment);
+        }
+
+        let language = state
+            .full_lang_id_from_state()
+            .ok()
+            .and_then(|id| whisper_rs::get_lang_str(id))
+            .map(str::to_string);
+
+        Ok(Transcript {
+            text: text.trim().to_string(),
+            language,
+            duration_ms: samples.len() as u64 * 1000 / WHISPER_SAMPLE_RATE as u64,
+            engine: self.name().to_string(),
+        })
+    }
+}
+
+/// Lazily loaded engine shared between commands.
+#[derive(Default)]
+pub struct TranscriberState {
+    engine: Mutex<Option<Arc<dyn SpeechToText>>>,
+}
+
+impl TranscriberState {
+    fn engine(&self, app: &AppHandle) -> Result<Arc<dyn SpeechToText>, String> {
+        let mut engine = self
+            .engine
+            .lock()
+            .map_err(|_| "Transcriber lock poisoned")?;
+        if let Some(engine) = engine.as_ref() {
+            return Ok(engine.clone());
+        }
+
+        let model_path = resolve_model_path(app)
+            .filter(|path| path.exists())
+            .ok_or_else(|| "No Whisper model found. Set JUNA_WHISPER_MODEL or place ggml-base.bin in the app models folder.".to_string())?;
+        let loaded: Arc<dyn SpeechToText> = Arc::new(WhisperEngine::load(&model_path)?);
+        *engine = Some(loaded.clone());
+        Ok(loaded)
+    }
+}
+
+fn resolve_model_path(app: &AppHandle) -> Option<PathBuf> {
+    if let Ok(path) = std::env::var(MODEL_PATH_ENV) {
+        return Some(PathBuf::from(path));
+    }
+    app.path()
+        .app_data_dir()
+        .ok()
+        .map(|dir| dir.join("models").join(DEFAULT_MODEL_FILE))
+}
+
+#[tauri::command]
+pub fn transcriber_status(app: AppHandle) -> TranscriberStatus {
+    let model_path = resolve_model_path(&app);
+    TranscriberStatus {
+        available: model_path.as_ref().is_some_and(|path| path.exists()),
+        engine: "local-whisper".to_string(),
+        model_path: model_path.map(|path| path.to_string_lossy().into_owned()),
+    }
+}
+
+#[tauri::command]
+pub async fn transcribe_audio(
+    app: AppHandle,
+    state: State<'_, TranscriberState>,
+    samples: Vec<i16>,
+    sample_rate: u32,
+    language: Option<String>,
+) -> Result<Transcript, String> {
+    if sample_rate != WHISPER_SAMPLE_RATE {
+        return Err(format!(
+            "Unsupported sample rate {sample_rate}, expected {WHISPER_SAMPLE_RATE}"
+        ));
+    }
+    if samples.is_empty() {
+        return Err("No audio samples provided".to_string());
+    }
+
+    let engine = state.engine(&app)?;
+    let samples: Vec<f32> = samples.iter().map(|&s| s as f32 / 32768.0).collect();
+
+    tauri::async_runtime::spawn_blocking(move || engine.transcribe(&samples, language.as_deref()))
+        .await
+        .map_err(|e| format!("Transcription task failed: {e}"))?
+}
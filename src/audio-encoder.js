@@ -0,0 +1,490 @@
+/**
+ * AUDIO ENCODER
+ * Turns a recording into uncompressed WAV or lossless FLAC
+ *
+ * MediaRecorder only produces compressed formats (WebM/Opus almost
+ * everywhere), which many audio tools can't read. The recording is decoded
+ * with Web Audio, which also resamples it, optionally mixed down to mono, and
+ * written as 16 or 24-bit PCM. The FLAC encoder uses fixed predictors with
+ * partitioned Rice coding and picks left/side stereo per frame, which keeps
+ * it small while staying simple.
+ */
+
+export const SAVE_FORMATS = {
+  original: { label: "Original", extension: null, mimeType: null },
+  wav: { label: "WAV", extension: "wav", mimeType: "audio/wav" },
+  flac: { label: "FLAC", extension: "flac", mimeType: "audio/flac" }
+};
+export const BIT_DEPTHS = [16, 24];
+
+// Samples per FLAC frame, the reference encoder's default
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_MAX_PARTITION_ORDER = 6;
+const FLAC_MAX_FIXED_ORDER = 4;
+
+/**
+ * Decode a recording and encode it as WAV or FLAC
+ * @param {Blob} blob - Recording in any format the browser can decode
+ * @param {EncodeOptions} options
+ * @returns {Promise<Blob>}
+ */
+export async function encodeRecording(blob, options) {
+  const { format, bitDepth = 16, sampleRate, mono = false } = options;
+  if (format !== "wav" && format !== "flac") {
+    throw new Error(`Unsupported audio format: ${format}`);
+  }
+  if (!BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported bit depth: ${bitDepth}`);
+  }
+
+  const decoded = await decodeRecording(blob, sampleRate);
+  let channels = Array.from({ length: decoded.numberOfChannels }, (_, i) => decoded.getChannelData(i));
+  if (mono && channels.length > 1) {
+    channels = [downmix(channels)];
+  }
+
+  const samples = channels.map(channel => toIntegerSamples(channel, bitDepth));
+  const bytes = format === "wav"
+    ? encodeWav(samples, decoded.sampleRate, bitDepth)
+    : encodeFlac(samples, decoded.sampleRate, bitDepth);
+  return new Blob([bytes], { type: SAVE_FORMATS[format].mimeType });
+}
+
+/**
+ * Decode to an AudioBuffer at the given sample rate. Web Audio resamples
+ * while decoding, so this is also where the rate changes.
+ * @param {Blob} blob
+ * @param {number} sampleRate
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function decodeRecording(blob, sampleRate) {
+  const context = new OfflineAudioContext(1, 1, sampleRate);
+  try {
+    return await context.decodeAudioData(await blob.arrayBuffer());
+  } catch (error) {
+    throw new Error(`Could not decode the recording: ${error.message ?? error}`);
+  }
+}
+
+// ============================================================================
+// PCM
+// ============================================================================
+
+function downmix(channels) {
+  const mixed = new Float32Array(channels[0].length);
+  for (const channel of channels) {
+    for (let i = 0; i < mixed.length; i++) {
+      mixed[i] += channel[i] / channels.length;
+    }
+  }
+  return mixed;
+}
+
+/**
+ * Float samples (-1..1) to signed integers of the given width
+ * @returns {Int32Array}
+ */
+export function toIntegerSamples(channel, bitDepth) {
+  const max = 2 ** (bitDepth - 1);
+  const samples = new Int32Array(channel.length);
+  for (let i = 0; i < channel.length; i++) {
+    const value = Math.round(channel[i] * max);
+    samples[i] = Math.max(-max, Math.min(max - 1, value));
+  }
+  return samples;
+}
+
+// ============================================================================
+// WAV
+// ============================================================================
+
+/**
+ * Interleaved little-endian PCM in a RIFF/WAVE container
+ * @param {Int32Array[]} channels
+ * @param {number} sampleRate
+ * @param {number} bitDepth
+ * @returns {Uint8Array}
+ */
+export function encodeWav(channels, sampleRate, bitDepth) {
+  const bytesPerSample = bitDepth / 8;
+  const frameCount = channels[0]?.length ?? 0;
+  const blockAlign = channels.length * bytesPerSample;
+  const dataSize = frameCount * blockAlign;
+  if (44 + dataSize > 0xffffffff) {
+    throw new Error("Recording is too long for a WAV file");
+  }
+
+  const bytes = new Uint8Array(44 + dataSize);
+  const view = new DataView(bytes.buffer);
+  writeAscii(bytes, 0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeAscii(bytes, 8, "WAVE");
+  writeAscii(bytes, 12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeAscii(bytes, 36, "data");
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < frameCount; i++) {
+    for (const channel of channels) {
+      const sample = channel[i];
+      bytes[offset++] = sample & 0xff;
+      bytes[offset++] = (sample >> 8) & 0xff;
+      if (bytesPerSample === 3) bytes[offset++] = (sample >> 16) & 0xff;
+    }
+  }
+  return bytes;
+}
+
+function writeAscii(bytes, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    bytes[offset + i] = text.charCodeAt(i);
+  }
+}
+
+// ============================================================================
+// FLAC
+// ============================================================================
+
+/**
+ * FLAC stream with a STREAMINFO block and fixed-blocksize frames
+ * @param {Int32Array[]} channels - 1 to 8 channels
+ * @param {number} sampleRate
+ * @param {number} bitDepth
+ * @returns {Uint8Array}
+ */
+export function encodeFlac(channels, sampleRate, bitDepth) {
+  if (channels.length < 1 || channels.length > 8) {
+    throw new Error(`FLAC supports 1 to 8 channels, not ${channels.length}`);
+  }
+
+  const totalSamples = channels[0].length;
+  const writer = new BitWriter(totalSamples * channels.length * (bitDepth / 8) / 2 + 1024);
+  const blockSize = Math.max(16, Math.min(FLAC_BLOCK_SIZE, totalSamples));
+
+  writer.writeBytes([0x66, 0x4c, 0x61, 0x43]); // "fLaC"
+
+  // STREAMINFO, the only (so last) metadata block
+  writer.writeBits(1, 1);
+  writer.writeBits(0, 7);
+  writer.writeBits(34, 24);
+  writer.writeBits(blockSize, 16);
+  writer.writeBits(blockSize, 16);
+  writer.writeBits(0, 24); // Frame sizes unknown
+  writer.writeBits(0, 24);
+  writer.writeBits(sampleRate, 20);
+  writer.writeBits(channels.length - 1, 3);
+  writer.writeBits(bitDepth - 1, 5);
+  writer.writeBits(Math.floor(totalSamples / 2 ** 32), 4);
+  writer.writeBits(totalSamples >>> 0, 32);
+  writer.writeBytes(new Uint8Array(16)); // No MD5 signature
+
+  for (let start = 0, frame = 0; start < totalSamples; start += FLAC_BLOCK_SIZE, frame++) {
+    const end = Math.min(start + FLAC_BLOCK_SIZE, totalSamples);
+    writeFlacFrame(writer, channels.map(channel => channel.subarray(start, end)), frame, bitDepth);
+  }
+  return writer.finish();
+}
+
+function writeFlacFrame(writer, block, frameNumber, bitDepth) {
+  const frameStart = writer.byteLength;
+  let assignment = block.length - 1;
+  let subframes = block.map(samples => encodeSubframe(samples, bitDepth));
+
+  // Left/side stereo, a big win when both channels carry the same microphone
+  if (block.length === 2) {
+    const side = new Int32Array(block[0].length);
+    for (let i = 0; i < side.length; i++) side[i] = block[0][i] - block[1][i];
+    const sideSubframe = encodeSubframe(side, bitDepth + 1);
+    if (sideSubframe.bits < subframes[1].bits) {
+      assignment = 0b1000;
+      subframes = [subframes[0], sideSubframe];
+    }
+  }
+
+  writer.writeBits(0b11111111111110, 14); // Sync code
+  writer.writeBits(0, 1);
+  writer.writeBits(0, 1); // Fixed blocksize
+  writer.writeBits(0b0111, 4); // Block size follows as 16 bits
+  writer.writeBits(0b0000, 4); // Sample rate from STREAMINFO
+  writer.writeBits(assignment, 4);
+  writer.writeBits(bitDepth === 16 ? 0b100 : 0b110, 3);
+  writer.writeBits(0, 1);
+  writeUtf8Number(writer, frameNumber);
+  writer.writeBits(block[0].length - 1, 16);
+  writer.writeBits(crc8(writer.bytes, frameStart, writer.byteLength), 8);
+
+  subframes.forEach(subframe => subframe.write(writer));
+  writer.alignToByte();
+  writer.writeBits(crc16(writer.bytes, frameStart, writer.byteLength), 16);
+}
+
+/**
+ * Pick the cheapest of constant, fixed predictor and verbatim coding
+ * @returns {{ bits: number, write: (writer: BitWriter) => void }}
+ */
+function encodeSubframe(samples, bitsPerSample) {
+  const header = 8;
+
+  if (samples.every(sample => sample === samples[0])) {
+    return {
+      bits: header + bitsPerSample,
+      write: (writer) => {
+        writer.writeBits(0b00000000, 8);
+        writer.writeSigned(samples[0], bitsPerSample);
+      }
+    };
+  }
+
+  let best = {
+    bits: header + samples.length * bitsPerSample,
+    write: (writer) => {
+      writer.writeBits(0b00000010, 8);
+      samples.forEach(sample => writer.writeSigned(sample, bitsPerSample));
+    }
+  };
+
+  for (let order = 0; order <= Math.min(FLAC_MAX_FIXED_ORDER, samples.length - 1); order++) {
+    const residual = fixedResidual(samples, order);
+    const rice = chooseRiceCoding(residual, samples.length, order);
+    const bits = header + order * bitsPerSample + rice.bits;
+    if (bits < best.bits) {
+      best = {
+        bits,
+        write: (writer) => {
+          writer.writeBits(0b00010000 | (order << 1), 8);
+          for (let i = 0; i < order; i++) writer.writeSigned(samples[i], bitsPerSample);
+          writeResidual(writer, order, rice);
+        }
+      };
+    }
+  }
+  return best;
+}
+
+/**
+ * Prediction errors of FLAC's fixed polynomial predictor, after the warm-up
+ * samples. Plain numbers, a 25-bit side channel can overflow 32 bits here.
+ */
+function fixedResidual(samples, order) {
+  const residual = new Float64Array(samples.length - order);
+  for (let i = order; i < samples.length; i++) {
+    let prediction = 0;
+    switch (order) {
+      case 1: prediction = samples[i - 1]; break;
+      case 2: prediction = 2 * samples[i - 1] - samples[i - 2]; break;
+      case 3: prediction = 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3]; break;
+      case 4: prediction = 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4]; break;
+    }
+    residual[i - order] = samples[i] - prediction;
+  }
+  return residual;
+}
+
+/**
+ * Partition order and per-partition Rice parameters with the fewest bits
+ */
+function chooseRiceCoding(residual, blockSize, order) {
+  const folded = residual.map(value => (value >= 0 ? value * 2 : -value * 2 - 1));
+  let best = null;
+
+  for (let partitionOrder = 0; partitionOrder <= FLAC_MAX_PARTITION_ORDER; partitionOrder++) {
+    const partitions = 2 ** partitionOrder;
+    const partitionSize = blockSize / partitions;
+    if (!Number.isInteger(partitionSize) || partitionSize <= order) break;
+
+    const parameters = [];
+    let bits = 2 + 4;
+    let offset = 0;
+    for (let p = 0; p < partitions; p++) {
+      const count = p === 0 ? partitionSize - order : partitionSize;
+      const values = folded.subarray(offset, offset + count);
+      offset += count;
+
+      const parameter = riceParameter(values);
+      parameters.push(parameter);
+      bits += 5 + riceBits(values, parameter);
+    }
+    if (!best || bits < best.bits) {
+      best = { bits, partitionOrder, partitionSize, parameters, folded };
+    }
+  }
+
+  // RICE2 coding allows parameters above 14, needed for loud 24-bit audio
+  best.method = best.parameters.some(parameter => parameter > 14) ? 1 : 0;
+  if (best.method === 0) best.bits -= best.parameters.length;
+  return best;
+}
+
+function riceParameter(values) {
+  if (values.length === 0) return 0;
+  let sum = 0;
+  for (const value of values) sum += value;
+  const mean = sum / values.length;
+  let parameter = mean > 1 ? Math.floor(Math.log2(mean)) : 0;
+
+  // The estimate is close; check its neighbours
+  let bestBits = riceBits(values, parameter);
+  for (const candidate of [parameter - 1, parameter + 1]) {
+    if (candidate < 0 || candidate > 30) continue;
+    const bits = riceBits(values, candidate);
+    if (bits < bestBits) {
+      bestBits = bits;
+      parameter = candidate;
+    }
+  }
+  return Math.min(parameter, 30);
+}
+
+function riceBits(values, parameter) {
+  const divisor = 2 ** parameter;
+  let bits = values.length * (parameter + 1);
+  for (const value of values) bits += Math.floor(value / divisor);
+  return bits;
+}
+
+function writeResidual(writer, order, { method, partitionOrder, partitionSize, parameters, folded }) {
+  const parameterBits = method === 1 ? 5 : 4;
+  writer.writeBits(method, 2);
+  writer.writeBits(partitionOrder, 4);
+
+  // The first partition is shorter by the warm-up samples
+  let offset = 0;
+  parameters.forEach((parameter, p) => {
+    const count = p === 0 ? partitionSize - order : partitionSize;
+    writer.writeBits(parameter, parameterBits);
+    const divisor = 2 ** parameter;
+    for (let i = offset; i < offset + count; i++) {
+      const value = folded[i];
+      writer.writeUnary(Math.floor(value / divisor));
+      if (parameter > 0) writer.writeBits(value % divisor, parameter);
+    }
+    offset += count;
+  });
+}
+
+/**
+ * Frame numbers use the UTF-8 byte layout, extended to 36 bits
+ */
+function writeUtf8Number(writer, value) {
+  if (value < 0x80) {
+    writer.writeBits(value, 8);
+    return;
+  }
+  // n bytes hold 7 - n bits in the lead byte and 6 in each of the others
+  let length = 2;
+  while (value >= 2 ** (7 - length + 6 * (length - 1))) length++;
+  const continuation = length - 1;
+  const lead = (0xff << (8 - length)) & 0xff;
+  writer.writeBits(lead | Math.floor(value / 2 ** (6 * continuation)), 8);
+  for (let i = continuation - 1; i >= 0; i--) {
+    writer.writeBits(0x80 | (Math.floor(value / 2 ** (6 * i)) & 0x3f), 8);
+  }
+}
+
+function crc8(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+    }
+  }
+  return crc;
+}
+
+function crc16(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc ^= bytes[i] << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
+
+/**
+ * MSB-first bit writer over a growing byte array
+ */
+class BitWriter {
+  constructor(capacity = 1024) {
+    this.bytes = new Uint8Array(Math.max(16, Math.ceil(capacity)));
+    this.byteLength = 0;
+    this.accumulator = 0;
+    this.pendingBits = 0;
+  }
+
+  /**
+   * @param {number} value - Unsigned, below 2^bits
+   * @param {number} bits - Up to 32
+   */
+  writeBits(value, bits) {
+    while (bits > 0) {
+      const take = Math.min(bits, 8 - this.pendingBits);
+      const shift = bits - take;
+      const chunk = Math.floor(value / 2 ** shift) & ((1 << take) - 1);
+      this.accumulator = (this.accumulator << take) | chunk;
+      this.pendingBits += take;
+      bits -= take;
+      if (this.pendingBits === 8) {
+        this.pushByte(this.accumulator);
+        this.accumulator = 0;
+        this.pendingBits = 0;
+      }
+    }
+  }
+
+  writeSigned(value, bits) {
+    this.writeBits(value < 0 ? value + 2 ** bits : value, bits);
+  }
+
+  /** Zeros followed by a one */
+  writeUnary(zeros) {
+    while (zeros >= 32) {
+      this.writeBits(0, 32);
+      zeros -= 32;
+    }
+    this.writeBits(1, zeros + 1);
+  }
+
+  writeBytes(bytes) {
+    for (const byte of bytes) this.writeBits(byte, 8);
+  }
+
+  alignToByte() {
+    if (this.pendingBits > 0) this.writeBits(0, 8 - this.pendingBits);
+  }
+
+  pushByte(byte) {
+    if (this.byteLength === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.byteLength++] = byte;
+  }
+
+  finish() {
+    this.alignToByte();
+    return this.bytes.slice(0, this.byteLength);
+  }
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} EncodeOptions
+ * @property {"wav"|"flac"} format
+ * @property {16|24} [bitDepth] - Defaults to 16
+ * @property {number} sampleRate - Output rate in Hz, the recording is resampled to it
+ * @property {boolean} [mono] - Mix all channels down to one
+ */
@@ -0,0 +1,174 @@
+/**
+ * AUDIO INPUT
+ * Microphone selection and capture settings
+ *
+ * Lists the audio input devices, follows them being plugged in and out,
+ * and turns the stored capture settings into getUserMedia constraints.
+ * Browsers treat most settings as hints; the track reports what it got.
+ */
+
+import { EventEmitter } from './helpers.js';
+
+export const CAPTURE_SAMPLE_RATES = [16000, 22050, 44100, 48000];
+export const CAPTURE_CHANNEL_COUNTS = [1, 2];
+
+export const DEFAULT_CAPTURE_SETTINGS = {
+  deviceId: "",
+  sampleRate: 44100,
+  channelCount: 2,
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true
+};
+
+const TEST_RECORDING_MS = 3000;
+
+export class AudioInputDevices extends EventEmitter {
+  constructor() {
+    super();
+    this.devices = [];
+    this.handleDeviceChange = () => {
+      this.refresh().catch(error => console.warn("Listing microphones failed:", error));
+    };
+  }
+
+  /**
+   * List the microphones and follow hot-plug changes
+   */
+  async start() {
+    navigator.mediaDevices.addEventListener?.("devicechange", this.handleDeviceChange);
+    return this.refresh();
+  }
+
+  stop() {
+    navigator.mediaDevices.removeEventListener?.("devicechange", this.handleDeviceChange);
+  }
+
+  /**
+   * Read the device list again. Labels stay empty until microphone access
+   * was granted once, so call this after getUserMedia succeeds.
+   * @returns {Promise<AudioInputDevice[]>}
+   */
+  async refresh() {
+    const all = await navigator.mediaDevices.enumerateDevices();
+    const previous = new Set(this.devices.map(device => device.deviceId));
+
+    this.devices = all
+      // "default" and "communications" are aliases for real devices in the list
+      .filter(device => device.kind === "audioinput" && device.deviceId
+        && device.deviceId !== "default" && device.deviceId !== "communications")
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Microphone ${index + 1}`
+      }));
+
+    const added = this.devices.filter(device => previous.size > 0 && !previous.has(device.deviceId));
+    const current = new Set(this.devices.map(device => device.deviceId));
+    const removed = [...previous].filter(id => !current.has(id));
+    this.emit("change", { devices: this.devices, added, removed });
+    return this.devices;
+  }
+
+  has(deviceId) {
+    return this.devices.some(device => device.deviceId === deviceId);
+  }
+}
+
+// ============================================================================
+// CONSTRAINTS
+// ============================================================================
+
+/**
+ * getUserMedia constraints for the capture settings
+ * @param {CaptureSettings} settings
+ * @param {Partial<CaptureSettings>} [overrides] - e.g. mono for the wake word
+ * @returns {MediaStreamConstraints}
+ */
+export function buildAudioConstraints(settings, overrides = {}) {
+  const { deviceId, ...audio } = { ...settings, ...overrides };
+  return {
+    audio: deviceId ? { ...audio, deviceId: { exact: deviceId } } : audio
+  };
+}
+
+/**
+ * True when getUserMedia failed because the chosen device is gone
+ */
+export function isMissingDeviceError(error) {
+  return (error?.name === "OverconstrainedError" && error.constraint === "deviceId")
+    || error?.name === "NotFoundError";
+}
+
+/**
+ * Record a short clip with the given constraints, to hear the settings
+ * @param {MediaStreamConstraints} constraints
+ * @param {string} mimeType
+ * @returns {Promise<{ blob: Blob, settings: MediaTrackSettings }>}
+ */
+export async function recordTestClip(constraints, mimeType) {
+  const stream = await navigator.mediaDevices.getUserMedia(constraints);
+  const settings = stream.getAudioTracks()[0]?.getSettings() ?? {};
+
+  try {
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+
+    await new Promise((resolve, reject) => {
+      recorder.onstop = resolve;
+      recorder.onerror = (event) => reject(event.error ?? new Error("Test recording failed"));
+      recorder.start();
+      setTimeout(() => {
+        if (recorder.state !== "inactive") recorder.stop();
+      }, TEST_RECORDING_MS);
+    });
+
+    return { blob: new Blob(chunks, { type: recorder.mimeType }), settings };
+  } finally {
+    stream.getTracks().forEach(track => track.stop());
+  }
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * @returns {CaptureSettings}
+ */
+export function normalizeCaptureSettings(settings) {
+  const sampleRate = Number(settings.sampleRate);
+  const channelCount = Number(settings.channelCount);
+  const flag = (key) => typeof settings[key] === "boolean" ? settings[key] : DEFAULT_CAPTURE_SETTINGS[key];
+
+  return {
+    deviceId: typeof settings.deviceId === "string" ? settings.deviceId : "",
+    sampleRate: CAPTURE_SAMPLE_RATES.includes(sampleRate) ? sampleRate : DEFAULT_CAPTURE_SETTINGS.sampleRate,
+    channelCount: CAPTURE_CHANNEL_COUNTS.includes(channelCount) ? channelCount : DEFAULT_CAPTURE_SETTINGS.channelCount,
+    echoCancellation: flag("echoCancellation"),
+    noiseSuppression: flag("noiseSuppression"),
+    autoGainControl: flag("autoGainControl")
+  };
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} CaptureSettings
+ * @property {string} deviceId - Chosen microphone, "" for the system default
+ * @property {number} sampleRate - Requested sample rate in Hz
+ * @property {number} channelCount - 1 for mono, 2 for stereo
+ * @property {boolean} echoCancellation
+ * @property {boolean} noiseSuppression
+ * @property {boolean} autoGainControl
+ */
+
+/**
+ * @typedef {Object} AudioInputDevice
+ * @property {string} deviceId
+ * @property {string} label - Device name, or a placeholder before permission is granted
+ */
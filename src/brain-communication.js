@@ -3,33 +3,65 @@
  * Handles all communication between Juna Frontend (Face) and Brain Backend
  * 
  * IMPLEMENTS EXACT TAURI API SPECIFICATION:
- * - process_query(input: string) → QueryResponse
- * - get_session_status() → SessionStatus  
- * - reset_session() → Result<(), ErrorResponse>
+ * - process_query(input: string, query_id: string, session_id?: string) → QueryResponse
+ * - process_audio_query(audio: number[], mime_type: string, query_id: string, session_id?: string) → QueryResponse
+ * - cancel_query(query_id: string) → Result<(), ErrorResponse>
+ * - get_session_status(session_id?: string) → SessionStatus  
+ * - create_session() → SessionStatus
+ * - reset_session(session_id?: string) → Result<(), ErrorResponse>
+ * - delete_session(session_id: string) → Result<(), ErrorResponse>
+ * - truncate_session(query_id: string, session_id?: string) → SessionStatus
+ * - remove_exchange(query_id: string, answer_only?: boolean, session_id?: string) → SessionStatus
  * 
+ * Session commands without a session_id use the Brain's default session.
  * Progress updates delivered via Tauri events during execution.
+ * Commands and events go through a BrainTransport (Tauri IPC, local HTTP or
+ * the built-in mock Brain), see brain-transport.js.
+ * Streamed answers arrive as response_chunk events and finish with a
+ * response_end event, both correlated to the query by query_id.
  */
 
-import { invoke } from "@tauri-apps/api/tauri";
-import { listen } from "@tauri-apps/api/event";
+import { TauriTransport, HttpTransport } from './brain-transport.js';
+import { MockBrainTransport } from './mock-brain.js';
+import { isTauri } from './tauri-api.js';
+import { EventEmitter } from './helpers.js';
 
-export class BrainCommunication {
-  constructor() {
-    this.eventHandlers = new Map();
+// Voice messages are sent in one IPC call, so keep them reasonably small
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+const DEFAULT_MAX_INPUT_LENGTH = 10000;
+
+const TRANSPORT_KINDS = ["tauri", "http", "mock"];
+
+export class BrainCommunication extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {import('./brain-transport.js').BrainTransport} [options.transport] - Defaults to resolveTransportKind()
+   * @param {string|null} [options.sessionId] - Session queries go to, see setSession()
+   * @param {number} [options.maxInputLength] - Longest text query accepted
+   */
+  constructor(options = {}) {
+    super();
+    this.transport = options.transport ?? createTransport(resolveTransportKind());
+    this.sessionId = options.sessionId ?? null;
+    this.maxInputLength = options.maxInputLength ?? DEFAULT_MAX_INPUT_LENGTH;
     this.currentTaskId = null;
     this.isInitialized = false;
+    this.activeQueries = new Map();
     
-    this.init();
+    // Never rejects; check isReady() once it settles
+    this.initialized = this.init();
   }
 
   async init() {
     try {
+      this.ready = this.transport.connect();
+      await this.ready;
       await this.setupEventListeners();
       this.isInitialized = true;
-      console.log("🧠 Brain Communication initialized successfully");
+      console.log(`🧠 Brain Communication initialized successfully (${this.transport.name} transport)`);
     } catch (error) {
       console.error("Failed to initialize Brain Communication:", error);
-      throw error;
+      this.isInitialized = false;
     }
   }
 
@@ -40,56 +72,234 @@ export class BrainCommunication {
   /**
    * Send a query to the Brain backend
    * @param {string} input - User's natural language input
-   * @returns {Promise<QueryResponse>}
+   * @param {Object} [options]
+   * @param {string} [options.queryId] - Correlation ID for streamed chunks
+   * @param {(chunk: ResponseChunk) => void} [options.onChunk] - Called for each streamed chunk
+   * @returns {QueryHandle}
    */
-  async processQuery(input) {
-    if (!input || typeof input !== 'string') {
-      throw new Error("Input must be a non-empty string");
-    }
+  processQuery(input, options = {}) {
+    return this.createQueryHandle(options, {
+      validate: () => {
+        if (!input || typeof input !== 'string') {
+          throw new Error("Input must be a non-empty string");
+        }
+
+        if (input.length > this.maxInputLength) {
+          throw new Error(`Input exceeds maximum length of ${this.maxInputLength} characters`);
+        }
+      },
+      send: (queryId) => {
+        console.log("🔄 Sending query to Brain:", input);
+        return this.invoke("process_query", { 
+          input: input.trim(),
+          queryId,
+          sessionId: this.sessionId
+        });
+      }
+    });
+  }
+
+  /**
+   * Send a recorded voice message to the Brain backend
+   * @param {Blob} blob - Audio produced by the MediaRecorder
+   * @param {Object} [options] - Same options as processQuery
+   * @returns {QueryHandle}
+   */
+  processAudioQuery(blob, options = {}) {
+    return this.createQueryHandle(options, {
+      validate: () => {
+        if (!(blob instanceof Blob) || blob.size === 0) {
+          throw new Error("Audio must be a non-empty Blob");
+        }
+
+        if (blob.size > MAX_AUDIO_BYTES) {
+          throw new Error(`Audio exceeds maximum size of ${MAX_AUDIO_BYTES / (1024 * 1024)}MB`);
+        }
+      },
+      send: async (queryId) => {
+        console.log(`🔄 Sending audio query to Brain (${blob.size} bytes, ${blob.type})`);
+
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        return this.invoke("process_audio_query", {
+          audio: Array.from(bytes),
+          mimeType: blob.type || "application/octet-stream",
+          queryId,
+          sessionId: this.sessionId
+        });
+      }
+    });
+  }
+
+  /**
+   * Run a query command and wrap it in a cancellable handle
+   *
+   * The handle is a Promise<QueryResponse>, so callers can simply await it.
+   * Invalid input rejects; delivery failures resolve to an ERROR response.
+   */
+  createQueryHandle(options, { validate, send }) {
+    const queryId = options.queryId ?? this.generateQueryId();
+
+    const promise = (async () => {
+      validate();
+
+      const query = this.trackQuery(queryId, options.onChunk);
+      try {
+        // A streamed answer is complete as soon as response_end arrives,
+        // and a cancelled query settles without waiting for the backend
+        const response = await Promise.race([
+          send(queryId),
+          query.ended,
+          query.cancelled
+        ]);
+
+        console.log("✅ Received response from Brain:", response);
+        return this.validateQueryResponse(response);
+      } catch (error) {
+        console.error("❌ Brain communication failed:", error);
+        return this.createCommunicationErrorResponse(error);
+      } finally {
+        this.activeQueries.delete(queryId);
+      }
+    })();
+
+    return Object.assign(promise, {
+      queryId,
+      cancel: () => this.cancelQuery(queryId)
+    });
+  }
 
-    if (input.length > 10000) {
-      throw new Error("Input exceeds maximum length of 10000 characters");
+  /**
+   * Cancel an in-flight query
+   * @param {string} queryId
+   * @returns {Promise<boolean>} Whether a running query was cancelled
+   */
+  async cancelQuery(queryId) {
+    const query = this.activeQueries.get(queryId);
+    if (!query) return false;
+
+    console.log("⏹ Cancelling Brain query:", queryId);
+    query.resolveCancelled(this.createCancelledResponse());
+
+    try {
+      await this.invoke("cancel_query", { queryId });
+    } catch (error) {
+      // The query is already settled locally; the backend just keeps working
+      console.error("❌ Failed to cancel query on Brain:", error);
     }
+    return true;
+  }
+
+  /**
+   * Build the CANCELLED response a query settles with after cancelQuery
+   */
+  createCancelledResponse() {
+    return {
+      success: false,
+      response_type: "CANCELLED",
+      message: "Query cancelled",
+      metadata: {
+        route_taken: "cancelled",
+        execution_time_ms: 0,
+        steps_completed: 0,
+        session_id: "unknown"
+      }
+    };
+  }
+
+  /**
+   * Build the structured ERROR response used when a command cannot be delivered
+   *
+   * Structured ErrorResponses keep their code and recoverable flag; anything
+   * else is an IPC failure, which is worth retrying.
+   */
+  createCommunicationErrorResponse(error) {
+    const isStructured = !!(error?.error_code && error?.message);
+    const errorResponse = isStructured ? this.validateErrorResponse(error) : null;
 
+    return {
+      success: false,
+      response_type: "ERROR",
+      message: isStructured ? errorResponse.message : `Communication failed: ${error?.message || error}`,
+      metadata: {
+        route_taken: "error_handler",
+        execution_time_ms: 0,
+        steps_completed: 0,
+        session_id: "unknown",
+        error_code: isStructured ? errorResponse.error_code : "COMMUNICATION_FAILED",
+        details: isStructured ? errorResponse.details : null,
+        recoverable: isStructured ? errorResponse.recoverable : true
+      }
+    };
+  }
+
+  /**
+   * Switch the session that queries and session commands use
+   * @param {string|null} sessionId - null for the Brain's default session
+   */
+  setSession(sessionId) {
+    this.sessionId = sessionId ?? null;
+  }
+
+  /**
+   * Get the session queries are sent to
+   */
+  getSessionId() {
+    return this.sessionId;
+  }
+
+  /**
+   * Create a new, empty Brain session
+   * @returns {Promise<SessionStatus>}
+   */
+  async createSession() {
     try {
-      console.log("🔄 Sending query to Brain:", input);
+      console.log("🆕 Creating Brain session");
+      const status = await this.invoke("create_session");
+      return this.validateSessionStatus(status);
+    } catch (error) {
+      console.error("❌ Failed to create Brain session:", error);
       
-      const response = await invoke("process_query", { 
-        input: input.trim()
-      });
+      if (error.error_code && error.message) {
+        throw error;
+      } else {
+        throw new Error(`Session creation failed: ${error.message || error}`);
+      }
+    }
+  }
 
-      console.log("✅ Received response from Brain:", response);
-      return this.validateQueryResponse(response);
+  /**
+   * Delete a Brain session and everything it remembers
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async deleteSession(sessionId) {
+    try {
+      console.log("🗑 Deleting Brain session:", sessionId);
+      await this.invoke("delete_session", { sessionId });
     } catch (error) {
-      console.error("❌ Brain communication failed:", error);
+      console.error("❌ Failed to delete Brain session:", error);
       
-      // Return structured error response
-      return {
-        success: false,
-        response_type: "ERROR",
-        message: `Communication failed: ${error.message}`,
-        metadata: {
-          route_taken: "error_handler",
-          execution_time_ms: 0,
-          steps_completed: 0,
-          session_id: "unknown"
-        }
-      };
+      if (error.error_code && error.message) {
+        throw error;
+      } else {
+        throw new Error(`Session deletion failed: ${error.message || error}`);
+      }
     }
   }
 
   /**
-   * Reset the current session
+   * Reset a session, by default the current one
+   * @param {string|null} [sessionId]
    * @returns {Promise<void>}
    */
-  async resetSession() {
+  async resetSession(sessionId = this.sessionId) {
     try {
       console.log("🔄 Resetting Brain session");
-      const result = await invoke("reset_session");
+      const result = await this.invoke("reset_session", { sessionId });
       console.log("✅ Brain session reset successfully", result);
       
       // Notify listeners about session reset
-      this.emit('session_reset', { timestamp: Date.now() });
+      this.emit('session_reset', { session_id: sessionId, timestamp: Date.now() });
     } catch (error) {
       console.error("❌ Failed to reset Brain session:", error);
       
@@ -103,13 +313,61 @@ export class BrainCommunication {
   }
 
   /**
-   * Get current session status
+   * Forget a query's exchange and everything after it, e.g. to edit a message
+   * @param {string} queryId - The query that produced the first dropped answer
+   * @param {string|null} [sessionId]
+   * @returns {Promise<SessionStatus>}
+   */
+  async truncateSession(queryId, sessionId = this.sessionId) {
+    try {
+      console.log("✂️ Truncating Brain session at query:", queryId);
+      const status = await this.invoke("truncate_session", { queryId, sessionId });
+      return this.validateSessionStatus(status);
+    } catch (error) {
+      console.error("❌ Failed to truncate Brain session:", error);
+      
+      if (error.error_code && error.message) {
+        throw error;
+      } else {
+        throw new Error(`Session truncation failed: ${error.message || error}`);
+      }
+    }
+  }
+
+  /**
+   * Forget one exchange, or only its answer, from a session's memory
+   * @param {string} queryId
+   * @param {Object} [options]
+   * @param {boolean} [options.answerOnly] - Keep the user message
+   * @param {string|null} [options.sessionId]
+   * @returns {Promise<SessionStatus>}
+   */
+  async removeExchange(queryId, options = {}) {
+    const { answerOnly = false, sessionId = this.sessionId } = options;
+    try {
+      console.log("🗑 Removing exchange from Brain session:", queryId);
+      const status = await this.invoke("remove_exchange", { queryId, answerOnly, sessionId });
+      return this.validateSessionStatus(status);
+    } catch (error) {
+      console.error("❌ Failed to remove exchange:", error);
+      
+      if (error.error_code && error.message) {
+        throw error;
+      } else {
+        throw new Error(`Exchange removal failed: ${error.message || error}`);
+      }
+    }
+  }
+
+  /**
+   * Get the status of a session, by default the current one
+   * @param {string|null} [sessionId]
    * @returns {Promise<SessionStatus>}
    */
-  async getSessionStatus() {
+  async getSessionStatus(sessionId = this.sessionId) {
     try {
       console.log("🔄 Getting Brain session status");
-      const status = await invoke("get_session_status");
+      const status = await this.invoke("get_session_status", { sessionId });
       console.log("✅ Received session status:", status);
       return this.validateSessionStatus(status);
     } catch (error) {
@@ -117,7 +375,7 @@ export class BrainCommunication {
       
       // Return default session status
       return {
-        session_id: "unknown",
+        session_id: sessionId ?? "unknown",
         created_at: Date.now(),
         message_count: 0,
         current_task: null,
@@ -127,6 +385,14 @@ export class BrainCommunication {
     }
   }
 
+  /**
+   * Call a Brain command once the transport is connected
+   */
+  async invoke(command, args) {
+    await this.ready;
+    return this.transport.invoke(command, args);
+  }
+
   // ============================================================================
   // EVENT HANDLING
   // ============================================================================
@@ -137,19 +403,30 @@ export class BrainCommunication {
   async setupEventListeners() {
     try {
       // Listen for progress updates
-      await listen("progress_update", (event) => {
+      await this.transport.listen("progress_update", (event) => {
         console.log("📊 Received progress update:", event.payload);
         this.handleProgressUpdate(event.payload);
       });
 
       // Listen for error events
-      await listen("brain_error", (event) => {
+      await this.transport.listen("brain_error", (event) => {
         console.log("❌ Received error event:", event.payload);
         this.handleErrorEvent(event.payload);
       });
 
+      // Listen for streamed response chunks
+      await this.transport.listen("response_chunk", (event) => {
+        this.handleResponseChunk(event.payload);
+      });
+
+      // Listen for the end of a streamed response
+      await this.transport.listen("response_end", (event) => {
+        console.log("🏁 Received response end:", event.payload);
+        this.handleResponseEnd(event.payload);
+      });
+
       // Listen for session events
-      await listen("session_event", (event) => {
+      await this.transport.listen("session_event", (event) => {
         console.log("🔄 Received session event:", event.payload);
         this.handleSessionEvent(event.payload);
       });
@@ -178,44 +455,59 @@ export class BrainCommunication {
   }
 
   /**
-   * Handle session events
+   * Handle streamed response chunks
    */
-  handleSessionEvent(event) {
-    this.emit('session_event', event);
+  handleResponseChunk(chunk) {
+    const validatedChunk = this.validateResponseChunk(chunk);
+    const query = this.activeQueries.get(validatedChunk.query_id);
+    
+    if (query?.onChunk) {
+      try {
+        query.onChunk(validatedChunk);
+      } catch (error) {
+        console.error("Error in response chunk handler:", error);
+      }
+    }
+    this.emit('response_chunk', validatedChunk);
   }
 
   /**
-   * Register event handler
+   * Handle the end of a streamed response
    */
-  on(eventType, handler) {
-    if (!this.eventHandlers.has(eventType)) {
-      this.eventHandlers.set(eventType, new Set());
+  handleResponseEnd(end) {
+    const queryId = end?.query_id;
+    const query = this.activeQueries.get(queryId);
+    
+    if (query && end.response) {
+      query.resolveEnd(end.response);
     }
-    this.eventHandlers.get(eventType).add(handler);
+    this.emit('response_end', { query_id: queryId ?? null, response: end?.response ?? null });
   }
 
   /**
-   * Unregister event handler
+   * Track an in-flight query so it can be streamed into or cancelled
    */
-  off(eventType, handler) {
-    if (this.eventHandlers.has(eventType)) {
-      this.eventHandlers.get(eventType).delete(handler);
-    }
+  trackQuery(queryId, onChunk) {
+    let resolveEnd;
+    const ended = new Promise(resolve => {
+      resolveEnd = resolve;
+    });
+    
+    let resolveCancelled;
+    const cancelled = new Promise(resolve => {
+      resolveCancelled = resolve;
+    });
+    
+    const query = { onChunk, ended, resolveEnd, cancelled, resolveCancelled };
+    this.activeQueries.set(queryId, query);
+    return query;
   }
 
   /**
-   * Emit event to all registered handlers
+   * Handle session events
    */
-  emit(eventType, data) {
-    if (this.eventHandlers.has(eventType)) {
-      this.eventHandlers.get(eventType).forEach(handler => {
-        try {
-          handler(data);
-        } catch (error) {
-          console.error(`Error in event handler for ${eventType}:`, error);
-        }
-      });
-    }
+  handleSessionEvent(event) {
+    this.emit('session_event', event);
   }
 
   // ============================================================================
@@ -223,36 +515,18 @@ export class BrainCommunication {
   // ============================================================================
 
   /**
-   * Validate QueryResponse structure
+   * Validate QueryResponse structure, see validateQueryResponse() below
    */
   validateQueryResponse(response) {
-    const validTypes = ["SIMPLE", "COMPLEX", "DIRECT", "ERROR"];
-    
-    if (!response || typeof response !== 'object') {
-      throw new Error("Invalid response structure");
-    }
-
-    return {
-      success: response.success ?? false,
-      response_type: validTypes.includes(response.response_type) ? response.response_type : "ERROR",
-      message: response.message ?? "No message provided",
-      metadata: {
-        route_taken: response.metadata?.route_taken ?? "unknown",
-        execution_time_ms: response.metadata?.execution_time_ms ?? 0,
-        steps_completed: response.metadata?.steps_completed ?? 0,
-        session_id: response.metadata?.session_id ?? "unknown"
-      }
-    };
+    return validateQueryResponse(response);
   }
 
   /**
    * Validate ProgressUpdate structure
    */
   validateProgressUpdate(update) {
-    const validTypes = ["CONTEXT_COLLECTION", "TASK_EXECUTION", "STEP_COMPLETE"];
-    
     return {
-      type: validTypes.includes(update.type) ? update.type : "TASK_EXECUTION",
+      type: PROGRESS_TYPES.includes(update.type) ? update.type : "TASK_EXECUTION",
       message: update.message ?? "Processing...",
       current_step: update.current_step ?? 1,
       total_steps: update.total_steps ?? null,
@@ -260,6 +534,17 @@ export class BrainCommunication {
     };
   }
 
+  /**
+   * Validate ResponseChunk structure
+   */
+  validateResponseChunk(chunk) {
+    return {
+      query_id: chunk?.query_id ?? null,
+      index: chunk?.index ?? 0,
+      text: typeof chunk?.text === 'string' ? chunk.text : ""
+    };
+  }
+
   /**
    * Validate SessionStatus structure
    */
@@ -291,6 +576,13 @@ export class BrainCommunication {
   // UTILITY METHODS
   // ============================================================================
 
+  /**
+   * Name of the transport in use ("tauri", "http", "mock")
+   */
+  getTransportName() {
+    return this.transport.name;
+  }
+
   /**
    * Check if Brain communication is ready
    */
@@ -298,6 +590,13 @@ export class BrainCommunication {
     return this.isInitialized;
   }
 
+  /**
+   * Generate a unique ID used to correlate events with a query
+   */
+  generateQueryId() {
+    return `query_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
   /**
    * Get current task ID
    */
@@ -317,12 +616,102 @@ export class BrainCommunication {
    */
   destroy() {
     this.eventHandlers.clear();
+    this.activeQueries.clear();
+    this.transport.disconnect();
     this.currentTaskId = null;
     this.isInitialized = false;
     console.log("🧠 Brain Communication destroyed");
   }
 }
 
+// ============================================================================
+// TRANSPORT SELECTION
+// ============================================================================
+
+/**
+ * Pick the transport: ?transport=tauri|http|mock, then the saved choice,
+ * then Tauri inside the desktop app and the mock Brain everywhere else
+ * @param {string} [saved] - Choice from the settings, "auto" for none
+ * @returns {"tauri"|"http"|"mock"}
+ */
+export function resolveTransportKind(saved) {
+  const fromUrl = transportKindFromUrl();
+  if (fromUrl) {
+    return fromUrl;
+  }
+  if (TRANSPORT_KINDS.includes(saved)) {
+    return saved;
+  }
+  return isTauri() ? "tauri" : "mock";
+}
+
+/**
+ * The ?transport= parameter, if it names a transport
+ * @returns {"tauri"|"http"|"mock"|null}
+ */
+export function transportKindFromUrl() {
+  const fromUrl = new URLSearchParams(window.location.search).get("transport");
+  return TRANSPORT_KINDS.includes(fromUrl) ? fromUrl : null;
+}
+
+/**
+ * Create a transport by kind
+ * @param {"tauri"|"http"|"mock"} kind
+ * @param {Object} [options] - { baseUrl } for http (defaults to ?brainUrl=)
+ */
+export function createTransport(kind, options = {}) {
+  switch (kind) {
+    case "tauri":
+      return new TauriTransport();
+    case "http":
+      return new HttpTransport({
+        baseUrl: options.baseUrl ?? new URLSearchParams(window.location.search).get("brainUrl") ?? undefined
+      });
+    case "mock":
+      return new MockBrainTransport(options);
+    default:
+      throw new Error(`Unknown Brain transport: ${kind}`);
+  }
+}
+
+// ============================================================================
+// RESPONSE VALIDATION
+// ============================================================================
+
+export const RESPONSE_TYPES = ["SIMPLE", "COMPLEX", "DIRECT", "ERROR", "CANCELLED"];
+export const PROGRESS_TYPES = ["CONTEXT_COLLECTION", "TASK_EXECUTION", "STEP_COMPLETE"];
+
+/**
+ * Validate QueryResponse structure, filling in missing fields
+ * @returns {QueryResponse}
+ */
+export function validateQueryResponse(response) {
+  if (!response || typeof response !== 'object') {
+    throw new Error("Invalid response structure");
+  }
+
+  const validated = {
+    success: response.success ?? false,
+    response_type: RESPONSE_TYPES.includes(response.response_type) ? response.response_type : "ERROR",
+    message: response.message ?? "No message provided",
+    metadata: {
+      route_taken: response.metadata?.route_taken ?? "unknown",
+      execution_time_ms: response.metadata?.execution_time_ms ?? 0,
+      steps_completed: response.metadata?.steps_completed ?? 0,
+      session_id: response.metadata?.session_id ?? "unknown"
+    }
+  };
+
+  // Error responses carry the ErrorResponse fields needed for display and retries
+  if (validated.response_type === "ERROR") {
+    validated.metadata.error_code = response.metadata?.error_code ?? "UNKNOWN_ERROR";
+    validated.metadata.details = response.metadata?.details ?? null;
+    validated.metadata.recoverable = response.metadata?.recoverable ?? false;
+  }
+
+  return validated;
+}
+
 // ============================================================================
 // RESPONSE TYPE DEFINITIONS (for reference)
 // ============================================================================
@@ -330,7 +719,7 @@ export class BrainCommunication {
 /**
  * @typedef {Object} QueryResponse
  * @property {boolean} success
- * @property {"SIMPLE"|"COMPLEX"|"DIRECT"|"ERROR"} response_type
+ * @property {"SIMPLE"|"COMPLEX"|"DIRECT"|"ERROR"|"CANCELLED"} response_type
  * @property {string} message
  * @property {ResponseMetadata} metadata
  */
@@ -341,6 +730,9 @@ export class BrainCommunication {
  * @property {number} execution_time_ms
  * @property {number} steps_completed
  * @property {string} session_id
+ * @property {string} [error_code] - ERROR responses only
+ * @property {string|null} [details] - ERROR responses only
+ * @property {boolean} [recoverable] - ERROR responses only
  */
 
 /**
@@ -352,6 +744,24 @@ export class BrainCommunication {
  * @property {number} timestamp
  */
 
+/**
+ * Promise returned by processQuery/processAudioQuery
+ * @typedef {Promise<QueryResponse> & { queryId: string, cancel: () => Promise<boolean> }} QueryHandle
+ */
+
+/**
+ * @typedef {Object} ResponseChunk
+ * @property {string} query_id
+ * @property {number} index
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} ResponseEnd
+ * @property {string} query_id
+ * @property {QueryResponse} response
+ */
+
 /**
  * @typedef {Object} SessionStatus
  * @property {string} session_id
@@ -0,0 +1,187 @@
+/**
+ * BRAIN TRANSPORTS
+ * How BrainCommunication reaches the Brain backend
+ *
+ * Every transport offers the same two primitives the Tauri IPC has:
+ * - invoke(command, args) → Promise<result>
+ * - listen(event, handler) → Promise<unlisten>
+ *
+ * Implementations:
+ * - TauriTransport: the desktop app's Tauri IPC
+ * - HttpTransport: a Brain running as a local HTTP/WebSocket service
+ * - MockBrainTransport (mock-brain.js): scripted Brain built into the frontend
+ */
+
+import { loadTauriApi } from './tauri-api.js';
+
+const DEFAULT_HTTP_URL = "http://127.0.0.1:8765";
+
+// ============================================================================
+// BASE TRANSPORT
+// ============================================================================
+
+export class BrainTransport {
+  /**
+   * Transport identifier ("tauri", "http", "mock")
+   */
+  get name() {
+    throw new Error("BrainTransport.name must be implemented");
+  }
+
+  /**
+   * Prepare the transport; called once before the first invoke/listen
+   */
+  async connect() {}
+
+  /**
+   * Call a Brain command
+   * @param {string} command
+   * @param {Object} [args]
+   */
+  async invoke(command, args) {
+    throw new Error("BrainTransport.invoke must be implemented");
+  }
+
+  /**
+   * Subscribe to a Brain event
+   * @param {string} eventName
+   * @param {(event: { payload: any }) => void} handler
+   * @returns {Promise<Function>} Unlisten function
+   */
+  async listen(eventName, handler) {
+    throw new Error("BrainTransport.listen must be implemented");
+  }
+
+  /**
+   * Release connections
+   */
+  disconnect() {}
+}
+
+// ============================================================================
+// TAURI IPC
+// ============================================================================
+
+export class TauriTransport extends BrainTransport {
+  get name() {
+    return "tauri";
+  }
+
+  async connect() {
+    this.api = await loadTauriApi();
+  }
+
+  async invoke(command, args) {
+    return this.api.invoke(command, args);
+  }
+
+  async listen(eventName, handler) {
+    return this.api.listen(eventName, handler);
+  }
+}
+
+// ============================================================================
+// LOCAL HTTP / WEBSOCKET
+// ============================================================================
+
+/**
+ * Talks to a Brain service exposing:
+ * - POST {baseUrl}/invoke/{command} with the JSON args → JSON result
+ *   (non-2xx responses carry an ErrorResponse body)
+ * - WebSocket {baseUrl}/events streaming { event, payload } messages
+ */
+export class HttpTransport extends BrainTransport {
+  constructor(options = {}) {
+    super();
+    this.baseUrl = (options.baseUrl ?? DEFAULT_HTTP_URL).replace(/\/$/, "");
+    this.eventHandlers = new Map();
+    this.socket = null;
+    this.reconnectDelayMs = 1000;
+    this.reconnectTimer = null;
+    this.closed = false;
+  }
+
+  get name() {
+    return "http";
+  }
+
+  async connect() {
+    this.closed = false;
+    this.openEventSocket();
+  }
+
+  async invoke(command, args = {}) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/invoke/${encodeURIComponent(command)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(args)
+      });
+    } catch (error) {
+      throw new Error(`Brain service unreachable at ${this.baseUrl}: ${error.message}`);
+    }
+
+    const body = await response.text();
+    const data = body ? JSON.parse(body) : null;
+
+    if (!response.ok) {
+      // Re-throw ErrorResponse bodies as-is so callers see the same shape as over IPC
+      throw data?.error_code ? data : new Error(`HTTP ${response.status} from ${command}`);
+    }
+    return data;
+  }
+
+  async listen(eventName, handler) {
+    if (!this.eventHandlers.has(eventName)) {
+      this.eventHandlers.set(eventName, new Set());
+    }
+    this.eventHandlers.get(eventName).add(handler);
+
+    return () => this.eventHandlers.get(eventName)?.delete(handler);
+  }
+
+  openEventSocket() {
+    const wsUrl = `${this.baseUrl.replace(/^http/, "ws")}/events`;
+    this.socket = new WebSocket(wsUrl);
+
+    this.socket.addEventListener("open", () => {
+      console.log(`🔌 Connected to Brain events at ${wsUrl}`);
+      this.reconnectDelayMs = 1000;
+    });
+
+    this.socket.addEventListener("message", (message) => {
+      let data;
+      try {
+        data = JSON.parse(message.data);
+      } catch (error) {
+        console.error("Invalid Brain event message:", message.data);
+        return;
+      }
+
+      this.eventHandlers.get(data.event)?.forEach(handler => {
+        try {
+          handler({ event: data.event, payload: data.payload });
+        } catch (error) {
+          console.error(`Error in transport handler for ${data.event}:`, error);
+        }
+      });
+    });
+
+    this.socket.addEventListener("close", () => {
+      if (this.closed) return;
+
+      // Keep trying, backing off up to 30s, so a restarted Brain is picked up
+      console.warn(`🔌 Brain event socket closed, reconnecting in ${this.reconnectDelayMs}ms`);
+      this.reconnectTimer = setTimeout(() => this.openEventSocket(), this.reconnectDelayMs);
+      this.reconnectDelayMs = Math.min(this.reconnectDelayMs * 2, 30000);
+    });
+  }
+
+  disconnect() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.socket?.close();
+    this.socket = null;
+  }
+}
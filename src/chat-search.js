@@ -0,0 +1,406 @@
+/**
+ * CHAT SEARCH
+ * Full-text search in the open conversation and, optionally, the stored ones
+ *
+ * Matches on screen are highlighted in place by wrapping them in <mark>
+ * elements, which clearHighlights() unwraps again. Stored conversations are
+ * searched in their history and listed as results below the search bar;
+ * picking one emits 'open-result' so the app can switch to it.
+ */
+
+import { RESPONSE_TYPES } from './brain-communication.js';
+import { markdownToPlainText } from './markdown-renderer.js';
+import { EventEmitter, escapeHtml } from './helpers.js';
+
+const SEARCH_DELAY_MS = 150;
+const MAX_STORED_RESULTS = 50;
+const SNIPPET_CONTEXT = 40;
+// Parts of a rendered message that are not its text
+const SKIPPED_SELECTOR = '.message-actions, .message-time, .response-metadata, .response-header, .code-block-header, button, textarea';
+
+export class ChatSearch extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.panel - The #chat-search panel
+   * @param {HTMLElement} options.chatContainer - Where messages are rendered
+   * @param {import('./session-manager.js').SessionManager} options.sessions
+   * @param {(historyId: string) => import('./history-store.js').HistoryEntry|null} options.getEntry - Entry behind a rendered message
+   */
+  constructor(options) {
+    super();
+    this.panel = options.panel;
+    this.chatContainer = options.chatContainer;
+    this.sessions = options.sessions;
+    this.getEntry = options.getEntry;
+
+    this.elements = {
+      input: this.panel.querySelector('#chat-search-input'),
+      count: this.panel.querySelector('#chat-search-count'),
+      prevBtn: this.panel.querySelector('#chat-search-prev'),
+      nextBtn: this.panel.querySelector('#chat-search-next'),
+      closeBtn: this.panel.querySelector('#chat-search-close'),
+      sender: this.panel.querySelector('#chat-search-sender'),
+      responseType: this.panel.querySelector('#chat-search-type'),
+      includeStored: this.panel.querySelector('#chat-search-stored'),
+      results: this.panel.querySelector('#chat-search-results')
+    };
+
+    this.matches = [];
+    this.currentIndex = -1;
+    this.searchTimer = null;
+    this.searchToken = 0;
+    // Stored conversations do not change while they are closed
+    this.storedEntries = new Map();
+
+    this.elements.responseType.insertAdjacentHTML('beforeend', RESPONSE_TYPES
+      .map(type => `<option value="${type}">${type.charAt(0)}${type.slice(1).toLowerCase()}</option>`)
+      .join(''));
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    const { input, prevBtn, nextBtn, closeBtn, sender, responseType, includeStored, results } = this.elements;
+
+    input.addEventListener('input', () => this.scheduleSearch());
+    input.addEventListener('keydown', (e) => {
+      // Keep Enter, Escape and Space away from the global shortcuts
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.step(e.shiftKey ? -1 : 1);
+      }
+      if (e.key === 'Escape') this.close();
+      if ((e.ctrlKey || e.metaKey) && e.code === 'KeyF') {
+        e.preventDefault();
+        input.select();
+      }
+    });
+
+    prevBtn.addEventListener('click', () => this.step(-1));
+    nextBtn.addEventListener('click', () => this.step(1));
+    closeBtn.addEventListener('click', () => this.close());
+    [sender, responseType, includeStored].forEach(control =>
+      control.addEventListener('change', () => this.search())
+    );
+
+    results.addEventListener('click', (e) => this.openResult(e.target));
+    results.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.openResult(e.target);
+    });
+  }
+
+  openResult(target) {
+    const result = target.closest('[data-conversation-id]');
+    if (result) {
+      this.emit('open-result', {
+        conversationId: result.dataset.conversationId,
+        entryId: result.dataset.entryId
+      });
+    }
+  }
+
+  // ============================================================================
+  // PANEL
+  // ============================================================================
+
+  get isOpen() {
+    return !this.panel.hidden;
+  }
+
+  open() {
+    this.panel.hidden = false;
+    this.elements.input.focus();
+    this.elements.input.select();
+    if (this.elements.input.value.trim()) {
+      this.search();
+    }
+  }
+
+  close() {
+    clearTimeout(this.searchTimer);
+    this.searchToken++;
+    this.panel.hidden = true;
+    this.clearHighlights();
+    this.renderResults([]);
+    this.storedEntries.clear();
+    this.updateCount();
+    this.emit('close');
+  }
+
+  /**
+   * Search again, e.g. after another conversation was opened
+   */
+  refresh() {
+    if (this.isOpen) {
+      this.search();
+    }
+  }
+
+  // ============================================================================
+  // SEARCHING
+  // ============================================================================
+
+  scheduleSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.search(), SEARCH_DELAY_MS);
+  }
+
+  /**
+   * Highlight matches on screen and, if enabled, list those in stored conversations
+   */
+  async search() {
+    clearTimeout(this.searchTimer);
+    const token = ++this.searchToken;
+    const query = this.elements.input.value.trim();
+    const filters = this.getFilters();
+
+    this.highlightMatches(query, filters);
+    this.step(1);
+
+    if (!query || !this.elements.includeStored.checked) {
+      this.renderResults([]);
+      return;
+    }
+
+    const results = await this.searchStored(query, filters);
+    // A newer search started while the histories were loading
+    if (token === this.searchToken) {
+      this.renderResults(results);
+    }
+  }
+
+  /**
+   * @returns {SearchFilters}
+   */
+  getFilters() {
+    return {
+      sender: this.elements.sender.value,
+      responseType: this.elements.responseType.value || null
+    };
+  }
+
+  /**
+   * Wrap every match in the rendered messages in a <mark>
+   */
+  highlightMatches(query, filters) {
+    this.clearHighlights();
+    if (!query) return;
+
+    const needle = query.toLowerCase();
+    this.chatContainer.querySelectorAll('.message[data-history-id]').forEach(messageDiv => {
+      const entry = this.getEntry(messageDiv.dataset.historyId);
+      const content = messageDiv.querySelector('.message-content');
+      if (!entry || !content || !matchesFilters(entry, filters)) return;
+
+      // Collect first, wrapping changes the tree being walked
+      const textNodes = [];
+      const walker = document.createTreeWalker(content, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => node.parentElement.closest(SKIPPED_SELECTOR)
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT
+      });
+      while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+      }
+      textNodes.forEach(node => this.wrapMatches(node, needle));
+    });
+  }
+
+  wrapMatches(textNode, needle) {
+    const text = textNode.nodeValue;
+    const lower = text.toLowerCase();
+    let index = lower.indexOf(needle);
+    if (index === -1) return;
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    while (index !== -1) {
+      fragment.append(text.slice(last, index));
+      const mark = document.createElement('mark');
+      mark.className = 'search-hit';
+      mark.textContent = text.slice(index, index + needle.length);
+      fragment.append(mark);
+      this.matches.push(mark);
+      last = index + needle.length;
+      index = lower.indexOf(needle, last);
+    }
+    fragment.append(text.slice(last));
+    textNode.replaceWith(fragment);
+  }
+
+  clearHighlights() {
+    const parents = new Set();
+    this.matches.forEach(mark => {
+      if (!mark.isConnected) return;
+      parents.add(mark.parentNode);
+      mark.replaceWith(mark.textContent);
+    });
+    // Merge the split text nodes back together
+    parents.forEach(parent => parent.normalize());
+
+    this.matches = [];
+    this.currentIndex = -1;
+  }
+
+  /**
+   * Search the stored conversations other than the open one
+   * @returns {Promise<StoredSearchResult[]>}
+   */
+  async searchStored(query, filters) {
+    const needle = query.toLowerCase();
+    const conversations = this.sessions.list({ includeArchived: true })
+      .filter(conversation => conversation.id !== this.sessions.activeId);
+    const results = [];
+
+    for (const conversation of conversations) {
+      if (!this.storedEntries.has(conversation.id)) {
+        this.storedEntries.set(conversation.id, await this.sessions.createHistory(conversation).load());
+      }
+
+      for (const entry of this.storedEntries.get(conversation.id)) {
+        const text = entryText(entry);
+        const index = text.toLowerCase().indexOf(needle);
+        if (index === -1 || !matchesFilters(entry, filters)) continue;
+
+        results.push({ conversation, entry, snippet: makeSnippet(text, index, needle.length) });
+        if (results.length >= MAX_STORED_RESULTS) return results;
+      }
+    }
+    return results;
+  }
+
+  // ============================================================================
+  // NAVIGATION
+  // ============================================================================
+
+  /**
+   * Move to the next (1) or previous (-1) match on screen
+   */
+  step(direction) {
+    if (this.matches.length === 0) {
+      this.updateCount();
+      return;
+    }
+
+    this.matches[this.currentIndex]?.classList.remove('current');
+    this.currentIndex = (this.currentIndex + direction + this.matches.length) % this.matches.length;
+    this.showCurrent();
+  }
+
+  /**
+   * Jump to the first match inside a message
+   */
+  revealEntry(entryId) {
+    const index = this.matches.findIndex(mark =>
+      mark.closest('.message')?.dataset.historyId === entryId
+    );
+    if (index === -1) return;
+
+    this.matches[this.currentIndex]?.classList.remove('current');
+    this.currentIndex = index;
+    this.showCurrent();
+  }
+
+  showCurrent() {
+    const mark = this.matches[this.currentIndex];
+    mark.classList.add('current');
+    mark.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    this.updateCount();
+  }
+
+  updateCount() {
+    const { count, input, prevBtn, nextBtn } = this.elements;
+    const total = this.matches.length;
+
+    count.textContent = total > 0
+      ? `${this.currentIndex + 1}/${total}`
+      : input.value.trim() ? 'No matches' : '';
+    prevBtn.disabled = total === 0;
+    nextBtn.disabled = total === 0;
+  }
+
+  renderResults(results) {
+    const list = this.elements.results;
+    const searchedStored = this.elements.includeStored.checked && !!this.elements.input.value.trim();
+    list.hidden = results.length === 0 && !searchedStored;
+
+    if (results.length === 0) {
+      list.innerHTML = searchedStored ? '<li class="chat-search-empty">No matches in other conversations</li>' : '';
+      return;
+    }
+
+    list.innerHTML = results.map(({ conversation, entry, snippet }) => `
+      <li class="chat-search-result" data-conversation-id="${conversation.id}" data-entry-id="${entry.id}" tabindex="0">
+        <span class="chat-search-result-title">${escapeHtml(conversation.title)}</span>
+        <span class="chat-search-result-sender">${entry.kind === 'user' ? 'You' : 'Juna'}</span>
+        <span class="chat-search-result-snippet">${snippet}</span>
+      </li>
+    `).join('');
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * The searchable text of a history entry; progress entries have none
+ * @param {import('./history-store.js').HistoryEntry} entry
+ * @returns {string}
+ */
+export function entryText(entry) {
+  switch (entry.kind) {
+    case 'user':
+      return entry.text;
+    case 'response':
+      return markdownToPlainText(entry.response.message);
+    default:
+      return '';
+  }
+}
+
+/**
+ * @param {import('./history-store.js').HistoryEntry} entry
+ * @param {SearchFilters} filters
+ * @returns {boolean}
+ */
+export function matchesFilters(entry, filters) {
+  if (entry.kind === 'progress') return false;
+  if (filters.sender === 'user' && entry.kind !== 'user') return false;
+  if (filters.sender === 'juna' && entry.kind !== 'response') return false;
+  // A response type only applies to Juna's answers
+  if (filters.responseType && entry.response?.response_type !== filters.responseType) return false;
+  return true;
+}
+
+/**
+ * The match with some text around it, as HTML with the match marked
+ */
+function makeSnippet(text, index, length) {
+  const start = Math.max(0, index - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+  const flat = (value) => escapeHtml(value.replace(/\s+/g, ' '));
+
+  return (start > 0 ? '…' : '') +
+    flat(text.slice(start, index)) +
+    `<mark class="search-hit">${flat(text.slice(index, index + length))}</mark>` +
+    flat(text.slice(index + length, end)) +
+    (end < text.length ? '…' : '');
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} SearchFilters
+ * @property {"all"|"user"|"juna"} sender
+ * @property {string|null} responseType - One of RESPONSE_TYPES, null for any
+ */
+
+/**
+ * @typedef {Object} StoredSearchResult
+ * @property {import('./session-manager.js').Conversation} conversation
+ * @property {import('./history-store.js').HistoryEntry} entry
+ * @property {string} snippet - HTML, the match marked
+ */
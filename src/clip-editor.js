@@ -0,0 +1,520 @@
+/**
+ * CLIP EDITOR
+ * Trim, strip silence from and normalize a recording before it is used
+ *
+ * The recording is decoded once and drawn as a min/max waveform with two
+ * handles around the part to keep. Silence is measured like the hands-free
+ * recording does it, as RMS over short windows against a dBFS threshold.
+ * Normalizing sets the loudness of the audible windows to a target level,
+ * held back so the peaks never clip. The result is rendered as 16-bit WAV.
+ */
+
+import { decodeRecording, encodeWav, toIntegerSamples } from './audio-encoder.js';
+import { EventEmitter } from './helpers.js';
+
+// Quieter than any real microphone, used for digital silence
+const MIN_LEVEL_DB = -100;
+// Length of one loudness measurement
+const WINDOW_MS = 10;
+// Silence kept around the speech, so the first word isn't cut off
+const SILENCE_PADDING_MS = 150;
+// Shortest selection the handles allow
+const MIN_SELECTION_MS = 100;
+
+// Loudness of the audible part after normalizing
+export const NORMALIZE_TARGET_DB = -20;
+// Peaks stay below this after normalizing
+const PEAK_CEILING_DB = -1;
+// Don't blow up a recording that is mostly noise
+const MAX_GAIN_DB = 30;
+// Windows this far below the loudest don't count towards the loudness
+const LOUDNESS_GATE_DB = 30;
+
+// Arrow keys move a handle this far, with Shift ten times as far
+const KEY_STEP_MS = 10;
+
+// Width of one waveform column in CSS pixels
+const COLUMN_WIDTH = 2;
+
+export class ClipEditor extends EventEmitter {
+  /**
+   * @param {Object} elements
+   * @param {HTMLCanvasElement} elements.canvas - Waveform target
+   * @param {HTMLElement} elements.track - Holds the handles, laid over the canvas
+   * @param {HTMLElement} elements.startHandle
+   * @param {HTMLElement} elements.endHandle
+   */
+  constructor({ canvas, track, startHandle, endHandle }) {
+    super();
+    this.canvas = canvas;
+    this.track = track;
+    this.handles = { start: startHandle, end: endHandle };
+    this.buffer = null;
+    this.channels = null;
+    this.start = 0;
+    this.end = 0;
+    this.normalized = false;
+    this.gain = 1;
+    this.columns = null;
+    this.colors = null;
+    this.audioContext = null;
+    this.previewSource = null;
+
+    this.bindHandle("start");
+    this.bindHandle("end");
+  }
+
+  get isLoaded() {
+    return this.buffer !== null;
+  }
+
+  get sampleRate() {
+    return this.buffer?.sampleRate ?? 0;
+  }
+
+  /**
+   * Length of the selection in milliseconds
+   */
+  get duration() {
+    return this.isLoaded ? (this.end - this.start) / this.sampleRate * 1000 : 0;
+  }
+
+  get isPreviewing() {
+    return this.previewSource !== null;
+  }
+
+  // ============================================================================
+  // LOADING
+  // ============================================================================
+
+  /**
+   * Decode a recording and select all of it
+   * @param {Blob} blob
+   * @param {number} sampleRate - Rate to decode at, normally the recording's own
+   */
+  async load(blob, sampleRate) {
+    this.close();
+
+    const buffer = await decodeRecording(blob, sampleRate);
+    if (buffer.length === 0) {
+      throw new Error("The recording is empty");
+    }
+
+    this.buffer = buffer;
+    this.channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+    this.normalized = false;
+    this.gain = 1;
+    this.prepareCanvas();
+    this.setSelection(0, buffer.length);
+  }
+
+  /**
+   * Stop the preview and let go of the decoded audio
+   */
+  close() {
+    this.stopPreview();
+    this.audioContext?.close().catch(() => {});
+    this.audioContext = null;
+    this.buffer = null;
+    this.channels = null;
+    this.columns = null;
+  }
+
+  // ============================================================================
+  // EDITING
+  // ============================================================================
+
+  /**
+   * Keep the samples from start up to (not including) end
+   */
+  setSelection(start, end) {
+    if (!this.isLoaded) return;
+
+    const length = this.buffer.length;
+    const minimum = Math.min(length, Math.round(MIN_SELECTION_MS / 1000 * this.sampleRate));
+    start = Math.round(Math.max(0, Math.min(start, length - minimum)));
+    end = Math.round(Math.max(start + minimum, Math.min(end, length)));
+
+    this.start = start;
+    this.end = end;
+    // The loudness depends on what is kept
+    if (this.normalized) {
+      this.gain = normalizeGain(this.channels, this.sampleRate, this.start, this.end);
+    }
+    this.stopPreview();
+    this.draw();
+    this.emit("change", this.getState());
+  }
+
+  selectAll() {
+    if (!this.isLoaded) return;
+    this.setSelection(0, this.buffer.length);
+  }
+
+  /**
+   * Move the handles to the first and last audible sound
+   * @param {number} thresholdDb - Quieter windows count as silence
+   * @returns {boolean} False when the whole recording is silent
+   */
+  stripSilence(thresholdDb) {
+    if (!this.isLoaded) return false;
+
+    const bounds = findSoundBounds(this.channels, this.sampleRate, { thresholdDb });
+    if (!bounds) return false;
+    this.setSelection(bounds.start, bounds.end);
+    return true;
+  }
+
+  /**
+   * @param {boolean} normalized
+   */
+  setNormalized(normalized) {
+    if (!this.isLoaded) return;
+
+    this.normalized = normalized;
+    this.gain = normalized ? normalizeGain(this.channels, this.sampleRate, this.start, this.end) : 1;
+    this.stopPreview();
+    this.draw();
+    this.emit("change", this.getState());
+  }
+
+  /**
+   * @returns {ClipEditState}
+   */
+  getState() {
+    return {
+      start: this.start / this.sampleRate * 1000,
+      end: this.end / this.sampleRate * 1000,
+      total: this.buffer.length / this.sampleRate * 1000,
+      duration: this.duration,
+      gainDb: toDb(this.gain),
+      normalized: this.normalized,
+      edited: this.start > 0 || this.end < this.buffer.length || this.gain !== 1
+    };
+  }
+
+  // ============================================================================
+  // PREVIEW AND RENDERING
+  // ============================================================================
+
+  /**
+   * Play the selection as it will sound once applied
+   */
+  async preview() {
+    if (!this.isLoaded) return;
+    this.stopPreview();
+
+    if (!this.audioContext) {
+      this.audioContext = new AudioContext();
+    }
+    const context = this.audioContext;
+    if (context.state === "suspended") {
+      await context.resume();
+    }
+
+    const source = context.createBufferSource();
+    const gain = context.createGain();
+    source.buffer = this.buffer;
+    gain.gain.value = this.gain;
+    source.connect(gain).connect(context.destination);
+    source.onended = () => {
+      if (this.previewSource !== source) return;
+      this.previewSource = null;
+      this.emit("preview", { playing: false });
+    };
+
+    this.previewSource = source;
+    source.start(0, this.start / this.sampleRate, (this.end - this.start) / this.sampleRate);
+    this.emit("preview", { playing: true });
+  }
+
+  stopPreview() {
+    const source = this.previewSource;
+    if (!source) return;
+
+    this.previewSource = null;
+    source.onended = null;
+    try {
+      source.stop();
+    } catch {
+      // Already ended
+    }
+    source.disconnect();
+    this.emit("preview", { playing: false });
+  }
+
+  /**
+   * The selection with the gain applied, as 16-bit WAV
+   * @returns {{ blob: Blob, duration: number }} Duration in milliseconds
+   */
+  render() {
+    if (!this.isLoaded) {
+      throw new Error("No recording loaded");
+    }
+
+    const samples = this.channels.map((channel) => {
+      const selected = channel.slice(this.start, this.end);
+      if (this.gain !== 1) {
+        for (let i = 0; i < selected.length; i++) selected[i] *= this.gain;
+      }
+      return toIntegerSamples(selected, 16);
+    });
+
+    return {
+      blob: new Blob([encodeWav(samples, this.sampleRate, 16)], { type: "audio/wav" }),
+      duration: this.duration
+    };
+  }
+
+  // ============================================================================
+  // WAVEFORM
+  // ============================================================================
+
+  prepareCanvas() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = this.canvas.clientWidth || this.canvas.width;
+    const height = this.canvas.clientHeight || this.canvas.height;
+    this.canvas.width = Math.round(width * ratio);
+    this.canvas.height = Math.round(height * ratio);
+
+    const count = Math.max(1, Math.floor(width / COLUMN_WIDTH));
+    this.columns = waveformColumns(this.channels, count);
+
+    const style = getComputedStyle(this.canvas);
+    this.colors = {
+      wave: style.getPropertyValue("--waveform-color").trim() || "#667eea",
+      clip: style.getPropertyValue("--waveform-clip-color").trim() || "#ff4757",
+      trimmed: style.getPropertyValue("--waveform-trimmed-color").trim() || "rgba(0, 0, 0, 0.55)"
+    };
+  }
+
+  /**
+   * The waveform as it will sound, with the trimmed parts shaded
+   */
+  draw() {
+    if (!this.columns) return;
+
+    const context = this.canvas.getContext("2d");
+    const { width, height } = this.canvas;
+    const count = this.columns.min.length;
+    const columnWidth = width / count;
+    const middle = height / 2;
+
+    context.clearRect(0, 0, width, height);
+    for (let i = 0; i < count; i++) {
+      const min = Math.max(-1, this.columns.min[i] * this.gain);
+      const max = Math.min(1, this.columns.max[i] * this.gain);
+      const top = middle - max * middle;
+      const columnHeight = Math.max(1, (max - min) * middle);
+
+      context.fillStyle = max >= 1 || min <= -1 ? this.colors.clip : this.colors.wave;
+      context.fillRect(i * columnWidth, top, Math.max(1, columnWidth - 1), columnHeight);
+    }
+
+    const startX = this.start / this.buffer.length * width;
+    const endX = this.end / this.buffer.length * width;
+    context.fillStyle = this.colors.trimmed;
+    context.fillRect(0, 0, startX, height);
+    context.fillRect(endX, 0, width - endX, height);
+
+    this.positionHandles();
+  }
+
+  positionHandles() {
+    const total = this.buffer.length;
+    for (const [name, handle] of Object.entries(this.handles)) {
+      const position = name === "start" ? this.start : this.end;
+      const ms = Math.round(position / this.sampleRate * 1000);
+      handle.style.left = `${position / total * 100}%`;
+      handle.setAttribute("aria-valuemin", "0");
+      handle.setAttribute("aria-valuemax", String(Math.round(total / this.sampleRate * 1000)));
+      handle.setAttribute("aria-valuenow", String(ms));
+      handle.setAttribute("aria-valuetext", formatSeconds(ms));
+    }
+  }
+
+  // ============================================================================
+  // HANDLES
+  // ============================================================================
+
+  /**
+   * Drag with the pointer, nudge with the arrow keys
+   */
+  bindHandle(name) {
+    const handle = this.handles[name];
+
+    handle.addEventListener("pointerdown", (event) => {
+      if (!this.isLoaded || event.button !== 0) return;
+      event.preventDefault();
+      handle.setPointerCapture(event.pointerId);
+      handle.focus();
+    });
+
+    handle.addEventListener("pointermove", (event) => {
+      if (!this.isLoaded || !handle.hasPointerCapture(event.pointerId)) return;
+      const rect = this.track.getBoundingClientRect();
+      const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+      this.moveHandle(name, fraction * this.buffer.length);
+    });
+
+    handle.addEventListener("keydown", (event) => {
+      if (!this.isLoaded) return;
+
+      const step = KEY_STEP_MS / 1000 * this.sampleRate * (event.shiftKey ? 10 : 1);
+      const position = name === "start" ? this.start : this.end;
+      const moves = {
+        ArrowLeft: position - step,
+        ArrowDown: position - step,
+        ArrowRight: position + step,
+        ArrowUp: position + step,
+        Home: 0,
+        End: this.buffer.length
+      };
+      if (!(event.key in moves)) return;
+
+      event.preventDefault();
+      this.moveHandle(name, moves[event.key]);
+    });
+  }
+
+  /**
+   * Move one handle, stopping at the other one
+   */
+  moveHandle(name, position) {
+    const minimum = MIN_SELECTION_MS / 1000 * this.sampleRate;
+    if (name === "start") {
+      this.setSelection(Math.min(position, this.end - minimum), this.end);
+    } else {
+      this.setSelection(this.start, Math.max(position, this.start + minimum));
+    }
+  }
+}
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+/**
+ * RMS level of each WINDOW_MS window in dBFS, the loudest channel counting
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {number} [start]
+ * @param {number} [end]
+ * @returns {{ levels: Float32Array, windowSize: number }}
+ */
+export function windowLevels(channels, sampleRate, start = 0, end = channels[0].length) {
+  const windowSize = Math.max(1, Math.round(WINDOW_MS / 1000 * sampleRate));
+  const levels = new Float32Array(Math.ceil((end - start) / windowSize));
+
+  for (let w = 0; w < levels.length; w++) {
+    const from = start + w * windowSize;
+    const to = Math.min(end, from + windowSize);
+    let loudest = 0;
+    for (const channel of channels) {
+      let sum = 0;
+      for (let i = from; i < to; i++) sum += channel[i] * channel[i];
+      loudest = Math.max(loudest, sum / (to - from));
+    }
+    levels[w] = toDb(Math.sqrt(loudest));
+  }
+  return { levels, windowSize };
+}
+
+/**
+ * Where the sound starts and ends, padded with a little of the silence
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {Object} options
+ * @param {number} options.thresholdDb - Quieter windows count as silence
+ * @param {number} [options.paddingMs]
+ * @returns {{ start: number, end: number }|null} Null when nothing is audible
+ */
+export function findSoundBounds(channels, sampleRate, { thresholdDb, paddingMs = SILENCE_PADDING_MS }) {
+  const { levels, windowSize } = windowLevels(channels, sampleRate);
+  const first = levels.findIndex(level => level >= thresholdDb);
+  if (first === -1) return null;
+  const last = levels.findLastIndex(level => level >= thresholdDb);
+
+  const length = channels[0].length;
+  const padding = Math.round(paddingMs / 1000 * sampleRate);
+  return {
+    start: Math.max(0, first * windowSize - padding),
+    end: Math.min(length, (last + 1) * windowSize + padding)
+  };
+}
+
+/**
+ * Gain that brings the audible part of a selection to NORMALIZE_TARGET_DB.
+ * Pauses between words are gated out, so they don't make the speech louder.
+ * @returns {number} Linear gain, 1 when nothing is audible
+ */
+export function normalizeGain(channels, sampleRate, start = 0, end = channels[0].length) {
+  const { levels } = windowLevels(channels, sampleRate, start, end);
+  const loudest = levels.reduce((max, level) => Math.max(max, level), MIN_LEVEL_DB);
+  if (loudest <= MIN_LEVEL_DB) return 1;
+
+  let power = 0;
+  let counted = 0;
+  for (const level of levels) {
+    if (level < loudest - LOUDNESS_GATE_DB) continue;
+    power += 10 ** (level / 10);
+    counted++;
+  }
+  const loudnessDb = 10 * Math.log10(power / counted);
+
+  let peak = 0;
+  for (const channel of channels) {
+    for (let i = start; i < end; i++) peak = Math.max(peak, Math.abs(channel[i]));
+  }
+
+  const gainDb = Math.min(NORMALIZE_TARGET_DB - loudnessDb, PEAK_CEILING_DB - toDb(peak), MAX_GAIN_DB);
+  return 10 ** (gainDb / 20);
+}
+
+/**
+ * Lowest and highest sample of each column, over all channels
+ * @returns {{ min: Float32Array, max: Float32Array }}
+ */
+function waveformColumns(channels, count) {
+  const length = channels[0].length;
+  const columns = { min: new Float32Array(count), max: new Float32Array(count) };
+
+  for (let c = 0; c < count; c++) {
+    const from = Math.floor(c * length / count);
+    const to = Math.max(from + 1, Math.floor((c + 1) * length / count));
+    let min = 0;
+    let max = 0;
+    for (const channel of channels) {
+      for (let i = from; i < to && i < length; i++) {
+        if (channel[i] < min) min = channel[i];
+        if (channel[i] > max) max = channel[i];
+      }
+    }
+    columns.min[c] = min;
+    columns.max[c] = max;
+  }
+  return columns;
+}
+
+function toDb(amplitude) {
+  return amplitude > 0 ? Math.max(MIN_LEVEL_DB, 20 * Math.log10(amplitude)) : MIN_LEVEL_DB;
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(2)} seconds`;
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} ClipEditState
+ * @property {number} start - Start of the selection in milliseconds
+ * @property {number} end - End of the selection in milliseconds
+ * @property {number} total - Length of the whole recording in milliseconds
+ * @property {number} duration - Length of the selection in milliseconds
+ * @property {number} gainDb - Gain applied by normalizing, 0 when off
+ * @property {boolean} normalized
+ * @property {boolean} edited - Whether applying would change the recording
+ */
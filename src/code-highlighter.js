@@ -0,0 +1,145 @@
+/**
+ * CODE HIGHLIGHTER
+ * Lightweight syntax highlighting for code blocks in Juna responses
+ *
+ * Each language family has one tokenizing regex for comments, strings,
+ * numbers and words. Every token is escaped before it is wrapped in a
+ * <span class="tok-…">, so highlighted code is as safe as escaped text.
+ */
+
+import { escapeHtml } from './helpers.js';
+
+const C_COMMENTS = [String.raw`\/\/[^\n]*`, String.raw`\/\*[\s\S]*?\*\/`];
+const HASH_COMMENTS = [String.raw`#[^\n]*`];
+const DOUBLE_QUOTED = String.raw`"(?:\\.|[^"\\\n])*"`;
+const SINGLE_QUOTED = String.raw`'(?:\\.|[^'\\\n])*'`;
+
+const LANGUAGES = {
+  js: {
+    comments: C_COMMENTS,
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED, String.raw`\`(?:\\[\s\S]|[^\`\\])*\``],
+    keywords: "async await break case catch class const continue debugger default delete do else enum export extends finally for from function get if implements import in instanceof interface let new of return set static super switch this throw try type typeof var void while with yield",
+    literals: "true false null undefined NaN Infinity"
+  },
+  python: {
+    comments: HASH_COMMENTS,
+    strings: [String.raw`"""[\s\S]*?"""`, String.raw`'''[\s\S]*?'''`, DOUBLE_QUOTED, SINGLE_QUOTED],
+    keywords: "and as assert async await break case class continue def del elif else except finally for from global if import in is lambda match nonlocal not or pass raise return self try while with yield",
+    literals: "True False None"
+  },
+  rust: {
+    comments: C_COMMENTS,
+    strings: [DOUBLE_QUOTED],
+    keywords: "as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while",
+    literals: "true false None Some Ok Err"
+  },
+  c: {
+    comments: C_COMMENTS,
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED],
+    keywords: "abstract auto bool break case catch char class const continue default defer delete do double else enum extends extern final float for func go if implements import include int interface long namespace new package private protected public return short signed sizeof static struct super switch template this throw throws try typedef union unsigned using var void volatile while",
+    literals: "true false null nullptr nil NULL"
+  },
+  shell: {
+    comments: HASH_COMMENTS,
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED],
+    keywords: "if then else elif fi for while until do done case esac function in return export local readonly echo exit source cd sudo",
+    literals: "true false"
+  },
+  sql: {
+    comments: [String.raw`--[^\n]*`, String.raw`\/\*[\s\S]*?\*\/`],
+    strings: [SINGLE_QUOTED],
+    keywords: "select from where insert into values update set delete create table drop alter add index view join left right inner outer full cross on group by order asc desc having limit offset as and or not is in like between distinct union all exists case when then else end primary key foreign references default unique with returning",
+    literals: "null true false",
+    ignoreCase: true
+  },
+  json: {
+    comments: [],
+    strings: [DOUBLE_QUOTED],
+    keywords: "",
+    literals: "true false null"
+  }
+};
+
+const LANGUAGE_ALIASES = {
+  js: "js", javascript: "js", jsx: "js", mjs: "js", cjs: "js", ts: "js", typescript: "js", tsx: "js",
+  py: "python", python: "python",
+  rs: "rust", rust: "rust",
+  c: "c", h: "c", cpp: "c", "c++": "c", cc: "c", hpp: "c", java: "c", kotlin: "c", kt: "c",
+  cs: "c", csharp: "c", go: "c", golang: "c", swift: "c",
+  sh: "shell", bash: "shell", zsh: "shell", shell: "shell", console: "shell",
+  sql: "sql", psql: "sql", sqlite: "sql",
+  json: "json", jsonc: "json"
+};
+
+const tokenizers = new Map();
+
+/**
+ * Map a fenced code block's info string to a supported language
+ * @returns {string|null}
+ */
+export function resolveLanguage(info) {
+  const name = String(info ?? '').trim().split(/\s+/)[0].toLowerCase();
+  return LANGUAGE_ALIASES[name] ?? null;
+}
+
+/**
+ * Highlight code as HTML; unknown languages are only escaped
+ * @param {string} code
+ * @param {string|null} language - A name returned by resolveLanguage()
+ * @returns {string}
+ */
+export function highlightCode(code, language) {
+  const spec = LANGUAGES[language];
+  if (!spec) return escapeHtml(code);
+
+  const tokenizer = getTokenizer(language, spec);
+  let html = '';
+  let last = 0;
+
+  for (const match of code.matchAll(tokenizer.pattern)) {
+    html += escapeHtml(code.slice(last, match.index));
+    html += wrapToken(match, tokenizer);
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(code.slice(last));
+}
+
+function wrapToken(match, tokenizer) {
+  const [token, comment, string, number, word] = match;
+  let type = null;
+
+  if (comment) {
+    type = 'comment';
+  } else if (string) {
+    type = 'string';
+  } else if (number) {
+    type = 'number';
+  } else if (word) {
+    const key = tokenizer.ignoreCase ? word.toLowerCase() : word;
+    type = tokenizer.keywords.has(key) ? 'keyword' : tokenizer.literals.has(key) ? 'literal' : null;
+  }
+
+  return type ? `<span class="tok-${type}">${escapeHtml(token)}</span>` : escapeHtml(token);
+}
+
+function getTokenizer(language, spec) {
+  if (!tokenizers.has(language)) {
+    const alternatives = (patterns) => patterns.length ? patterns.join('|') : '(?!)';
+    const words = (list) => new Set(
+      list.split(' ').filter(Boolean).map(word => spec.ignoreCase ? word.toLowerCase() : word)
+    );
+
+    tokenizers.set(language, {
+      pattern: new RegExp([
+        `(${alternatives(spec.comments)})`,
+        `(${alternatives(spec.strings)})`,
+        String.raw`(\b(?:0x[\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b)`,
+        String.raw`([A-Za-z_$][\w$]*)`
+      ].join('|'), 'g'),
+      keywords: words(spec.keywords),
+      literals: words(spec.literals),
+      ignoreCase: !!spec.ignoreCase
+    });
+  }
+  return tokenizers.get(language);
+}
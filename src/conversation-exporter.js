@@ -0,0 +1,254 @@
+/**
+ * CONVERSATION EXPORTER
+ * Turns a stored conversation into Markdown, JSON or a standalone HTML page
+ *
+ * JSON is lossless: it carries the history entries exactly as stored.
+ * Markdown and HTML are for reading and pasting into tickets and reports.
+ * Inside the desktop app files are saved through the native save dialog:
+ * - save_export(fileName, filterName, extension, contents) → path | null
+ */
+
+import { invoke, isTauri } from './tauri-api.js';
+import { escapeHtml } from './helpers.js';
+
+export const EXPORT_FORMAT_ID = "juna-conversation";
+export const EXPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  markdown: { label: "Markdown", extension: "md", mimeType: "text/markdown" },
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+  html: { label: "HTML", extension: "html", mimeType: "text/html" }
+};
+
+export class ConversationExporter {
+  /**
+   * Render a conversation in one of the EXPORT_FORMATS
+   * @param {import('./session-manager.js').Conversation} conversation
+   * @param {import('./history-store.js').HistoryEntry[]} entries
+   * @param {"markdown"|"json"|"html"} format
+   * @returns {string}
+   */
+  export(conversation, entries, format) {
+    switch (format) {
+      case 'markdown':
+        return this.toMarkdown(conversation, entries);
+      case 'json':
+        return this.toJson(conversation, entries);
+      case 'html':
+        return this.toHtml(conversation, entries);
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  /**
+   * Render and save a conversation
+   * @returns {Promise<string|null>} Where it was saved, null if the user cancelled
+   */
+  async save(conversation, entries, format) {
+    const contents = this.export(conversation, entries, format);
+    return saveExportFile(this.fileName(conversation, format), EXPORT_FORMATS[format], contents);
+  }
+
+  fileName(conversation, format) {
+    const slug = conversation.title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40) || 'conversation';
+    const date = formatTimestamp(Date.now()).slice(0, 10);
+    return `juna-${slug}-${date}.${EXPORT_FORMATS[format].extension}`;
+  }
+
+  // ============================================================================
+  // FORMATS
+  // ============================================================================
+
+  toJson(conversation, entries) {
+    const document = {
+      format: EXPORT_FORMAT_ID,
+      version: EXPORT_VERSION,
+      exported_at: Date.now(),
+      conversation: {
+        title: conversation.title,
+        created_at: conversation.created_at,
+        updated_at: conversation.updated_at
+      },
+      entries
+    };
+    return JSON.stringify(document, null, 2);
+  }
+
+  toMarkdown(conversation, entries) {
+    const lines = [
+      `# ${conversation.title}`,
+      '',
+      `_Exported from Juna on ${formatTimestamp(Date.now())}_`,
+      ''
+    ];
+
+    for (const entry of entries) {
+      switch (entry.kind) {
+        case 'user':
+          lines.push(`### You · ${formatTimestamp(entry.timestamp)}`, '', entry.text, '');
+          break;
+        case 'response': {
+          const { response } = entry;
+          lines.push(
+            `### Juna · ${response.response_type} · ${formatTimestamp(entry.timestamp)}`,
+            '',
+            response.message || '_No message_',
+            '',
+            `> ${describeMetadata(response.metadata).join(' · ')}`,
+            ''
+          );
+          break;
+        }
+        case 'progress':
+          lines.push(`> ⚙️ ${describeProgress(entry.progress)} · ${formatTimestamp(entry.timestamp)}`, '');
+          break;
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  toHtml(conversation, entries) {
+    const messages = entries.map(entry => {
+      const time = `<time datetime="${new Date(entry.timestamp).toISOString()}">${formatTimestamp(entry.timestamp)}</time>`;
+
+      switch (entry.kind) {
+        case 'user':
+          return `
+    <article class="message user">
+      <header><strong>You</strong>${time}</header>
+      <p>${escapeHtml(entry.text)}</p>
+    </article>`;
+        case 'response': {
+          const { response } = entry;
+          const type = escapeHtml(response.response_type);
+          return `
+    <article class="message juna ${type.toLowerCase()}">
+      <header><strong>Juna</strong><span class="type">${type}</span>${time}</header>
+      <p>${escapeHtml(response.message || 'No message')}</p>
+      <footer>${describeMetadata(response.metadata).map(escapeHtml).join(' · ')}</footer>
+    </article>`;
+        }
+        case 'progress':
+          return `
+    <p class="progress">⚙️ ${escapeHtml(describeProgress(entry.progress))} ${time}</p>`;
+        default:
+          return '';
+      }
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(conversation.title)} - Juna</title>
+  <style>
+    body { margin: 0; padding: 32px 16px; background: #0f0f0f; color: #ffffff; font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+    main { max-width: 760px; margin: 0 auto; }
+    h1 { margin: 0 0 4px; font-size: 24px; }
+    .exported { margin: 0 0 32px; color: #808080; font-size: 13px; }
+    .message { margin: 0 0 16px; padding: 12px 16px; border-radius: 12px; background: #1a1a1a; }
+    .message.user { margin-left: 15%; background: #2a2a2a; }
+    .message.error { border-left: 3px solid #ff4757; }
+    .message.cancelled { opacity: 0.7; }
+    .message header { display: flex; gap: 8px; align-items: baseline; margin-bottom: 4px; }
+    .message p { margin: 0; white-space: pre-wrap; }
+    .message footer { margin-top: 8px; color: #808080; font-size: 12px; }
+    .type { padding: 0 6px; border: 1px solid #4b7bec; border-radius: 8px; color: #4b7bec; font-size: 11px; }
+    time { margin-left: auto; color: #808080; font-size: 12px; }
+    .progress { display: flex; gap: 8px; margin: 0 0 16px; color: #b3b3b3; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(conversation.title)}</h1>
+    <p class="exported">Exported from Juna on ${formatTimestamp(Date.now())}</p>${messages}
+  </main>
+</body>
+</html>
+`;
+  }
+}
+
+// ============================================================================
+// SAVING
+// ============================================================================
+
+/**
+ * Save a file through the native dialog, or the browser's file picker
+ * @returns {Promise<string|null>}
+ */
+export async function saveExportFile(fileName, format, contents) {
+  if (isTauri()) {
+    return invoke("save_export", {
+      fileName,
+      filterName: format.label,
+      extension: format.extension,
+      contents
+    });
+  }
+
+  if (typeof window.showSaveFilePicker === 'function') {
+    let handle;
+    try {
+      handle = await window.showSaveFilePicker({
+        suggestedName: fileName,
+        types: [{ description: format.label, accept: { [format.mimeType]: [`.${format.extension}`] } }]
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') return null;
+      throw error;
+    }
+    const writable = await handle.createWritable();
+    await writable.write(contents);
+    await writable.close();
+    return handle.name;
+  }
+
+  // Browsers without a file picker can only download
+  const url = URL.createObjectURL(new Blob([contents], { type: format.mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+  return fileName;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function describeMetadata(metadata = {}) {
+  const parts = [
+    `Route: ${metadata.route_taken ?? 'unknown'}`,
+    `${metadata.execution_time_ms ?? 0} ms`,
+    `${metadata.steps_completed ?? 0} steps completed`
+  ];
+  if (metadata.error_code) {
+    parts.push(`Error: ${metadata.error_code}`);
+  }
+  return parts;
+}
+
+function describeProgress(progress) {
+  const step = progress.total_steps
+    ? `step ${progress.current_step}/${progress.total_steps}`
+    : `step ${progress.current_step}`;
+  return `${progress.message} (${step}, ${progress.status})`;
+}
+
+/**
+ * Local time as YYYY-MM-DD HH:MM:SS
+ */
+function formatTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
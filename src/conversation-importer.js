@@ -0,0 +1,222 @@
+/**
+ * CONVERSATION IMPORTER
+ * Reads conversations written by the JSON export back in
+ *
+ * Every entry is checked before anything is shown, and responses go through
+ * the same validateQueryResponse() rules as live Brain responses. A file with
+ * malformed entries is rejected as a whole, listing what is wrong.
+ */
+
+import { EXPORT_FORMAT_ID, EXPORT_VERSION } from './conversation-exporter.js';
+import { PROGRESS_TYPES, RESPONSE_TYPES, validateQueryResponse } from './brain-communication.js';
+import { ENTRY_KINDS } from './history-store.js';
+
+const PROGRESS_STATUSES = ["running", "completed", "cancelled", "failed"];
+const MAX_REPORTED_PROBLEMS = 5;
+
+export class ConversationImporter {
+  /**
+   * Read and validate an exported conversation file
+   * @param {File} file
+   * @returns {Promise<ImportedConversation>}
+   */
+  async readFile(file) {
+    return this.parse(await file.text(), file.name);
+  }
+
+  /**
+   * @param {string} text - Contents of a JSON export
+   * @param {string} [source] - Name used in error messages
+   * @returns {ImportedConversation}
+   */
+  parse(text, source = "File") {
+    let document;
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${source} is not valid JSON: ${error.message}`);
+    }
+    return this.validateDocument(document, source);
+  }
+
+  /**
+   * Check an export document and normalize its entries
+   * @returns {ImportedConversation}
+   */
+  validateDocument(document, source = "File") {
+    if (!document || typeof document !== 'object' || document.format !== EXPORT_FORMAT_ID) {
+      throw new Error(`${source} is not a Juna conversation export`);
+    }
+    if (typeof document.version !== 'number' || document.version > EXPORT_VERSION) {
+      throw new Error(`${source} uses an unsupported export version (${document.version})`);
+    }
+    if (typeof document.conversation?.title !== 'string' || !Array.isArray(document.entries)) {
+      throw new Error(`${source} has no conversation title or entry list`);
+    }
+
+    const entries = [];
+    const problems = [];
+    document.entries.forEach((entry, index) => {
+      try {
+        entries.push(this.validateEntry(entry, index));
+      } catch (error) {
+        problems.push(`entry ${index + 1}: ${error.message}`);
+      }
+    });
+
+    if (problems.length > 0) {
+      const listed = problems.slice(0, MAX_REPORTED_PROBLEMS).join('; ');
+      const hidden = problems.length - MAX_REPORTED_PROBLEMS;
+      throw new Error(
+        `${source} has ${problems.length} malformed ${problems.length === 1 ? 'entry' : 'entries'}: ` +
+        listed + (hidden > 0 ? `; and ${hidden} more` : '')
+      );
+    }
+    if (entries.length === 0) {
+      throw new Error(`${source} contains no messages`);
+    }
+
+    return {
+      conversation: {
+        title: document.conversation.title.trim() || "Imported conversation",
+        created_at: numberOr(document.conversation.created_at, entries[0].timestamp),
+        updated_at: numberOr(document.conversation.updated_at, entries[entries.length - 1].timestamp)
+      },
+      exported_at: numberOr(document.exported_at, null),
+      entries
+    };
+  }
+
+  /**
+   * Check one history entry, throwing a short description of the problem
+   * @returns {import('./history-store.js').HistoryEntry}
+   */
+  validateEntry(entry, index) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error("not an object");
+    }
+    if (!ENTRY_KINDS.includes(entry.kind)) {
+      throw new Error(`unknown kind ${JSON.stringify(entry.kind)}`);
+    }
+    if (!Number.isFinite(entry.timestamp)) {
+      throw new Error(`${entry.kind} entry has no timestamp`);
+    }
+
+    const validated = {
+      id: typeof entry.id === 'string' ? entry.id : `imported_${index + 1}`,
+      kind: entry.kind,
+      timestamp: entry.timestamp
+    };
+
+    switch (entry.kind) {
+      case 'user':
+        if (typeof entry.text !== 'string' || !entry.text.trim()) {
+          throw new Error("user message has no text");
+        }
+        return { ...validated, text: entry.text, audio: entry.audio === true };
+
+      case 'response': {
+        let response;
+        try {
+          response = validateQueryResponse(entry.response);
+        } catch (error) {
+          throw new Error(`response: ${error.message}`);
+        }
+        // Live responses fall back to ERROR, but in a file an unknown type means damage
+        if (!RESPONSE_TYPES.includes(entry.response.response_type)) {
+          throw new Error(
+            `response_type must be one of ${RESPONSE_TYPES.join(', ')}, got ${JSON.stringify(entry.response.response_type)}`
+          );
+        }
+        if (typeof response.message !== 'string') {
+          throw new Error("response: message must be a string");
+        }
+        this.validateMetadata(response.metadata);
+        return { ...validated, response };
+      }
+
+      case 'progress': {
+        const { progress } = entry;
+        if (typeof progress?.type !== 'string' || typeof progress.message !== 'string') {
+          throw new Error("progress entry has no step type or message");
+        }
+        if (!PROGRESS_TYPES.includes(progress.type)) {
+          throw new Error(
+            `progress type must be one of ${PROGRESS_TYPES.join(', ')}, got ${JSON.stringify(progress.type)}`
+          );
+        }
+        return {
+          ...validated,
+          progress: {
+            type: progress.type,
+            message: progress.message,
+            current_step: numberOr(progress.current_step, 1),
+            total_steps: numberOr(progress.total_steps, null),
+            status: PROGRESS_STATUSES.includes(progress.status) ? progress.status : "completed"
+          }
+        };
+      }
+    }
+  }
+
+  /**
+   * Metadata ends up in the chat, so only plain strings and numbers get through
+   */
+  validateMetadata(metadata) {
+    for (const field of ['route_taken', 'session_id']) {
+      if (typeof metadata[field] !== 'string') {
+        throw new Error(`response: metadata.${field} must be a string`);
+      }
+    }
+    for (const field of ['execution_time_ms', 'steps_completed']) {
+      if (!Number.isFinite(metadata[field])) {
+        throw new Error(`response: metadata.${field} must be a number`);
+      }
+    }
+    if ('error_code' in metadata && typeof metadata.error_code !== 'string') {
+      throw new Error("response: metadata.error_code must be a string");
+    }
+    if (metadata.details != null && typeof metadata.details !== 'string') {
+      throw new Error("response: metadata.details must be a string");
+    }
+  }
+
+  /**
+   * The user messages of a conversation, each with the response it got
+   * @param {import('./history-store.js').HistoryEntry[]} entries
+   * @returns {ReplayTurn[]}
+   */
+  userTurns(entries) {
+    const turns = [];
+    for (const entry of entries) {
+      if (entry.kind === 'user') {
+        turns.push({ text: entry.text, audio: entry.audio === true, original: null });
+      } else if (entry.kind === 'response' && turns.length > 0 && !turns[turns.length - 1].original) {
+        turns[turns.length - 1].original = entry.response;
+      }
+    }
+    return turns;
+  }
+}
+
+function numberOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} ImportedConversation
+ * @property {{ title: string, created_at: number, updated_at: number }} conversation
+ * @property {number|null} exported_at
+ * @property {import('./history-store.js').HistoryEntry[]} entries
+ */
+
+/**
+ * @typedef {Object} ReplayTurn
+ * @property {string} text
+ * @property {boolean} audio - Sent as a voice message; only its label was stored
+ * @property {import('./brain-communication.js').QueryResponse|null} original
+ */
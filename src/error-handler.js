@@ -0,0 +1,143 @@
+/**
+ * ERROR HANDLER
+ * Automatic retries for recoverable Brain errors
+ *
+ * Every query gets its own retry budget. Retries wait with exponential
+ * backoff, and a pending retry can be started early or cancelled.
+ */
+
+export class ErrorHandler {
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 15000;
+
+    this.retryBudgets = new Map();
+    this.pendingRetries = new Map();
+  }
+
+  // ============================================================================
+  // RETRY POLICY
+  // ============================================================================
+
+  /**
+   * Check whether a QueryResponse failed in a way worth retrying
+   */
+  isRecoverable(response) {
+    return response?.response_type === "ERROR" && response.metadata?.recoverable === true;
+  }
+
+  /**
+   * Check whether a query still has retries left
+   */
+  canRetry(queryKey) {
+    return this.getAttempts(queryKey) < this.maxRetries;
+  }
+
+  /**
+   * Check whether a response should be retried for this query
+   */
+  shouldRetry(response, queryKey) {
+    return this.isRecoverable(response) && this.canRetry(queryKey);
+  }
+
+  /**
+   * Number of retries already spent on a query
+   */
+  getAttempts(queryKey) {
+    return this.retryBudgets.get(queryKey) ?? 0;
+  }
+
+  /**
+   * Spend one retry from the query's budget
+   * @returns {RetryInfo}
+   */
+  scheduleRetry(queryKey) {
+    const attempt = this.getAttempts(queryKey) + 1;
+    this.retryBudgets.set(queryKey, attempt);
+
+    return {
+      attempt,
+      maxRetries: this.maxRetries,
+      delayMs: this.calculateRetryDelay(attempt)
+    };
+  }
+
+  /**
+   * Exponential backoff with ±20% jitter
+   */
+  calculateRetryDelay(attempt) {
+    const exponential = this.baseDelayMs * Math.pow(2, attempt - 1);
+    const jitter = exponential * 0.2 * (Math.random() * 2 - 1);
+    return Math.round(Math.min(this.maxDelayMs, exponential + jitter));
+  }
+
+  // ============================================================================
+  // PENDING RETRIES
+  // ============================================================================
+
+  /**
+   * Wait until a retry is due
+   * @returns {Promise<boolean>} true to retry, false if the retry was cancelled
+   */
+  waitForRetry(queryKey, delayMs) {
+    this.cancelRetry(queryKey);
+
+    return new Promise(resolve => {
+      const settle = (proceed) => {
+        clearTimeout(timer);
+        this.pendingRetries.delete(queryKey);
+        resolve(proceed);
+      };
+
+      const timer = setTimeout(() => settle(true), delayMs);
+      this.pendingRetries.set(queryKey, settle);
+    });
+  }
+
+  /**
+   * Skip the remaining backoff and retry immediately
+   */
+  retryNow(queryKey) {
+    const settle = this.pendingRetries.get(queryKey);
+    if (!settle) return false;
+    settle(true);
+    return true;
+  }
+
+  /**
+   * Abandon a pending retry
+   */
+  cancelRetry(queryKey) {
+    const settle = this.pendingRetries.get(queryKey);
+    if (!settle) return false;
+    settle(false);
+    return true;
+  }
+
+  /**
+   * Check whether a query is waiting for a retry
+   */
+  hasPendingRetry(queryKey) {
+    return this.pendingRetries.has(queryKey);
+  }
+
+  /**
+   * Forget a finished query's budget
+   */
+  finish(queryKey) {
+    this.cancelRetry(queryKey);
+    this.retryBudgets.delete(queryKey);
+  }
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} RetryInfo
+ * @property {number} attempt - 1-based retry number
+ * @property {number} maxRetries
+ * @property {number} delayMs
+ */
@@ -0,0 +1,237 @@
+/**
+ * GLOBAL SHORTCUTS
+ * System-wide hotkeys for push-to-talk and toggling the recording
+ *
+ * The Tauri backend registers the shortcuts with the OS, so they also fire
+ * while another application is focused. Presses and releases come back as
+ * `global_shortcut` events. Outside Tauri the shortcuts are unavailable.
+ */
+
+import { isTauri, invoke, listen } from './tauri-api.js';
+import { EventEmitter } from './helpers.js';
+
+// Settings key -> action name used by the backend
+const SHORTCUT_ACTIONS = {
+  pushToTalk: "push_to_talk",
+  toggleRecording: "toggle_recording"
+};
+
+const ACTION_LABELS = {
+  pushToTalk: "push-to-talk",
+  toggleRecording: "toggle recording"
+};
+
+// Keys Juna handles while focused; a global shortcut would swallow them
+const IN_APP_SHORTCUTS = [
+  { accelerator: "Space", label: "start/stop recording" },
+  { accelerator: "Enter", label: "play recording" },
+  { accelerator: "Escape", label: "stop Juna" },
+  { accelerator: "Delete", label: "delete recording" },
+  { accelerator: "Control+Enter", label: "send recording" },
+  { accelerator: "Control+KeyS", label: "save recording" },
+  { accelerator: "Control+KeyF", label: "search" },
+  { accelerator: "Super+KeyF", label: "search" }
+];
+
+const MODIFIER_KEYS = ["Control", "Alt", "Shift", "Super"];
+const MODIFIER_CODES = new Set([
+  "ControlLeft", "ControlRight", "AltLeft", "AltRight",
+  "ShiftLeft", "ShiftRight", "MetaLeft", "MetaRight", "OSLeft", "OSRight"
+]);
+
+export const DEFAULT_SHORTCUT_SETTINGS = {
+  pushToTalk: "",
+  toggleRecording: ""
+};
+
+export class GlobalShortcuts extends EventEmitter {
+  /**
+   * @param {Partial<ShortcutSettings>} [settings]
+   */
+  constructor(settings = {}) {
+    super();
+    this.settings = normalizeShortcutSettings(settings);
+    this.statuses = {};
+    this.unlisten = null;
+    this.captureIndicatorActive = false;
+  }
+
+  get isSupported() {
+    return isTauri();
+  }
+
+  /**
+   * Listen for shortcut events and register the configured shortcuts
+   */
+  async start() {
+    if (!this.isSupported || this.unlisten) return;
+
+    this.unlisten = await listen("global_shortcut", ({ payload }) => {
+      const key = Object.keys(SHORTCUT_ACTIONS).find(k => SHORTCUT_ACTIONS[k] === payload.action);
+      if (key) this.emit("shortcut", { action: key, pressed: payload.pressed });
+    });
+    await this.apply();
+  }
+
+  stop() {
+    this.unlisten?.();
+    this.unlisten = null;
+    this.setCaptureIndicator(false);
+    if (this.isSupported) {
+      invoke("set_global_shortcuts", { bindings: [] }).catch(() => {});
+    }
+  }
+
+  /**
+   * Use new shortcuts, registering them again once started. Check them
+   * with findShortcutConflict() first.
+   * @param {ShortcutSettings} settings
+   */
+  async configure(settings) {
+    this.settings = normalizeShortcutSettings(settings);
+    if (!this.unlisten) return this.statuses;
+    return this.apply();
+  }
+
+  /**
+   * Register the current settings with the OS
+   * @returns {Promise<Object<string, ShortcutStatus>>}
+   */
+  async apply() {
+    if (!this.isSupported) return this.statuses;
+
+    const bindings = Object.entries(SHORTCUT_ACTIONS)
+      .filter(([key]) => this.settings[key])
+      .map(([key, action]) => ({ action, accelerator: this.settings[key] }));
+
+    const statuses = {};
+    try {
+      const results = await invoke("set_global_shortcuts", { bindings });
+      for (const [key, action] of Object.entries(SHORTCUT_ACTIONS)) {
+        const result = results.find(r => r.action === action);
+        if (result) {
+          statuses[key] = { registered: result.registered, error: result.error ?? null };
+        }
+      }
+    } catch (error) {
+      console.error("Registering global shortcuts failed:", error);
+      for (const { action } of bindings) {
+        const key = Object.keys(SHORTCUT_ACTIONS).find(k => SHORTCUT_ACTIONS[k] === action);
+        statuses[key] = { registered: false, error: String(error) };
+      }
+    }
+
+    this.statuses = statuses;
+    this.emit("status", statuses);
+    return statuses;
+  }
+
+  /**
+   * Mark the window title while recording runs in the background
+   * @param {boolean} active
+   */
+  setCaptureIndicator(active) {
+    if (!this.isSupported || active === this.captureIndicatorActive) return;
+
+    this.captureIndicatorActive = active;
+    invoke("set_capture_indicator", { active }).catch((error) => {
+      console.warn("Capture indicator unavailable:", error);
+    });
+  }
+}
+
+// ============================================================================
+// ACCELERATORS
+// ============================================================================
+
+/**
+ * Accelerator for a keydown, e.g. "Control+Shift+Space"
+ * @param {KeyboardEvent} event
+ * @returns {string|null} Null while only modifiers are held
+ */
+export function acceleratorFromEvent(event) {
+  if (MODIFIER_CODES.has(event.code) || !event.code) return null;
+
+  const modifiers = [];
+  if (event.ctrlKey) modifiers.push("Control");
+  if (event.altKey) modifiers.push("Alt");
+  if (event.shiftKey) modifiers.push("Shift");
+  if (event.metaKey) modifiers.push("Super");
+  return [...modifiers, event.code].join("+");
+}
+
+/**
+ * Human readable accelerator, e.g. "Ctrl+Shift+A"
+ */
+export function formatAccelerator(accelerator) {
+  if (!accelerator) return "";
+  return accelerator
+    .split("+")
+    .map(part => {
+      if (part === "Control") return "Ctrl";
+      if (part.startsWith("Key")) return part.slice(3);
+      if (part.startsWith("Digit")) return part.slice(5);
+      if (part.startsWith("Arrow")) return part.slice(5);
+      return part;
+    })
+    .join("+");
+}
+
+/**
+ * Check a shortcut against Juna's other shortcuts. Clashes with other
+ * applications are only known once the backend tries to register it.
+ * @returns {string|null} Why the shortcut can't be used
+ */
+export function findShortcutConflict(action, accelerator, settings) {
+  if (!accelerator) return null;
+
+  const parts = accelerator.split("+");
+  const key = parts[parts.length - 1];
+  const hasModifier = parts.some(part => MODIFIER_KEYS.includes(part));
+  if (!hasModifier && !/^F\d{1,2}$/.test(key)) {
+    return "Add Ctrl, Alt, Shift or Super, or use a function key";
+  }
+
+  for (const [other, value] of Object.entries(settings)) {
+    if (other !== action && value === accelerator) {
+      return `Already used for ${ACTION_LABELS[other]}`;
+    }
+  }
+
+  const inApp = IN_APP_SHORTCUTS.find(shortcut => shortcut.accelerator === accelerator);
+  if (inApp) {
+    return `Juna already uses ${formatAccelerator(accelerator)} to ${inApp.label}`;
+  }
+  return null;
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * @returns {ShortcutSettings}
+ */
+export function normalizeShortcutSettings(settings) {
+  const normalized = {};
+  for (const key of Object.keys(DEFAULT_SHORTCUT_SETTINGS)) {
+    normalized[key] = typeof settings[key] === "string" ? settings[key] : DEFAULT_SHORTCUT_SETTINGS[key];
+  }
+  return normalized;
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} ShortcutSettings
+ * @property {string} pushToTalk - Hold to record, release to send ("" when off)
+ * @property {string} toggleRecording - Press to start or stop recording ("" when off)
+ */
+
+/**
+ * @typedef {Object} ShortcutStatus
+ * @property {boolean} registered - Whether the OS accepted the shortcut
+ * @property {string|null} error - Why registration failed
+ */
@@ -0,0 +1,62 @@
+/**
+ * SHARED HELPERS
+ * Small building blocks used across the frontend modules
+ */
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * Base class for modules that notify listeners with on/off/emit.
+ * A throwing handler is logged and does not stop the others.
+ */
+export class EventEmitter {
+  constructor() {
+    this.eventHandlers = new Map();
+  }
+
+  /**
+   * Register event handler
+   */
+  on(eventType, handler) {
+    if (!this.eventHandlers.has(eventType)) {
+      this.eventHandlers.set(eventType, new Set());
+    }
+    this.eventHandlers.get(eventType).add(handler);
+  }
+
+  /**
+   * Unregister event handler
+   */
+  off(eventType, handler) {
+    this.eventHandlers.get(eventType)?.delete(handler);
+  }
+
+  /**
+   * Emit event to all registered handlers
+   */
+  emit(eventType, data) {
+    this.eventHandlers.get(eventType)?.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`Error in ${this.constructor.name} handler for ${eventType}:`, error);
+      }
+    });
+  }
+}
+
+// ============================================================================
+// HTML
+// ============================================================================
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+
+/**
+ * Escape HTML to prevent XSS, accepting numbers and other non-strings too
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, m => HTML_ESCAPES[m]);
+}
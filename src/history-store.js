@@ -0,0 +1,239 @@
+/**
+ * HISTORY STORE
+ * The conversation as shown in the chat, persisted across restarts
+ *
+ * Entries are kept in display order: user messages, final Brain responses
+ * (with their metadata) and a summary of each query's progress. Every change
+ * is written through a DocumentStore; writes are serialized so a slow write
+ * never overtakes a newer one.
+ */
+
+import { createDocumentStore } from './storage.js';
+import { EventEmitter } from './helpers.js';
+
+const HISTORY_KEY = "conversation-history";
+const HISTORY_VERSION = 1;
+const MAX_HISTORY_ENTRIES = 1000;
+export const ENTRY_KINDS = ["user", "response", "progress"];
+
+export class HistoryStore extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {import('./storage.js').TauriDocumentStore} [options.store] - Defaults to createDocumentStore()
+   * @param {string} [options.key]
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store ?? createDocumentStore();
+    this.key = options.key ?? HISTORY_KEY;
+    this.entries = [];
+    this.entryIdCounter = 0;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  // ============================================================================
+  // LOADING AND SAVING
+  // ============================================================================
+
+  /**
+   * Load the stored conversation
+   * @returns {Promise<HistoryEntry[]>}
+   */
+  async load() {
+    try {
+      const document = await this.store.read(this.key);
+      this.entries = this.validateDocument(document);
+    } catch (error) {
+      console.error("❌ Failed to load conversation history:", error);
+      this.entries = [];
+    }
+
+    console.log(`📚 Loaded ${this.entries.length} history entries`);
+    this.emit('change', this.list());
+    return this.list();
+  }
+
+  /**
+   * Queue a write of the current entries
+   */
+  save() {
+    const document = { version: HISTORY_VERSION, entries: this.list() };
+
+    this.pendingWrite = this.pendingWrite
+      .then(() => this.store.write(this.key, document))
+      .catch(error => console.error("❌ Failed to save conversation history:", error));
+    return this.pendingWrite;
+  }
+
+  // ============================================================================
+  // ENTRIES
+  // ============================================================================
+
+  /**
+   * Append an entry
+   * @param {Omit<HistoryEntry, "id"|"timestamp"> & { timestamp?: number }} entry
+   * @returns {HistoryEntry}
+   */
+  add(entry) {
+    if (!ENTRY_KINDS.includes(entry.kind)) {
+      throw new Error(`Unknown history entry kind: ${entry.kind}`);
+    }
+
+    const stored = {
+      ...entry,
+      id: this.generateEntryId(),
+      timestamp: entry.timestamp ?? Date.now()
+    };
+
+    this.entries.push(stored);
+    if (this.entries.length > MAX_HISTORY_ENTRIES) {
+      this.entries.splice(0, this.entries.length - MAX_HISTORY_ENTRIES);
+    }
+
+    this.save();
+    this.emit('change', this.list());
+    return stored;
+  }
+
+  /**
+   * Merge changes into an existing entry
+   * @returns {HistoryEntry|null}
+   */
+  update(id, changes) {
+    const index = this.entries.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+
+    this.entries[index] = { ...this.entries[index], ...changes, id };
+    this.save();
+    this.emit('change', this.list());
+    return this.entries[index];
+  }
+
+  /**
+   * Get an entry by ID
+   * @returns {HistoryEntry|null}
+   */
+  get(id) {
+    return this.entries.find(entry => entry.id === id) ?? null;
+  }
+
+  /**
+   * Remove entries by ID
+   * @param {string[]} ids
+   * @returns {HistoryEntry[]} The removed entries
+   */
+  remove(ids) {
+    const removed = this.entries.filter(entry => ids.includes(entry.id));
+    if (removed.length === 0) return removed;
+
+    this.entries = this.entries.filter(entry => !ids.includes(entry.id));
+    this.save();
+    this.emit('change', this.list());
+    return removed;
+  }
+
+  /**
+   * Remove an entry and everything after it
+   * @returns {HistoryEntry[]} The removed entries
+   */
+  truncateFrom(id) {
+    const index = this.indexOf(id);
+    if (index === -1) return [];
+    return this.remove(this.entries.slice(index).map(entry => entry.id));
+  }
+
+  /**
+   * The exchange an entry belongs to: its user message and what followed
+   * until the next user message
+   * @returns {{ user: HistoryEntry|null, entries: HistoryEntry[] }}
+   */
+  exchangeAround(id) {
+    const index = this.indexOf(id);
+    if (index === -1) return { user: null, entries: [] };
+
+    let start = index;
+    while (start > 0 && this.entries[start].kind !== 'user') start--;
+    if (this.entries[start].kind !== 'user') start = index;
+
+    let end = start + 1;
+    while (end < this.entries.length && this.entries[end].kind !== 'user') end++;
+
+    const user = this.entries[start].kind === 'user' ? this.entries[start] : null;
+    return { user, entries: this.entries.slice(start, end) };
+  }
+
+  indexOf(id) {
+    return this.entries.findIndex(entry => entry.id === id);
+  }
+
+  /**
+   * Forget the whole conversation
+   */
+  clear() {
+    this.entries = [];
+    this.pendingWrite = this.pendingWrite
+      .then(() => this.store.delete(this.key))
+      .catch(error => console.error("❌ Failed to clear conversation history:", error));
+    this.emit('change', this.list());
+    return this.pendingWrite;
+  }
+
+  /**
+   * Snapshot of the entries in display order
+   * @returns {HistoryEntry[]}
+   */
+  list() {
+    return this.entries.slice();
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  generateEntryId() {
+    return `entry_${Date.now()}_${++this.entryIdCounter}`;
+  }
+
+  /**
+   * Keep only well-formed entries from a stored document
+   */
+  validateDocument(document) {
+    if (!document || !Array.isArray(document.entries)) return [];
+
+    return document.entries.filter(entry =>
+      entry &&
+      typeof entry.id === 'string' &&
+      ENTRY_KINDS.includes(entry.kind) &&
+      typeof entry.timestamp === 'number' &&
+      (entry.kind !== 'user' || typeof entry.text === 'string') &&
+      (entry.kind !== 'response' || typeof entry.response?.response_type === 'string') &&
+      (entry.kind !== 'progress' || typeof entry.progress?.type === 'string')
+    );
+  }
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id
+ * @property {"user"|"response"|"progress"} kind
+ * @property {number} timestamp
+ * @property {string} [text] - user entries
+ * @property {boolean} [audio] - user entries sent as a voice message
+ * @property {string} [query_id] - response entries, the Brain query that answered;
+ *   user entries whose answer was deleted, the query the Brain still remembers them under
+ * @property {import('./brain-communication.js').QueryResponse} [response] - response entries
+ * @property {ProgressSummary} [progress] - progress entries
+ */
+
+/**
+ * @typedef {Object} ProgressSummary
+ * @property {"CONTEXT_COLLECTION"|"TASK_EXECUTION"|"STEP_COMPLETE"} type - Last reported step type
+ * @property {string} message - Last reported step message
+ * @property {number} current_step
+ * @property {number|null} total_steps
+ * @property {"running"|"completed"|"cancelled"|"failed"} status
+ */
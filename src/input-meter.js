@@ -0,0 +1,218 @@
+/**
+ * INPUT LEVEL METER
+ * Live level and scrolling waveform of the microphone stream
+ *
+ * Each animation frame reads the latest samples from an AnalyserNode, adds
+ * one min/max column to the waveform and reports the level. Warnings tell
+ * the user when the input clips or stays close to silent.
+ */
+
+import { EventEmitter } from './helpers.js';
+
+// Quieter than any real microphone, used for digital silence
+const MIN_LEVEL_DB = -100;
+// Bottom of the level bar
+export const METER_FLOOR_DB = -60;
+
+// A sample this close to full scale counts as clipped
+const CLIP_SAMPLE = 0.99;
+// Keep the clipping warning up this long after the last clipped block
+const CLIP_HOLD_MS = 1000;
+// Input below this level for QUIET_AFTER_MS means the mic hears nothing useful
+const QUIET_LEVEL_DB = -55;
+const QUIET_AFTER_MS = 3000;
+// Peak marker falls back this fast
+const PEAK_DECAY_DB_PER_S = 20;
+
+// Width of one waveform column in CSS pixels
+const COLUMN_WIDTH = 2;
+
+export class InputLevelMeter extends EventEmitter {
+  /**
+   * @param {HTMLCanvasElement} canvas - Waveform target
+   */
+  constructor(canvas) {
+    super();
+    this.canvas = canvas;
+    this.audioContext = null;
+    this.source = null;
+    this.analyser = null;
+    this.samples = null;
+    this.frameId = null;
+    this.colors = null;
+    this.resetState();
+  }
+
+  resetState() {
+    this.level = MIN_LEVEL_DB;
+    this.peak = MIN_LEVEL_DB;
+    this.lastFrameAt = 0;
+    this.lastClipAt = null;
+    this.lastAudibleAt = 0;
+    this.warning = null;
+    this.columns = null;
+    this.nextColumn = 0;
+  }
+
+  get isActive() {
+    return this.frameId !== null;
+  }
+
+  // ============================================================================
+  // METERING
+  // ============================================================================
+
+  /**
+   * Start metering a microphone stream
+   * @param {MediaStream} stream
+   */
+  async start(stream) {
+    this.stop();
+
+    const context = new AudioContext();
+    this.audioContext = context;
+    this.source = context.createMediaStreamSource(stream);
+    this.analyser = context.createAnalyser();
+    this.analyser.fftSize = 1024;
+    this.samples = new Float32Array(this.analyser.fftSize);
+    this.source.connect(this.analyser);
+
+    if (context.state === "suspended") {
+      try {
+        await context.resume();
+      } catch (error) {
+        if (this.audioContext === context) throw error;
+      }
+    }
+    // stop() was called while resuming
+    if (this.audioContext !== context) return;
+
+    this.resetState();
+    this.prepareCanvas();
+    this.lastFrameAt = this.lastAudibleAt = performance.now();
+    this.frameId = requestAnimationFrame((now) => this.update(now));
+  }
+
+  stop() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    this.source?.disconnect();
+    this.audioContext?.close().catch(() => {});
+    this.audioContext = null;
+    this.source = null;
+    this.analyser = null;
+    this.setWarning(null);
+  }
+
+  update(now) {
+    this.frameId = requestAnimationFrame((next) => this.update(next));
+    this.analyser.getFloatTimeDomainData(this.samples);
+
+    let sum = 0;
+    let min = 0;
+    let max = 0;
+    for (const sample of this.samples) {
+      sum += sample * sample;
+      if (sample < min) min = sample;
+      if (sample > max) max = sample;
+    }
+    const rms = Math.sqrt(sum / this.samples.length);
+    const peakSample = Math.max(max, -min);
+
+    this.level = toDb(rms);
+    const decayed = this.peak - PEAK_DECAY_DB_PER_S * (now - this.lastFrameAt) / 1000;
+    this.peak = Math.max(toDb(peakSample), decayed);
+    this.lastFrameAt = now;
+
+    if (peakSample >= CLIP_SAMPLE) this.lastClipAt = now;
+    if (this.level >= QUIET_LEVEL_DB) this.lastAudibleAt = now;
+
+    if (this.lastClipAt !== null && now - this.lastClipAt < CLIP_HOLD_MS) {
+      this.setWarning("clipping");
+    } else if (now - this.lastAudibleAt >= QUIET_AFTER_MS) {
+      this.setWarning("quiet");
+    } else {
+      this.setWarning(null);
+    }
+
+    this.addColumn(min, max);
+    this.draw();
+    this.emit("level", {
+      level: this.level,
+      peak: this.peak,
+      clipping: this.warning === "clipping"
+    });
+  }
+
+  setWarning(warning) {
+    if (warning === this.warning) return;
+    this.warning = warning;
+    this.emit("warning", { warning });
+  }
+
+  // ============================================================================
+  // WAVEFORM
+  // ============================================================================
+
+  prepareCanvas() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = this.canvas.clientWidth || this.canvas.width;
+    const height = this.canvas.clientHeight || this.canvas.height;
+    this.canvas.width = Math.round(width * ratio);
+    this.canvas.height = Math.round(height * ratio);
+
+    const count = Math.max(1, Math.floor(width / COLUMN_WIDTH));
+    this.columns = { min: new Float32Array(count), max: new Float32Array(count) };
+    this.nextColumn = 0;
+
+    const style = getComputedStyle(this.canvas);
+    this.colors = {
+      wave: style.getPropertyValue("--waveform-color").trim() || "#667eea",
+      clip: style.getPropertyValue("--waveform-clip-color").trim() || "#ff4757"
+    };
+  }
+
+  addColumn(min, max) {
+    this.columns.min[this.nextColumn] = min;
+    this.columns.max[this.nextColumn] = max;
+    this.nextColumn = (this.nextColumn + 1) % this.columns.min.length;
+  }
+
+  /**
+   * Oldest column on the left, newest on the right
+   */
+  draw() {
+    const context = this.canvas.getContext("2d");
+    const { width, height } = this.canvas;
+    const count = this.columns.min.length;
+    const columnWidth = width / count;
+    const middle = height / 2;
+
+    context.clearRect(0, 0, width, height);
+    for (let i = 0; i < count; i++) {
+      const index = (this.nextColumn + i) % count;
+      const min = this.columns.min[index];
+      const max = this.columns.max[index];
+      const top = middle - max * middle;
+      const columnHeight = Math.max(1, (max - min) * middle);
+
+      context.fillStyle = max >= CLIP_SAMPLE || -min >= CLIP_SAMPLE
+        ? this.colors.clip
+        : this.colors.wave;
+      context.fillRect(i * columnWidth, top, Math.max(1, columnWidth - 1), columnHeight);
+    }
+  }
+}
+
+/**
+ * Position of a level on the meter, 0 at METER_FLOOR_DB and 1 at 0 dBFS
+ */
+export function levelToFraction(levelDb) {
+  return Math.min(1, Math.max(0, (levelDb - METER_FLOOR_DB) / -METER_FLOOR_DB));
+}
+
+function toDb(amplitude) {
+  return amplitude > 0 ? Math.max(MIN_LEVEL_DB, 20 * Math.log10(amplitude)) : MIN_LEVEL_DB;
+}
@@ -4,13 +4,47 @@
  * Integrated with Brain backend for intelligent responses
  */
 
-import { BrainCommunication } from './brain-communication.js';
+import { BrainCommunication, createTransport, resolveTransportKind, transportKindFromUrl } from './brain-communication.js';
 import { MessageRenderer } from './message-renderer.js';
+import { TranscriberRegistry, LocalWhisperTranscriber } from './transcriber.js';
+import { SpeechOutput } from './speech-output.js';
+import { QueryQueue } from './query-queue.js';
+import { ErrorHandler } from './error-handler.js';
+import { SessionManager } from './session-manager.js';
+import { ConversationExporter, EXPORT_FORMATS, saveExportFile } from './conversation-exporter.js';
+import { ConversationImporter } from './conversation-importer.js';
+import { ChatSearch } from './chat-search.js';
+import {
+  AudioInputDevices,
+  CAPTURE_SAMPLE_RATES,
+  buildAudioConstraints,
+  isMissingDeviceError,
+  recordTestClip,
+} from './audio-input.js';
+import { InputLevelMeter, METER_FLOOR_DB, levelToFraction } from './input-meter.js';
+import { VoiceActivityDetector } from './voice-activity.js';
+import { WakeWordDetector, REQUIRED_SAMPLES } from './wake-word.js';
+import { GlobalShortcuts, acceleratorFromEvent, findShortcutConflict, formatAccelerator } from './global-shortcuts.js';
+import { SettingsStore, BITRATE_CHOICES } from './settings-store.js';
+import { SAVE_FORMATS, encodeRecording } from './audio-encoder.js';
+import { RecordingLibrary } from './recording-library.js';
+import { ClipEditor } from './clip-editor.js';
+import { markdownToPlainText } from './markdown-renderer.js';
+import { escapeHtml } from './helpers.js';
 
 // ============================================================================
 // GLOBAL STATE AND CONFIGURATION
 // ============================================================================
 
+// Recording formats in order of preference
+const RECORDING_MIME_TYPES = [
+  "audio/webm;codecs=opus",
+  "audio/webm",
+  "audio/mp4",
+  "audio/ogg;codecs=opus",
+  "audio/wav",
+];
+
 class JunaVoiceInterface {
   constructor() {
     this.mediaRecorder = null;
@@ -21,8 +55,30 @@ class JunaVoiceInterface {
     this.timerInterval = null;
     this.currentAudioURL = null;
     this.currentAudioBlob = null;
+    this.recordingDuration = 0;
+    this.recordingSampleRate = null;
+    this.isSavingRecording = false;
+
+    // Every recording is kept as a clip; resolves to the current one once stored
+    this.recordings = new RecordingLibrary();
+    this.currentClipSaved = null;
+
+    // Trims and normalizes the current recording, created with its canvas
+    this.clipEditor = null;
     this.currentMode = "voice"; // 'voice' or 'chat'
-    this.chatHistory = [];
+
+    // Every user setting, loaded in init() and applied live when it changes
+    this.settings = new SettingsStore();
+    
+    // Named conversations; history is the active one's HistoryStore
+    this.sessions = new SessionManager();
+    this.history = null;
+    this.progressEntryId = null;
+    this.exporter = new ConversationExporter();
+    this.importer = new ConversationImporter();
+    this.importedView = null;
+    this.isReplaying = false;
+    this.chatSearch = null;
     
     // Brain communication
     this.brain = null;
@@ -30,6 +86,44 @@ class JunaVoiceInterface {
     this.currentSession = null;
     this.isProcessingQuery = false;
     this.currentTaskId = null;
+    this.currentQueryId = null;
+    this.currentQuery = null;
+    this.queryQueue = new QueryQueue();
+    this.errorHandler = new ErrorHandler();
+    this.currentRetryKey = null;
+    // Audio of the latest voice message, for its error's Retry button
+    this.lastVoiceMessage = null;
+
+    // Speech-to-text
+    this.transcribers = new TranscriberRegistry();
+    this.transcriptionId = 0;
+
+    // Text-to-speech for voice mode replies
+    this.speech = new SpeechOutput();
+
+    // Chosen microphone and how it captures, applied on every getUserMedia
+    this.captureSettings = this.settings.get("capture");
+    this.audioInputs = new AudioInputDevices();
+    this.isTestingCapture = false;
+    this.captureTestURL = null;
+
+    // Live level and waveform of the recording, created with the canvas
+    this.inputMeter = null;
+
+    // Hands-free recording stops itself once the user stops talking
+    this.vad = new VoiceActivityDetector(this.settings.get("vad"));
+    this.autoSubmitRecording = false;
+
+    // Opt-in wake word, listening only while nothing else uses the microphone
+    this.wakeWord = new WakeWordDetector(this.settings.get("wakeWord"), {
+      audioConstraints: buildAudioConstraints(this.captureSettings, { channelCount: 1 }),
+    });
+    this.isRecordingWakeSample = false;
+
+    // System-wide push-to-talk and toggle hotkeys
+    this.shortcuts = new GlobalShortcuts(this.settings.get("shortcuts"));
+    this.pendingShortcuts = Promise.resolve();
+    this.isPushToTalkHeld = false;
 
     // Performance optimization - cache DOM elements
     this.elements = {
@@ -37,8 +131,20 @@ class JunaVoiceInterface {
       statusText: null,
       timer: null,
       soundWaves: null,
+      inputMeter: null,
+      inputWaveform: null,
+      inputLevel: null,
+      inputLevelBar: null,
+      inputLevelPeak: null,
+      inputWarning: null,
       playButton: null,
+      editButton: null,
+      sendVoiceButton: null,
       saveButton: null,
+      saveFormatSelect: null,
+      recordingList: null,
+      recordingUsage: null,
+      recordingEmpty: null,
       deleteButton: null,
       notification: null,
       voiceModeBtn: null,
@@ -49,21 +155,84 @@ class JunaVoiceInterface {
       sendMessageBtn: null,
       clearChatBtn: null,
       charCount: null,
+      queryQueue: null,
       recordingInterface: null,
       voiceControls: null,
+      clipEditor: null,
+      clipEditorInfo: null,
+      clipEditorTrack: null,
+      clipEditorWaveform: null,
+      clipTrimStart: null,
+      clipTrimEnd: null,
+      clipStripBtn: null,
+      clipNormalizeInput: null,
+      clipPreviewBtn: null,
+      clipResetBtn: null,
+      clipCancelBtn: null,
+      clipApplyBtn: null,
+      transcriptPanel: null,
+      transcriptInput: null,
+      transcriptEngine: null,
+      transcriptSendBtn: null,
+      transcriptDiscardBtn: null,
+      stopSpeechButton: null,
+      speechVoiceSelect: null,
+      speechRateInput: null,
+      speechPitchInput: null,
+      sessionList: null,
+      newSessionBtn: null,
+      sessionShowArchived: null,
+      conversationTitle: null,
+      exportBtn: null,
+      exportOptions: null,
+      importSessionBtn: null,
+      importFileInput: null,
+      searchBtn: null,
+      chatSearch: null,
+      vadEnabledInput: null,
+      vadThresholdInput: null,
+      vadThresholdValue: null,
+      vadSilenceInput: null,
+      vadSilenceValue: null,
+      vadOnsetInput: null,
+      vadOnsetValue: null,
+      vadLevelValue: null,
+      wakeIndicator: null,
+      wakeIndicatorOff: null,
+      wakeEnabledInput: null,
+      wakeSensitivityInput: null,
+      wakeSensitivityValue: null,
+      wakeTrainStatus: null,
+      wakeTrainBtn: null,
+      wakeClearBtn: null,
+      shortcutPttInput: null,
+      shortcutPttStatus: null,
+      shortcutToggleInput: null,
+      shortcutToggleStatus: null,
+      shortcutNote: null,
+      captureDeviceSelect: null,
+      captureRateSelect: null,
+      captureChannelsSelect: null,
+      captureEchoInput: null,
+      captureNoiseInput: null,
+      captureGainInput: null,
+      captureTestBtn: null,
+      captureTestStatus: null,
+      captureTestAudio: null,
+      settingsBtn: null,
+      settingsPanel: null,
+      settingsCloseBtn: null,
+      settingsMimeSelect: null,
+      settingsBitrateSelect: null,
+      settingsSaveRateSelect: null,
+      settingsExportBtn: null,
+      settingsImportBtn: null,
+      settingsImportInput: null,
+      settingsResetBtn: null,
     };
 
-    // Configuration
+    // Configuration, recordingOptions follow the "recording" settings
     this.config = {
-      audioConstraints: {
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true,
-          sampleRate: 44100,
-          channelCount: 2,
-        },
-      },
       recordingOptions: {
         mimeType: this.getSupportedMimeType(),
         audioBitsPerSecond: 128000,
@@ -79,10 +248,23 @@ class JunaVoiceInterface {
 
   async init() {
     this.cacheDOMElements();
+    await this.loadSettings();
     this.bindEvents();
+    this.initializeSettingsPanel();
+    this.initializeChatSearch();
+    this.initializeTranscribers();
+    this.initializeSpeechOutput();
+    this.initializeRecordingLibrary();
+    this.initializeClipEditor();
+    this.initializeAudioInput();
+    this.initializeInputMeter();
+    this.initializeVoiceActivity();
+    this.initializeWakeWord();
+    this.initializeGlobalShortcuts();
     
     // Initialize Brain communication
     await this.initializeBrainCommunication();
+    await this.initializeConversations();
     
     this.updateUI();
     this.showNotification("Juna ready - Click to start talking!", "success");
@@ -94,14 +276,89 @@ class JunaVoiceInterface {
     this.elements.statusText = document.getElementById("status-text");
     this.elements.timer = document.getElementById("timer");
     this.elements.soundWaves = document.querySelector(".sound-waves");
+    this.elements.inputMeter = document.getElementById("input-meter");
+    this.elements.inputWaveform = document.getElementById("input-waveform");
+    this.elements.inputLevel = document.getElementById("input-level");
+    this.elements.inputLevelBar = document.getElementById("input-level-bar");
+    this.elements.inputLevelPeak = document.getElementById("input-level-peak");
+    this.elements.inputWarning = document.getElementById("input-warning");
     this.elements.playButton = document.getElementById("play-button");
+    this.elements.editButton = document.getElementById("edit-button");
+    this.elements.sendVoiceButton = document.getElementById("send-voice-button");
     this.elements.saveButton = document.getElementById("save-button");
+    this.elements.saveFormatSelect = document.getElementById("save-format-select");
+    this.elements.recordingList = document.getElementById("recording-list");
+    this.elements.recordingUsage = document.getElementById("recording-usage");
+    this.elements.recordingEmpty = document.getElementById("recording-empty");
     this.elements.deleteButton = document.getElementById("delete-button");
     this.elements.notification = document.getElementById("notification");
     this.elements.recordingInterface = document.querySelector(
       ".recording-interface"
     );
     this.elements.voiceControls = document.querySelector(".voice-controls");
+    this.elements.clipEditor = document.getElementById("clip-editor");
+    this.elements.clipEditorInfo = document.getElementById("clip-editor-info");
+    this.elements.clipEditorTrack = document.getElementById("clip-editor-track");
+    this.elements.clipEditorWaveform = document.getElementById("clip-editor-waveform");
+    this.elements.clipTrimStart = document.getElementById("clip-trim-start");
+    this.elements.clipTrimEnd = document.getElementById("clip-trim-end");
+    this.elements.clipStripBtn = document.getElementById("clip-strip-btn");
+    this.elements.clipNormalizeInput = document.getElementById("clip-normalize-input");
+    this.elements.clipPreviewBtn = document.getElementById("clip-preview-btn");
+    this.elements.clipResetBtn = document.getElementById("clip-reset-btn");
+    this.elements.clipCancelBtn = document.getElementById("clip-cancel-btn");
+    this.elements.clipApplyBtn = document.getElementById("clip-apply-btn");
+    this.elements.transcriptPanel = document.getElementById("transcript-panel");
+    this.elements.transcriptInput = document.getElementById("transcript-input");
+    this.elements.transcriptEngine = document.getElementById("transcript-engine");
+    this.elements.transcriptSendBtn = document.getElementById("transcript-send-btn");
+    this.elements.transcriptDiscardBtn = document.getElementById("transcript-discard-btn");
+    this.elements.stopSpeechButton = document.getElementById("stop-speech-button");
+    this.elements.speechVoiceSelect = document.getElementById("speech-voice-select");
+    this.elements.speechRateInput = document.getElementById("speech-rate-input");
+    this.elements.speechPitchInput = document.getElementById("speech-pitch-input");
+    this.elements.vadEnabledInput = document.getElementById("vad-enabled-input");
+    this.elements.vadThresholdInput = document.getElementById("vad-threshold-input");
+    this.elements.vadThresholdValue = document.getElementById("vad-threshold-value");
+    this.elements.vadSilenceInput = document.getElementById("vad-silence-input");
+    this.elements.vadSilenceValue = document.getElementById("vad-silence-value");
+    this.elements.vadOnsetInput = document.getElementById("vad-onset-input");
+    this.elements.vadOnsetValue = document.getElementById("vad-onset-value");
+    this.elements.vadLevelValue = document.getElementById("vad-level-value");
+    this.elements.wakeIndicator = document.getElementById("wake-indicator");
+    this.elements.wakeIndicatorOff = document.getElementById("wake-indicator-off");
+    this.elements.wakeEnabledInput = document.getElementById("wake-enabled-input");
+    this.elements.wakeSensitivityInput = document.getElementById("wake-sensitivity-input");
+    this.elements.wakeSensitivityValue = document.getElementById("wake-sensitivity-value");
+    this.elements.wakeTrainStatus = document.getElementById("wake-train-status");
+    this.elements.wakeTrainBtn = document.getElementById("wake-train-btn");
+    this.elements.wakeClearBtn = document.getElementById("wake-clear-btn");
+    this.elements.shortcutPttInput = document.getElementById("shortcut-ptt-input");
+    this.elements.shortcutPttStatus = document.getElementById("shortcut-ptt-status");
+    this.elements.shortcutToggleInput = document.getElementById("shortcut-toggle-input");
+    this.elements.shortcutToggleStatus = document.getElementById("shortcut-toggle-status");
+    this.elements.shortcutNote = document.getElementById("shortcut-note");
+    this.elements.captureDeviceSelect = document.getElementById("capture-device-select");
+    this.elements.captureRateSelect = document.getElementById("capture-rate-select");
+    this.elements.captureChannelsSelect = document.getElementById("capture-channels-select");
+    this.elements.captureEchoInput = document.getElementById("capture-echo-input");
+    this.elements.captureNoiseInput = document.getElementById("capture-noise-input");
+    this.elements.captureGainInput = document.getElementById("capture-gain-input");
+    this.elements.captureTestBtn = document.getElementById("capture-test-btn");
+    this.elements.captureTestStatus = document.getElementById("capture-test-status");
+    this.elements.captureTestAudio = document.getElementById("capture-test-audio");
+
+    // Settings panel
+    this.elements.settingsBtn = document.getElementById("settings-btn");
+    this.elements.settingsPanel = document.getElementById("settings-panel");
+    this.elements.settingsCloseBtn = document.getElementById("settings-close-btn");
+    this.elements.settingsMimeSelect = document.getElementById("settings-mime-select");
+    this.elements.settingsBitrateSelect = document.getElementById("settings-bitrate-select");
+    this.elements.settingsSaveRateSelect = document.getElementById("settings-save-rate-select");
+    this.elements.settingsExportBtn = document.getElementById("settings-export-btn");
+    this.elements.settingsImportBtn = document.getElementById("settings-import-btn");
+    this.elements.settingsImportInput = document.getElementById("settings-import-input");
+    this.elements.settingsResetBtn = document.getElementById("settings-reset-btn");
 
     // Chat interface elements
     this.elements.voiceModeBtn = document.getElementById("voice-mode-btn");
@@ -113,7 +370,20 @@ class JunaVoiceInterface {
     this.elements.clearChatBtn = document.getElementById("clear-chat-btn");
     this.elements.sessionResetBtn = document.getElementById("session-reset-btn");
     this.elements.charCount = document.getElementById("char-count");
+    this.elements.queryQueue = document.getElementById("query-queue");
     this.elements.sessionInfo = document.getElementById("session-info");
+
+    // Conversation sidebar
+    this.elements.sessionList = document.getElementById("session-list");
+    this.elements.newSessionBtn = document.getElementById("new-session-btn");
+    this.elements.sessionShowArchived = document.getElementById("session-show-archived");
+    this.elements.conversationTitle = document.getElementById("conversation-title");
+    this.elements.exportBtn = document.getElementById("export-btn");
+    this.elements.exportOptions = document.getElementById("export-options");
+    this.elements.importSessionBtn = document.getElementById("import-session-btn");
+    this.elements.importFileInput = document.getElementById("import-file-input");
+    this.elements.searchBtn = document.getElementById("search-btn");
+    this.elements.chatSearch = document.getElementById("chat-search");
   }
 
   bindEvents() {
@@ -126,13 +396,53 @@ class JunaVoiceInterface {
     this.elements.playButton.addEventListener("click", () =>
       this.playRecording()
     );
+    this.elements.editButton.addEventListener("click", () =>
+      this.openClipEditor()
+    );
+    this.elements.sendVoiceButton.addEventListener("click", () =>
+      this.sendVoiceMessage()
+    );
     this.elements.saveButton.addEventListener("click", () =>
       this.saveRecording()
     );
+    this.elements.saveFormatSelect.addEventListener("change", (e) =>
+      this.settings.set("recording", { saveFormat: e.target.value })
+    );
     this.elements.deleteButton.addEventListener("click", () =>
       this.deleteRecording()
     );
 
+    // Transcript review
+    this.elements.transcriptSendBtn.addEventListener("click", () =>
+      this.sendTranscript()
+    );
+    this.elements.transcriptDiscardBtn.addEventListener("click", () =>
+      this.discardTranscript()
+    );
+    this.elements.transcriptInput.addEventListener("input", () =>
+      this.updateTranscriptInput()
+    );
+    this.elements.transcriptInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && !e.shiftKey) {
+        e.preventDefault();
+        this.sendTranscript();
+      }
+    });
+
+    // Spoken replies
+    this.elements.stopSpeechButton.addEventListener("click", () =>
+      this.stopSpeaking()
+    );
+    this.elements.speechVoiceSelect.addEventListener("change", (e) =>
+      this.settings.set("speech", { voiceURI: e.target.value })
+    );
+    this.elements.speechRateInput.addEventListener("input", (e) =>
+      this.settings.set("speech", { rate: Number(e.target.value) })
+    );
+    this.elements.speechPitchInput.addEventListener("input", (e) =>
+      this.settings.set("speech", { pitch: Number(e.target.value) })
+    );
+
     // Interface mode toggle
     this.elements.voiceModeBtn.addEventListener("click", () =>
       this.switchToVoiceMode()
@@ -154,6 +464,44 @@ class JunaVoiceInterface {
     this.elements.chatInput.addEventListener("input", (e) =>
       this.updateCharCount(e)
     );
+    this.elements.queryQueue.addEventListener("click", (e) =>
+      this.handleQueueClick(e)
+    );
+    this.queryQueue.on("change", () => this.renderQueryQueue());
+
+    // Conversations
+    this.elements.newSessionBtn.addEventListener("click", () =>
+      this.createConversation()
+    );
+    this.elements.sessionList.addEventListener("click", (e) =>
+      this.handleSessionListClick(e)
+    );
+    this.elements.sessionShowArchived.addEventListener("change", () =>
+      this.renderSessionList()
+    );
+    this.sessions.on("change", () => this.renderSessionList());
+
+    // Export
+    this.elements.exportBtn.addEventListener("click", () =>
+      this.toggleExportMenu()
+    );
+    this.elements.exportOptions.addEventListener("click", (e) => {
+      const option = e.target.closest("[data-export-format]");
+      if (option) this.exportConversation(option.dataset.exportFormat);
+    });
+    document.addEventListener("click", (e) => {
+      if (!e.target.closest(".export-menu")) this.toggleExportMenu(false);
+    });
+
+    // Import
+    this.elements.importSessionBtn.addEventListener("click", () => {
+      if (this.canSwitchConversation()) this.elements.importFileInput.click();
+    });
+    this.elements.importFileInput.addEventListener("change", (e) => {
+      const [file] = e.target.files;
+      e.target.value = "";
+      if (file) this.importConversationFile(file);
+    });
     this.elements.chatInput.addEventListener("keypress", (e) => {
       if (e.key === "Enter" && !e.shiftKey) {
         e.preventDefault();
@@ -161,6 +509,11 @@ class JunaVoiceInterface {
       }
     });
 
+    // Search
+    this.elements.searchBtn.addEventListener("click", () =>
+      this.openChatSearch()
+    );
+
     // Keyboard shortcuts
     document.addEventListener("keydown", (e) =>
       this.handleKeyboardShortcuts(e)
@@ -177,15 +530,7 @@ class JunaVoiceInterface {
   // ============================================================================
 
   getSupportedMimeType() {
-    const mimeTypes = [
-      "audio/webm;codecs=opus",
-      "audio/webm",
-      "audio/mp4",
-      "audio/ogg;codecs=opus",
-      "audio/wav",
-    ];
-
-    for (const mimeType of mimeTypes) {
+    for (const mimeType of RECORDING_MIME_TYPES) {
       if (MediaRecorder.isTypeSupported(mimeType)) {
         return mimeType;
       }
@@ -195,9 +540,24 @@ class JunaVoiceInterface {
 
   async requestMicrophoneAccess() {
     try {
-      this.audioStream = await navigator.mediaDevices.getUserMedia(
-        this.config.audioConstraints
+      try {
+        this.audioStream = await navigator.mediaDevices.getUserMedia(
+          buildAudioConstraints(this.captureSettings)
+        );
+      } catch (error) {
+        // The chosen microphone was unplugged, record with the default one
+        if (!this.captureSettings.deviceId || !isMissingDeviceError(error)) throw error;
+        this.showNotification("Selected microphone not found - using the default", "warning");
+        this.audioStream = await navigator.mediaDevices.getUserMedia(
+          buildAudioConstraints(this.captureSettings, { deviceId: "" })
+        );
+      }
+
+      this.audioStream.getAudioTracks()[0]?.addEventListener("ended", () =>
+        this.handleMicrophoneLost()
       );
+      // Device names are only readable once access was granted
+      this.audioInputs.refresh().catch(() => {});
       return true;
     } catch (error) {
       console.error("Microphone access denied:", error);
@@ -222,8 +582,18 @@ class JunaVoiceInterface {
   }
 
   async startRecording() {
+    // Barge-in: talking over Juna interrupts the spoken reply
+    this.stopSpeaking();
+
+    // The recording gets its own stream, nothing heard for the wake word goes in
+    this.wakeWord.stop();
+    this.closeClipEditor();
+
     const hasAccess = await this.requestMicrophoneAccess();
-    if (!hasAccess) return;
+    if (!hasAccess) {
+      this.resumeWakeWord();
+      return;
+    }
 
     try {
       // Initialize MediaRecorder with optimized settings
@@ -232,6 +602,8 @@ class JunaVoiceInterface {
         this.config.recordingOptions
       );
       this.audioChunks = [];
+      // Saved WAV and FLAC files keep the rate the microphone delivered
+      this.recordingSampleRate = this.audioStream.getAudioTracks()[0]?.getSettings().sampleRate ?? null;
 
       // Event handlers
       this.mediaRecorder.ondataavailable = (event) => {
@@ -249,6 +621,12 @@ class JunaVoiceInterface {
       this.mediaRecorder.start(100); // Collect data every 100ms for better responsiveness
       this.isRecording = true;
       this.recordingStartTime = Date.now();
+      this.autoSubmitRecording = false;
+
+      this.startInputMeter();
+      if (this.vad.settings.enabled) {
+        await this.startVoiceActivity();
+      }
 
       // Start timer
       this.startTimer();
@@ -260,18 +638,27 @@ class JunaVoiceInterface {
       console.error("Recording start failed:", error);
       this.showNotification("Could not start listening", "error");
       this.stopAudioStream();
+      this.resumeWakeWord();
     }
   }
 
   stopRecording() {
+    this.vad.stop();
+    this.stopInputMeter();
+
     if (this.mediaRecorder && this.mediaRecorder.state !== "inactive") {
       this.mediaRecorder.stop();
     }
 
+    if (this.isRecording) {
+      this.recordingDuration = Date.now() - this.recordingStartTime;
+    }
+
     this.isRecording = false;
     this.stopTimer();
     this.updateUI();
     this.showNotification("Stopped listening", "success");
+    this.resumeWakeWord();
   }
 
   createAudioBlob() {
@@ -284,8 +671,17 @@ class JunaVoiceInterface {
       URL.revokeObjectURL(this.currentAudioURL);
     }
     this.currentAudioURL = URL.createObjectURL(this.currentAudioBlob);
+    this.currentClipSaved = this.addToRecordingLibrary(this.currentAudioBlob);
 
     this.updateUI();
+
+    // Hands-free recordings go straight to Juna, without transcript review
+    if (this.autoSubmitRecording) {
+      this.autoSubmitRecording = false;
+      this.sendVoiceMessage();
+      return;
+    }
+    this.transcribeRecording();
   }
 
   stopAudioStream() {
@@ -319,10 +715,48 @@ class JunaVoiceInterface {
     if (!this.currentAudioBlob) return;
 
     const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const extension = this.getFileExtension();
-    const filename = `juna-message-${timestamp}.${extension}`;
+    return this.saveAudioFile(this.currentAudioBlob, {
+      baseName: `juna-message-${timestamp}`,
+      extension: this.getFileExtension(this.currentAudioBlob.type),
+      sampleRate: this.recordingSampleRate,
+    });
+  }
+
+  /**
+   * Download a recording, converted to the chosen save format
+   * @param {Blob} blob
+   * @param {{ baseName: string, extension: string, sampleRate: number|null }} details
+   */
+  async saveAudioFile(blob, { baseName, extension, sampleRate }) {
+    if (this.isSavingRecording) return;
+
+    const { saveFormat, saveBitDepth, saveSampleRate, saveMono } = this.settings.get("recording");
 
-    const url = URL.createObjectURL(this.currentAudioBlob);
+    // MediaRecorder can't write WAV or FLAC, so convert the recording
+    if (saveFormat !== "original") {
+      this.isSavingRecording = true;
+      this.updateUI();
+      try {
+        blob = await encodeRecording(blob, {
+          format: saveFormat,
+          bitDepth: saveBitDepth,
+          sampleRate: saveSampleRate || sampleRate || this.captureSettings.sampleRate,
+          mono: saveMono,
+        });
+        extension = SAVE_FORMATS[saveFormat].extension;
+      } catch (error) {
+        console.error("Converting the recording failed:", error);
+        this.showNotification(`Could not save as ${SAVE_FORMATS[saveFormat].label}`, "error");
+        return;
+      } finally {
+        this.isSavingRecording = false;
+        this.updateUI();
+      }
+    }
+
+    const filename = `${baseName}.${extension}`;
+
+    const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
     a.download = filename;
@@ -339,19 +773,26 @@ class JunaVoiceInterface {
   }
 
   deleteRecording() {
+    // The recording goes from the library as well
+    const clipSaved = this.currentClipSaved;
+    clipSaved?.then((clip) => clip && this.recordings.remove(clip.id));
+    this.currentClipSaved = null;
+
     if (this.currentAudioURL) {
       URL.revokeObjectURL(this.currentAudioURL);
       this.currentAudioURL = null;
     }
 
     this.currentAudioBlob = null;
+    this.recordingDuration = 0;
     this.audioChunks = [];
+    this.closeClipEditor();
+    this.discardTranscript();
     this.updateUI();
     this.showNotification("Message deleted", "warning");
   }
 
-  getFileExtension() {
-    const mimeType = this.config.recordingOptions.mimeType;
+  getFileExtension(mimeType = this.config.recordingOptions.mimeType) {
     if (mimeType.includes("webm")) return "webm";
     if (mimeType.includes("mp4")) return "mp4";
     if (mimeType.includes("ogg")) return "ogg";
@@ -390,7 +831,9 @@ class JunaVoiceInterface {
     // Update microphone button
     if (this.isRecording) {
       this.elements.micButton.classList.add("recording");
-      this.elements.statusText.textContent = "Listening...";
+      this.elements.statusText.textContent = this.vad.isActive
+        ? "Listening hands-free..."
+        : "Listening...";
       this.elements.statusText.classList.add("recording");
       this.elements.timer.classList.add("recording");
       this.elements.soundWaves.classList.add("active");
@@ -400,7 +843,11 @@ class JunaVoiceInterface {
       this.elements.timer.classList.remove("recording");
       this.elements.soundWaves.classList.remove("active");
 
-      if (this.currentAudioBlob) {
+      if (this.speech.isSpeaking()) {
+        this.elements.statusText.textContent = "Juna is speaking...";
+      } else if (this.isProcessingQuery) {
+        this.elements.statusText.textContent = "Juna is thinking...";
+      } else if (this.currentAudioBlob) {
         this.elements.statusText.textContent = "Message ready";
       } else {
         this.elements.statusText.textContent = "Click to talk to Juna";
@@ -411,8 +858,12 @@ class JunaVoiceInterface {
     // Update control buttons
     const hasRecording = !!this.currentAudioBlob;
     this.elements.playButton.disabled = !hasRecording;
-    this.elements.saveButton.disabled = !hasRecording;
+    this.elements.editButton.disabled = !hasRecording || this.isRecording;
+    this.elements.sendVoiceButton.disabled = !hasRecording;
+    this.elements.saveButton.disabled = !hasRecording || this.isSavingRecording;
     this.elements.deleteButton.disabled = !hasRecording;
+    this.elements.stopSpeechButton.hidden = !this.speech.isSpeaking();
+    this.updateCaptureIndicator();
   }
 
   // ============================================================================
@@ -424,10 +875,10 @@ class JunaVoiceInterface {
     this.elements.notification.className = `notification ${type}`;
     this.elements.notification.classList.add("show");
 
-    // Auto-hide after 3 seconds
+    // Auto-hide after the configured time
     setTimeout(() => {
       this.elements.notification.classList.remove("show");
-    }, 3000);
+    }, this.settings.get("general").notificationMs);
   }
 
   // ============================================================================
@@ -435,6 +886,16 @@ class JunaVoiceInterface {
   // ============================================================================
 
   handleKeyboardShortcuts(event) {
+    // Ctrl+F to search the chat, also while typing a message
+    if ((event.ctrlKey || event.metaKey) && event.code === "KeyF") {
+      event.preventDefault();
+      this.openChatSearch();
+      return;
+    }
+
+    // Leave typing in text fields alone (Escape still stops Juna)
+    if (event.code !== "Escape" && event.target.closest?.("input, textarea")) return;
+
     // Spacebar to toggle recording
     if (event.code === "Space" && !event.repeat) {
       event.preventDefault();
@@ -442,11 +903,30 @@ class JunaVoiceInterface {
     }
 
     // Enter to play recording
-    if (event.code === "Enter" && this.currentAudioBlob) {
+    if (event.code === "Enter" && !event.ctrlKey && this.currentAudioBlob) {
       event.preventDefault();
       this.playRecording();
     }
 
+    // Escape to stop Juna speaking, or else to cancel the running query
+    if (event.code === "Escape" && this.speech.isSpeaking()) {
+      event.preventDefault();
+      this.stopSpeaking();
+      return;
+    }
+    if (event.code === "Escape" && this.isProcessingQuery) {
+      event.preventDefault();
+      this.cancelCurrentQuery();
+      return;
+    }
+
+    // Ctrl+Enter to send the voice message to Juna
+    if (event.ctrlKey && event.code === "Enter" && this.currentAudioBlob) {
+      event.preventDefault();
+      this.sendVoiceMessage();
+      return;
+    }
+
     // Ctrl+S to save
     if (event.ctrlKey && event.code === "KeyS" && this.currentAudioBlob) {
       event.preventDefault();
@@ -466,12 +946,22 @@ class JunaVoiceInterface {
 
   destroy() {
     this.stopRecording();
+    this.vad.stop();
+    this.inputMeter.stop();
+    this.audioInputs.stop();
+    this.wakeWord.stop();
+    this.shortcuts.stop();
     this.stopTimer();
     this.stopAudioStream();
+    this.speech.destroy();
+    this.clipEditor.close();
 
     if (this.currentAudioURL) {
       URL.revokeObjectURL(this.currentAudioURL);
     }
+    if (this.captureTestURL) {
+      URL.revokeObjectURL(this.captureTestURL);
+    }
   }
 }
 
@@ -528,6 +1018,7 @@ JunaVoiceInterface.prototype.switchToVoiceMode = function () {
 
 JunaVoiceInterface.prototype.switchToChatMode = function () {
   this.currentMode = "chat";
+  this.stopSpeaking();
   this.elements.chatModeBtn.classList.add("active");
   this.elements.voiceModeBtn.classList.remove("active");
   this.elements.chatContainer.classList.remove("hidden");
@@ -537,20 +1028,246 @@ JunaVoiceInterface.prototype.switchToChatMode = function () {
   this.showNotification("Switched to chat mode", "success");
 };
 
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Load the stored settings and follow later changes
+ */
+JunaVoiceInterface.prototype.loadSettings = async function () {
+  await this.settings.load();
+
+  // ?transport= is remembered, like a choice in the settings panel
+  const transport = transportKindFromUrl();
+  if (transport) {
+    this.settings.set("brain", { transport });
+  }
+
+  this.settings.sections().forEach((section) =>
+    this.applySettings(section, this.settings.get(section))
+  );
+  this.settings.on("change", ({ section, values }) =>
+    this.handleSettingsChange(section, values)
+  );
+};
+
+/**
+ * Push a section's values into the modules that use them
+ */
+JunaVoiceInterface.prototype.applySettings = function (section, values) {
+  switch (section) {
+    case "general":
+      this.elements.chatInput.maxLength = values.maxMessageLength;
+      this.updateCharCount({ target: this.elements.chatInput });
+      if (this.brain) this.brain.maxInputLength = values.maxQueryLength;
+      break;
+    case "recording":
+      this.config.recordingOptions = {
+        mimeType: values.mimeType && MediaRecorder.isTypeSupported(values.mimeType)
+          ? values.mimeType
+          : this.getSupportedMimeType(),
+        audioBitsPerSecond: values.audioBitsPerSecond,
+      };
+      break;
+    case "speech":
+      this.speech.setRate(values.rate);
+      this.speech.setPitch(values.pitch);
+      break;
+    case "capture":
+      this.captureSettings = values;
+      // The wake word listens on the same microphone
+      this.wakeWord.audioConstraints = buildAudioConstraints(values, { channelCount: 1 });
+      break;
+    case "vad":
+      this.vad.configure(values);
+      break;
+    case "wakeWord":
+      this.wakeWord.restore(values);
+      break;
+    case "shortcuts":
+      this.pendingShortcuts = this.shortcuts.configure(values);
+      break;
+  }
+};
+
+JunaVoiceInterface.prototype.handleSettingsChange = function (section, values) {
+  this.applySettings(section, values);
+
+  switch (section) {
+    case "general":
+    case "recording":
+    case "brain":
+      this.renderSettingsPanel();
+      break;
+    case "speech":
+      this.renderSpeechSettings();
+      break;
+    case "capture":
+      this.renderCaptureSettings();
+      if (this.wakeWord.isListening) {
+        this.wakeWord.stop();
+        this.resumeWakeWord();
+      }
+      break;
+    case "vad":
+      this.renderVadSettings();
+      break;
+    case "wakeWord":
+      this.renderWakeWordSettings();
+      if (values.enabled) {
+        this.resumeWakeWord();
+      } else {
+        this.wakeWord.stop();
+      }
+      break;
+    case "shortcuts":
+      this.renderShortcutSettings();
+      break;
+  }
+};
+
+JunaVoiceInterface.prototype.initializeSettingsPanel = function () {
+  const { settingsPanel, settingsMimeSelect, settingsBitrateSelect, settingsSaveRateSelect } = this.elements;
+
+  settingsMimeSelect.add(new Option("Automatic", ""));
+  RECORDING_MIME_TYPES.filter((type) => MediaRecorder.isTypeSupported(type)).forEach((type) => {
+    settingsMimeSelect.add(new Option(type, type));
+  });
+  BITRATE_CHOICES.forEach((bitrate) => {
+    settingsBitrateSelect.add(new Option(`${bitrate / 1000} kbps`, String(bitrate)));
+  });
+  settingsSaveRateSelect.add(new Option("Same as recording", "0"));
+  CAPTURE_SAMPLE_RATES.forEach((rate) => {
+    settingsSaveRateSelect.add(new Option(`${rate / 1000} kHz`, String(rate)));
+  });
+  Object.entries(SAVE_FORMATS).forEach(([format, { label }]) => {
+    this.elements.saveFormatSelect.add(new Option(label, format));
+  });
+
+  // Fields name their section and key; data-scale converts e.g. seconds to ms
+  settingsPanel.querySelectorAll("[data-section]").forEach((field) => {
+    field.addEventListener("change", () => {
+      const { section, key, scale } = field.dataset;
+      let value = field.value;
+      if (field.dataset.type === "number") value = Number(field.value) * Number(scale ?? 1);
+      if (field.type === "checkbox") value = field.checked;
+      this.settings.set(section, { [key]: value });
+      // Show the clamped value even when nothing changed
+      this.renderSettingsPanel();
+    });
+  });
+
+  this.elements.settingsBtn.addEventListener("click", () => this.openSettingsPanel());
+  this.elements.settingsCloseBtn.addEventListener("click", () => this.closeSettingsPanel());
+  settingsPanel.addEventListener("click", (e) => {
+    if (e.target === settingsPanel) this.closeSettingsPanel();
+  });
+  settingsPanel.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      this.closeSettingsPanel();
+    }
+  });
+
+  this.elements.settingsExportBtn.addEventListener("click", () => this.exportSettings());
+  this.elements.settingsImportBtn.addEventListener("click", () =>
+    this.elements.settingsImportInput.click()
+  );
+  this.elements.settingsImportInput.addEventListener("change", (e) => {
+    const [file] = e.target.files;
+    e.target.value = "";
+    if (file) this.importSettings(file);
+  });
+  this.elements.settingsResetBtn.addEventListener("click", () => this.resetSettings());
+
+  this.renderSettingsPanel();
+};
+
+JunaVoiceInterface.prototype.openSettingsPanel = function () {
+  this.renderSettingsPanel();
+  this.elements.settingsPanel.hidden = false;
+  this.elements.settingsCloseBtn.focus();
+};
+
+JunaVoiceInterface.prototype.closeSettingsPanel = function () {
+  this.elements.settingsPanel.hidden = true;
+  this.elements.settingsBtn.focus();
+};
+
+JunaVoiceInterface.prototype.renderSettingsPanel = function () {
+  this.elements.settingsPanel.querySelectorAll("[data-section]").forEach((field) => {
+    const { section, key, scale } = field.dataset;
+    const value = this.settings.get(section)[key];
+    if (field.type === "checkbox") {
+      field.checked = value;
+    } else {
+      field.value = String(scale ? value / Number(scale) : value);
+    }
+  });
+  if (this.elements.settingsMimeSelect.value !== this.settings.get("recording").mimeType) {
+    // A saved format this system can't record falls back to automatic
+    this.elements.settingsMimeSelect.value = "";
+  }
+  this.elements.saveFormatSelect.value = this.settings.get("recording").saveFormat;
+};
+
+JunaVoiceInterface.prototype.exportSettings = async function () {
+  try {
+    const saved = await saveExportFile(
+      "juna-settings.json",
+      EXPORT_FORMATS.json,
+      this.settings.export()
+    );
+    if (saved) this.showNotification("Settings exported", "success");
+  } catch (error) {
+    console.error("❌ Settings export failed:", error);
+    this.showNotification("Failed to export settings", "error");
+  }
+};
+
+JunaVoiceInterface.prototype.importSettings = async function (file) {
+  try {
+    this.settings.import(await file.text(), file.name);
+    this.showNotification("Settings imported", "success");
+  } catch (error) {
+    console.error("❌ Settings import failed:", error);
+    this.showNotification(error.message, "error");
+  }
+};
+
+JunaVoiceInterface.prototype.resetSettings = function () {
+  const button = this.elements.settingsResetBtn;
+
+  // Resetting every setting takes a second click to confirm
+  if (!button.classList.contains("confirm")) {
+    button.classList.add("confirm");
+    button.textContent = "Reset everything?";
+    setTimeout(() => {
+      button.classList.remove("confirm");
+      button.textContent = "Reset to defaults";
+    }, 3000);
+    return;
+  }
+
+  button.classList.remove("confirm");
+  button.textContent = "Reset to defaults";
+  this.settings.reset();
+  this.showNotification("Settings reset to defaults", "success");
+};
+
 // ============================================================================
 // CHAT FUNCTIONALITY
 // ============================================================================
 
 JunaVoiceInterface.prototype.sendChatMessage = async function () {
   const message = this.elements.chatInput.value.trim();
-  if (!message || this.isProcessingQuery) return;
-
-  // Clear input first
-  this.elements.chatInput.value = "";
-  this.updateCharCount({ target: this.elements.chatInput });
+  if (!message) return;
 
   // If Brain is not initialized, fallback to old behavior
   if (!this.brain || !this.messageRenderer) {
+    this.elements.chatInput.value = "";
+    this.updateCharCount({ target: this.elements.chatInput });
     this.addChatMessage(message, "user");
     setTimeout(() => {
       this.addChatMessage("Brain backend not connected. Please refresh the page.", "juna");
@@ -558,11 +1275,33 @@ JunaVoiceInterface.prototype.sendChatMessage = async function () {
     return;
   }
 
-  // Add user message using new renderer
-  this.messageRenderer.renderUserMessage(message);
+  // Only clear the input once the message is safely queued
+  if (!this.enqueueQuery({ kind: "text", input: message, label: message })) return;
+
+  this.elements.chatInput.value = "";
+  this.updateCharCount({ target: this.elements.chatInput });
+};
+
+JunaVoiceInterface.prototype.sendVoiceMessage = async function () {
+  if (!this.currentAudioBlob || this.isRecording) return;
+
+  if (!this.brain || !this.messageRenderer) {
+    this.showNotification("Brain backend not connected. Please refresh the page.", "error");
+    return;
+  }
+
+  this.enqueueQuery({
+    kind: "audio",
+    audioBlob: this.currentAudioBlob,
+    label: `🎤 Voice message (${this.formatDuration(this.recordingDuration)})`
+  });
+};
 
-  // Process query through Brain backend
-  await this.processBrainQuery(message);
+JunaVoiceInterface.prototype.formatDuration = function (ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes.toString().padStart(2, "0")}:${seconds.toString().padStart(2, "0")}`;
 };
 
 JunaVoiceInterface.prototype.addChatMessage = function (message, sender) {
@@ -577,7 +1316,7 @@ JunaVoiceInterface.prototype.addChatMessage = function (message, sender) {
   messageDiv.innerHTML = `
     <div class="message-avatar">${sender === "user" ? "U" : "J"}</div>
     <div class="message-content">
-      <p>${this.escapeHtml(message)}</p>
+      <p>${escapeHtml(message)}</p>
       <span class="message-time">${time}</span>
     </div>
   `;
@@ -585,126 +1324,1968 @@ JunaVoiceInterface.prototype.addChatMessage = function (message, sender) {
   this.elements.chatMessages.appendChild(messageDiv);
   this.elements.chatMessages.scrollTop =
     this.elements.chatMessages.scrollHeight;
-
-  // Store in chat history
-  this.chatHistory.push({
-    message: message,
-    sender: sender,
-    timestamp: new Date().toISOString(),
-  });
 };
 
 JunaVoiceInterface.prototype.clearChat = async function () {
-  try {
-    // Reset Brain session if available
-    if (this.brain) {
-      await this.resetBrainSession();
-    }
-    
-    // Keep welcome message, remove others
-    const welcomeMessage =
-      this.elements.chatMessages.querySelector(".welcome-message");
-    this.elements.chatMessages.innerHTML = "";
-    if (welcomeMessage) {
-      this.elements.chatMessages.appendChild(welcomeMessage);
-    }
-    
-    // Clear local chat history
-    this.chatHistory = [];
-    
-    this.showNotification("Chat and session cleared", "success");
-  } catch (error) {
-    console.error("Failed to clear chat:", error);
-    this.showNotification("Failed to clear session", "error");
+  // A successful reset clears the chat and history in handleSessionReset
+  if (this.brain && (await this.resetBrainSession())) return;
+
+  // Clear stored history, also when the Brain could not be reset
+  this.clearChatMessages();
+  this.history?.clear();
+  this.showNotification("Chat cleared, but the Brain session could not be reset", "warning");
+};
+
+JunaVoiceInterface.prototype.clearChatMessages = function () {
+  // Keep welcome message, remove others
+  const welcomeMessage =
+    this.elements.chatMessages.querySelector(".welcome-message");
+  this.elements.chatMessages.innerHTML = "";
+  if (welcomeMessage) {
+    this.elements.chatMessages.appendChild(welcomeMessage);
   }
 };
 
 JunaVoiceInterface.prototype.updateCharCount = function (event) {
   const length = event.target.value.length;
-  this.elements.charCount.textContent = `${length}/500`;
+  this.elements.charCount.textContent = `${length}/${this.settings.get("general").maxMessageLength}`;
   this.elements.sendMessageBtn.disabled = length === 0;
 };
 
-JunaVoiceInterface.prototype.escapeHtml = function (text) {
-  const map = {
-    "&": "&amp;",
-    "<": "&lt;",
-    ">": "&gt;",
-    '"': "&quot;",
-    "'": "&#039;",
-  };
-  return text.replace(/[&<>"']/g, function (m) {
-    return map[m];
-  });
-};
-
 // ============================================================================
-// BRAIN COMMUNICATION METHODS
+// QUERY QUEUE
 // ============================================================================
 
-JunaVoiceInterface.prototype.initializeBrainCommunication = async function() {
+JunaVoiceInterface.prototype.enqueueQuery = function (query) {
+  if (this.importedView) {
+    this.showNotification("Imported conversations are read-only - replay or close it first", "warning");
+    return false;
+  }
+
   try {
-    console.log("🧠 Initializing Brain communication...");
-    
-    // Initialize Brain communication
-    this.brain = new BrainCommunication();
-    
-    // Initialize message renderer
-    this.messageRenderer = new MessageRenderer(this.elements.chatMessages);
-    
-    // Setup event handlers
-    this.setupBrainEventHandlers();
-    
-    // Get initial session status
-    this.currentSession = await this.brain.getSessionStatus();
-    
-    console.log("✅ Brain communication initialized successfully");
+    this.queryQueue.enqueue(query);
   } catch (error) {
-    console.error("❌ Failed to initialize Brain communication:", error);
-    this.showNotification("Failed to connect to Brain backend", "error");
+    this.showNotification(error.message, "warning");
+    return false;
+  }
+
+  if (this.isProcessingQuery) {
+    this.showNotification(`Queued - ${this.queryQueue.size} waiting`, "success");
   }
+  this.processQueryQueue();
+  return true;
 };
 
-JunaVoiceInterface.prototype.setupBrainEventHandlers = function() {
-  // Progress update handler
-  this.brain.on('progress_update', (update) => {
-    this.handleProgressUpdate(update);
-  });
-  
-  // Error handler
-  this.brain.on('brain_error', (error) => {
-    this.handleBrainError(error);
-  });
-  
-  // Session event handler
-  this.brain.on('session_event', (event) => {
-    this.handleSessionEvent(event);
-  });
-  
-  // Session reset handler
-  this.brain.on('session_reset', (data) => {
-    this.handleSessionReset(data);
-  });
+JunaVoiceInterface.prototype.processQueryQueue = async function () {
+  if (this.isProcessingQuery) return;
+
+  const item = this.queryQueue.dequeue();
+  if (!item) return;
+
+  const messageDiv = this.messageRenderer.renderUserMessage(item.label);
+  const entry = this.recordHistory({ kind: "user", text: item.label, audio: item.kind === "audio" }, messageDiv);
+  // History only stores the label, keep the audio so a failed send can be retried
+  if (item.kind === "audio") {
+    this.lastVoiceMessage = { entryId: entry?.id ?? null, audioBlob: item.audioBlob };
+  }
+
+  if (item.kind === "audio") {
+    await this.processBrainAudioQuery(item.audioBlob);
+  } else {
+    await this.processBrainQuery(item.input);
+  }
+
+  this.processQueryQueue();
 };
 
-JunaVoiceInterface.prototype.processBrainQuery = async function(input) {
-  if (this.isProcessingQuery) {
-    this.showNotification("Please wait for current query to complete", "warning");
+JunaVoiceInterface.prototype.handleQueueClick = function (event) {
+  const button = event.target.closest("[data-queue-action]");
+  if (!button) return;
+
+  const id = button.closest("[data-queue-id]").dataset.queueId;
+  switch (button.dataset.queueAction) {
+    case "up":
+      this.queryQueue.move(id, -1);
+      break;
+    case "down":
+      this.queryQueue.move(id, 1);
+      break;
+    case "remove": {
+      const removed = this.queryQueue.remove(id);
+      // Give unsent text back to the user instead of losing it
+      if (removed?.kind === "text" && !this.elements.chatInput.value.trim()) {
+        this.elements.chatInput.value = removed.input;
+        this.updateCharCount({ target: this.elements.chatInput });
+      }
+      break;
+    }
+  }
+};
+
+JunaVoiceInterface.prototype.renderQueryQueue = function () {
+  const items = this.queryQueue.list();
+  const container = this.elements.queryQueue;
+
+  container.classList.toggle("hidden", items.length === 0);
+  if (items.length === 0) {
+    container.innerHTML = "";
     return;
   }
-  
-  this.isProcessingQuery = true;
-  this.currentTaskId = `task_${Date.now()}`;
-  
+
+  container.innerHTML = `
+    <div class="queue-header">
+      <span class="queue-title">Queued (${items.length})</span>
+      <span class="queue-hint">Sent in order after Juna's current reply</span>
+    </div>
+    <ol class="queue-list">
+      ${items
+        .map(
+          (item, index) => `
+        <li class="queue-item" data-queue-id="${item.id}">
+          <span class="queue-position">${index + 1}</span>
+          <span class="queue-label">${escapeHtml(item.label)}</span>
+          <button class="queue-btn" data-queue-action="up" title="Move up" ${index === 0 ? "disabled" : ""}>↑</button>
+          <button class="queue-btn" data-queue-action="down" title="Move down" ${index === items.length - 1 ? "disabled" : ""}>↓</button>
+          <button class="queue-btn danger" data-queue-action="remove" title="Remove">✕</button>
+        </li>`
+        )
+        .join("")}
+    </ol>
+  `;
+};
+
+// ============================================================================
+// TRANSCRIPTION
+// ============================================================================
+
+JunaVoiceInterface.prototype.initializeTranscribers = function () {
+  this.transcribers.register(new LocalWhisperTranscriber());
+};
+
+JunaVoiceInterface.prototype.transcribeRecording = async function () {
+  const transcriber = this.transcribers.getActive();
+  if (!transcriber || !this.currentAudioBlob) return;
+
+  const transcriptionId = ++this.transcriptionId;
+  const audioBlob = this.currentAudioBlob;
+  const clipSaved = this.currentClipSaved;
+
+  if (!(await transcriber.isAvailable())) {
+    console.warn(`Transcriber ${transcriber.name} is not available`);
+    return;
+  }
+
+  this.showTranscriptPanel(transcriber.name);
+
+  try {
+    const transcript = await transcriber.transcribe(audioBlob);
+
+    // Keep the transcript with the clip, even if the panel moved on
+    clipSaved?.then((clip) => clip && this.recordings.setTranscript(clip.id, transcript.text));
+
+    // A newer recording (or a discard) superseded this transcription
+    if (transcriptionId !== this.transcriptionId) return;
+
+    this.elements.transcriptInput.value = transcript.text;
+    this.elements.transcriptInput.disabled = false;
+    this.elements.transcriptSendBtn.disabled = !transcript.text;
+    this.elements.transcriptInput.focus();
+
+    if (!transcript.text) {
+      this.showNotification("No speech detected in recording", "warning");
+    }
+  } catch (error) {
+    if (transcriptionId !== this.transcriptionId) return;
+
+    console.error("Transcription failed:", error);
+    this.elements.transcriptInput.disabled = false;
+    this.elements.transcriptInput.placeholder = "Transcription failed - type your message instead";
+    this.showNotification(`Transcription failed: ${error.message || error}`, "error");
+  }
+};
+
+JunaVoiceInterface.prototype.showTranscriptPanel = function (engineName) {
+  this.elements.transcriptEngine.textContent = engineName;
+  this.elements.transcriptInput.value = "";
+  this.elements.transcriptInput.placeholder = "Transcribing...";
+  this.elements.transcriptInput.disabled = true;
+  this.elements.transcriptSendBtn.disabled = true;
+  this.elements.transcriptPanel.classList.remove("hidden");
+};
+
+JunaVoiceInterface.prototype.discardTranscript = function () {
+  this.transcriptionId++;
+  this.elements.transcriptInput.value = "";
+  this.elements.transcriptPanel.classList.add("hidden");
+};
+
+JunaVoiceInterface.prototype.sendTranscript = async function () {
+  const text = this.elements.transcriptInput.value.trim();
+  if (!text) return;
+
+  if (!this.brain || !this.messageRenderer) {
+    this.showNotification("Brain backend not connected. Please refresh the page.", "error");
+    return;
+  }
+
+  if (this.enqueueQuery({ kind: "text", input: text, label: text })) {
+    // The clip keeps what was sent, corrections included
+    this.currentClipSaved?.then((clip) => clip && this.recordings.setTranscript(clip.id, text));
+    this.discardTranscript();
+  }
+};
+
+JunaVoiceInterface.prototype.updateTranscriptInput = function () {
+  this.elements.transcriptSendBtn.disabled =
+    !this.elements.transcriptInput.value.trim();
+};
+
+// ============================================================================
+// CLIP EDITOR
+// ============================================================================
+
+JunaVoiceInterface.prototype.initializeClipEditor = function () {
+  const { clipEditor } = this.elements;
+
+  this.clipEditor = new ClipEditor({
+    canvas: this.elements.clipEditorWaveform,
+    track: this.elements.clipEditorTrack,
+    startHandle: this.elements.clipTrimStart,
+    endHandle: this.elements.clipTrimEnd,
+  });
+  this.clipEditor.on("change", (state) => this.renderClipEditor(state));
+  this.clipEditor.on("preview", ({ playing }) => {
+    this.elements.clipPreviewBtn.textContent = playing ? "Stop" : "Preview";
+  });
+
+  this.elements.clipStripBtn.addEventListener("click", () => {
+    // Silence is whatever the hands-free recording counts as silence
+    if (!this.clipEditor.stripSilence(this.vad.settings.thresholdDb)) {
+      this.showNotification("No speech found, the recording is silent", "warning");
+    }
+  });
+  this.elements.clipNormalizeInput.addEventListener("change", (e) =>
+    this.clipEditor.setNormalized(e.target.checked)
+  );
+  this.elements.clipPreviewBtn.addEventListener("click", () => {
+    if (this.clipEditor.isPreviewing) {
+      this.clipEditor.stopPreview();
+      return;
+    }
+    this.clipEditor.preview().catch((error) => {
+      console.error("Preview failed:", error);
+      this.showNotification("Preview failed", "error");
+    });
+  });
+  this.elements.clipResetBtn.addEventListener("click", () => {
+    this.elements.clipNormalizeInput.checked = false;
+    this.clipEditor.setNormalized(false);
+    this.clipEditor.selectAll();
+  });
+  this.elements.clipCancelBtn.addEventListener("click", () => this.closeClipEditor());
+  this.elements.clipApplyBtn.addEventListener("click", () => this.applyClipEdit());
+
+  clipEditor.addEventListener("keydown", (e) => {
+    // Keep Space, Enter and Delete away from the recording shortcuts
+    e.stopPropagation();
+    if (e.key === "Escape") this.closeClipEditor();
+  });
+};
+
+JunaVoiceInterface.prototype.openClipEditor = async function () {
+  if (!this.currentAudioBlob || this.isRecording) return;
+
+  const { clipEditor } = this.elements;
+  const audioBlob = this.currentAudioBlob;
+
+  // Shown before loading, the waveform is sized to the visible canvas
+  clipEditor.classList.remove("hidden");
+  this.elements.clipNormalizeInput.checked = false;
+  this.elements.clipEditorInfo.textContent = "Loading...";
+  this.setClipEditorEnabled(false);
+
+  try {
+    await this.clipEditor.load(
+      audioBlob,
+      this.recordingSampleRate || this.captureSettings.sampleRate
+    );
+  } catch (error) {
+    console.error("Opening the recording for editing failed:", error);
+    this.showNotification("Could not open the recording for editing", "error");
+    this.closeClipEditor();
+    return;
+  }
+
+  // Closed, deleted or recorded over while decoding
+  if (audioBlob !== this.currentAudioBlob || clipEditor.classList.contains("hidden")) {
+    this.clipEditor.close();
+    return;
+  }
+
+  this.setClipEditorEnabled(true);
+  this.elements.clipTrimStart.focus();
+};
+
+JunaVoiceInterface.prototype.closeClipEditor = function () {
+  const { clipEditor } = this.elements;
+  if (clipEditor.classList.contains("hidden")) return;
+
+  if (clipEditor.contains(document.activeElement)) {
+    this.elements.editButton.focus();
+  }
+  this.clipEditor.close();
+  clipEditor.classList.add("hidden");
+};
+
+JunaVoiceInterface.prototype.setClipEditorEnabled = function (enabled) {
+  const { clipStripBtn, clipNormalizeInput, clipPreviewBtn, clipResetBtn, clipApplyBtn } = this.elements;
+  [clipStripBtn, clipNormalizeInput, clipPreviewBtn, clipResetBtn].forEach((control) => {
+    control.disabled = !enabled;
+  });
+  if (!enabled) clipApplyBtn.disabled = true;
+};
+
+/**
+ * @param {import('./clip-editor.js').ClipEditState} state
+ */
+JunaVoiceInterface.prototype.renderClipEditor = function (state) {
+  const seconds = (ms) => `${(ms / 1000).toFixed(2)}s`;
+  const gain = state.normalized
+    ? ` · ${state.gainDb >= 0 ? "+" : ""}${state.gainDb.toFixed(1)} dB`
+    : "";
+
+  this.elements.clipEditorInfo.textContent =
+    `${seconds(state.start)} – ${seconds(state.end)} (${seconds(state.duration)} of ${seconds(state.total)})${gain}`;
+  this.elements.clipApplyBtn.disabled = !state.edited;
+};
+
+JunaVoiceInterface.prototype.applyClipEdit = function () {
+  if (!this.clipEditor.isLoaded || !this.currentAudioBlob) return;
+
+  let edit;
+  try {
+    edit = this.clipEditor.render();
+  } catch (error) {
+    console.error("Rendering the edit failed:", error);
+    this.showNotification("Could not apply the edit", "error");
+    return;
+  }
+
+  const sampleRate = this.clipEditor.sampleRate;
+  this.closeClipEditor();
+  this.replaceCurrentRecording(edit.blob, { duration: edit.duration, sampleRate });
+  this.showNotification(`Recording edited (${this.formatDuration(edit.duration)})`, "success");
+};
+
+/**
+ * Use edited audio for playback, saving and sending from now on
+ * @param {Blob} blob
+ * @param {{ duration: number, sampleRate: number }} details
+ */
+JunaVoiceInterface.prototype.replaceCurrentRecording = function (blob, { duration, sampleRate }) {
+  if (this.currentAudioURL) {
+    URL.revokeObjectURL(this.currentAudioURL);
+  }
+  this.currentAudioBlob = blob;
+  this.currentAudioURL = URL.createObjectURL(blob);
+  this.recordingDuration = duration;
+  this.recordingSampleRate = sampleRate;
+  this.elements.timer.textContent = this.formatDuration(duration);
+
+  // The library keeps the edited version in place of the original
+  const clipSaved = this.currentClipSaved;
+  this.currentClipSaved = clipSaved?.then(async (clip) => {
+    if (!clip) return null;
+    try {
+      return (await this.recordings.replaceAudio(clip.id, blob, {
+        duration,
+        extension: this.getFileExtension(blob.type),
+      })) ?? clip;
+    } catch (error) {
+      console.error("❌ Failed to store the edited recording:", error);
+      this.showNotification("The library still has the unedited recording", "warning");
+      return clip;
+    }
+  }) ?? null;
+
+  this.updateUI();
+
+  // A transcript under review was made from the unedited audio
+  if (!this.elements.transcriptPanel.classList.contains("hidden")) {
+    this.transcribeRecording();
+  }
+};
+
+// ============================================================================
+// RECORDING LIBRARY
+// ============================================================================
+
+JunaVoiceInterface.prototype.initializeRecordingLibrary = function () {
+  this.elements.recordingList.addEventListener("click", (e) =>
+    this.handleRecordingListClick(e)
+  );
+  this.recordings.on("change", () => this.renderRecordingLibrary());
+
+  this.recordings.load().catch((error) => {
+    console.error("❌ Failed to load recordings:", error);
+  });
+};
+
+/**
+ * Store a new recording in the library
+ * @returns {Promise<import('./recording-library.js').Clip|null>}
+ */
+JunaVoiceInterface.prototype.addToRecordingLibrary = async function (blob) {
+  try {
+    return await this.recordings.add(blob, {
+      duration: this.recordingDuration,
+      extension: this.getFileExtension(blob.type),
+      sampleRate: this.recordingSampleRate,
+    });
+  } catch (error) {
+    console.error("❌ Failed to store recording:", error);
+    this.showNotification("Recording could not be kept in the library", "warning");
+    return null;
+  }
+};
+
+JunaVoiceInterface.prototype.renderRecordingLibrary = async function () {
+  const clips = this.recordings.list();
+  const currentClip = await this.currentClipSaved;
+
+  this.elements.recordingEmpty.hidden = clips.length > 0;
+  this.elements.recordingList.innerHTML = clips
+    .map(
+      (clip) => `
+      <li class="recording-item${clip.id === currentClip?.id ? " current" : ""}" data-clip-id="${escapeHtml(clip.id)}">
+        <div class="recording-item-main">
+          <span class="recording-item-name">${escapeHtml(clip.name)}</span>
+          <span class="recording-item-meta">${this.formatDuration(clip.duration)} · ${this.formatConversationTime(clip.timestamp)} · ${escapeHtml(clip.format.toUpperCase())} · ${this.formatBytes(clip.size)}</span>
+          ${clip.transcript ? `<span class="recording-item-transcript" title="${escapeHtml(clip.transcript)}">“${escapeHtml(clip.transcript)}”</span>` : ""}
+        </div>
+        <div class="recording-item-actions">
+          <button class="session-action-btn" data-clip-action="play" title="Play">▶</button>
+          <button class="session-action-btn" data-clip-action="send" title="Send to Juna">➤</button>
+          <button class="session-action-btn" data-clip-action="rename" title="Rename">✎</button>
+          <button class="session-action-btn" data-clip-action="export" title="Export">⬇</button>
+          <button class="session-action-btn" data-clip-action="delete" title="Delete">🗑</button>
+        </div>
+      </li>`
+    )
+    .join("");
+
+  const { files, bytes } = await this.recordings.usage();
+  this.elements.recordingUsage.textContent =
+    files > 0 ? `(${files} ${files === 1 ? "clip" : "clips"}, ${this.formatBytes(bytes)})` : "";
+};
+
+JunaVoiceInterface.prototype.handleRecordingListClick = function (event) {
+  if (event.target.closest(".recording-name-input")) return;
+
+  const target = event.target.closest("[data-clip-action]");
+  if (!target) return;
+
+  const item = target.closest("[data-clip-id]");
+  const clip = this.recordings.get(item.dataset.clipId);
+  if (!clip) return;
+
+  switch (target.dataset.clipAction) {
+    case "play":
+      this.playClip(clip);
+      break;
+    case "send":
+      this.sendClip(clip);
+      break;
+    case "rename":
+      this.startRenamingClip(item, clip);
+      break;
+    case "export":
+      this.exportClip(clip);
+      break;
+    case "delete":
+      // Deleting is permanent, so it takes a second click to confirm
+      if (!target.classList.contains("confirm")) {
+        target.classList.add("confirm");
+        target.textContent = "Delete?";
+        setTimeout(() => {
+          target.classList.remove("confirm");
+          target.textContent = "🗑";
+        }, 3000);
+        return;
+      }
+      this.deleteClip(clip);
+      break;
+  }
+};
+
+JunaVoiceInterface.prototype.playClip = async function (clip) {
+  try {
+    const url = URL.createObjectURL(await this.recordings.getBlob(clip.id));
+    const audio = new Audio(url);
+    audio.addEventListener("ended", () => URL.revokeObjectURL(url));
+    await audio.play();
+  } catch (error) {
+    console.error("Playback failed:", error);
+    this.showNotification(`Could not play ${clip.name}`, "error");
+  }
+};
+
+JunaVoiceInterface.prototype.sendClip = async function (clip) {
+  if (this.isRecording) return;
+
+  if (!this.brain || !this.messageRenderer) {
+    this.showNotification("Brain backend not connected. Please refresh the page.", "error");
+    return;
+  }
+
+  try {
+    this.enqueueQuery({
+      kind: "audio",
+      audioBlob: await this.recordings.getBlob(clip.id),
+      label: `🎤 ${clip.name} (${this.formatDuration(clip.duration)})`
+    });
+  } catch (error) {
+    console.error("Loading recording failed:", error);
+    this.showNotification(`Could not load ${clip.name}`, "error");
+  }
+};
+
+JunaVoiceInterface.prototype.exportClip = async function (clip) {
+  try {
+    const blob = await this.recordings.getBlob(clip.id);
+    const baseName = clip.name.replace(/[^\w\- ]+/g, "").trim().replace(/\s+/g, "-") || clip.id;
+    await this.saveAudioFile(blob, { baseName, extension: clip.format, sampleRate: clip.sample_rate });
+  } catch (error) {
+    console.error("Export failed:", error);
+    this.showNotification(`Could not export ${clip.name}`, "error");
+  }
+};
+
+JunaVoiceInterface.prototype.deleteClip = async function (clip) {
+  const currentClip = await this.currentClipSaved;
+  if (clip.id === currentClip?.id) {
+    // Deleting the recording under review also clears it from the controls
+    this.deleteRecording();
+    return;
+  }
+
+  await this.recordings.remove(clip.id);
+  this.showNotification(`${clip.name} deleted`, "warning");
+};
+
+JunaVoiceInterface.prototype.startRenamingClip = function (item, clip) {
+  const name = item.querySelector(".recording-item-name");
+  if (!name) return;
+
+  const input = document.createElement("input");
+  input.className = "recording-name-input";
+  input.value = clip.name;
+  input.maxLength = 80;
+  name.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let finished = false;
+  const finish = (save) => {
+    if (finished) return;
+    finished = true;
+
+    if (save && input.value.trim() && input.value.trim() !== clip.name) {
+      this.recordings.rename(clip.id, input.value);
+    } else {
+      this.renderRecordingLibrary();
+    }
+  };
+
+  input.addEventListener("keydown", (e) => {
+    // Keep Escape, Enter, Space and Delete away from the recording shortcuts
+    e.stopPropagation();
+    if (e.key === "Enter") finish(true);
+    if (e.key === "Escape") finish(false);
+  });
+  input.addEventListener("blur", () => finish(true));
+};
+
+// ============================================================================
+// MICROPHONE SETTINGS
+// ============================================================================
+
+JunaVoiceInterface.prototype.initializeAudioInput = function () {
+  const { captureRateSelect, captureChannelsSelect, captureDeviceSelect } = this.elements;
+  const flags = [this.elements.captureEchoInput, this.elements.captureNoiseInput, this.elements.captureGainInput];
+
+  CAPTURE_SAMPLE_RATES.forEach((rate) => {
+    captureRateSelect.add(new Option(`${rate / 1000} kHz`, String(rate)));
+  });
+
+  captureDeviceSelect.addEventListener("change", (e) =>
+    this.settings.set("capture", { deviceId: e.target.value })
+  );
+  captureRateSelect.addEventListener("change", (e) =>
+    this.settings.set("capture", { sampleRate: Number(e.target.value) })
+  );
+  captureChannelsSelect.addEventListener("change", (e) =>
+    this.settings.set("capture", { channelCount: Number(e.target.value) })
+  );
+  flags.forEach((input) => {
+    input.addEventListener("change", (e) =>
+      this.settings.set("capture", { [input.dataset.capture]: e.target.checked })
+    );
+  });
+  this.elements.captureTestBtn.addEventListener("click", () => this.testCaptureSettings());
+
+  this.audioInputs.on("change", ({ added, removed }) => {
+    this.renderCaptureSettings();
+    if (removed.includes(this.captureSettings.deviceId)) {
+      this.showNotification("Selected microphone disconnected - the default one will be used", "warning");
+    } else if (added.length > 0) {
+      this.showNotification(`Microphone connected: ${added[0].label}`, "success");
+    }
+  });
+
+  this.renderCaptureSettings();
+  this.audioInputs.start().catch((error) => {
+    console.error("Listing microphones failed:", error);
+  });
+};
+
+JunaVoiceInterface.prototype.renderCaptureSettings = function () {
+  const { deviceId, sampleRate, channelCount } = this.captureSettings;
+  const select = this.elements.captureDeviceSelect;
+
+  select.replaceChildren(new Option("System default", ""));
+  this.audioInputs.devices.forEach((device) => {
+    select.add(new Option(device.label, device.deviceId));
+  });
+  // Keep an unplugged choice, it is used again once the device returns
+  if (deviceId && !this.audioInputs.has(deviceId)) {
+    select.add(new Option("Unavailable microphone", deviceId));
+  }
+  select.value = deviceId;
+
+  this.elements.captureRateSelect.value = String(sampleRate);
+  this.elements.captureChannelsSelect.value = String(channelCount);
+  this.elements.captureEchoInput.checked = this.captureSettings.echoCancellation;
+  this.elements.captureNoiseInput.checked = this.captureSettings.noiseSuppression;
+  this.elements.captureGainInput.checked = this.captureSettings.autoGainControl;
+  this.elements.captureTestBtn.disabled = this.isTestingCapture;
+};
+
+/**
+ * Record a few seconds with the current settings and play them back
+ */
+JunaVoiceInterface.prototype.testCaptureSettings = async function () {
+  if (this.isRecording || this.isTestingCapture || this.isRecordingWakeSample) return;
+
+  this.isTestingCapture = true;
+  this.wakeWord.stop();
+  this.renderCaptureSettings();
+  this.elements.captureTestStatus.textContent = "Recording 3 seconds - say something...";
+
+  try {
+    const { blob, settings } = await recordTestClip(
+      buildAudioConstraints(this.captureSettings),
+      this.config.recordingOptions.mimeType
+    );
+
+    if (this.captureTestURL) {
+      URL.revokeObjectURL(this.captureTestURL);
+    }
+    this.captureTestURL = URL.createObjectURL(blob);
+    this.elements.captureTestAudio.src = this.captureTestURL;
+    this.elements.captureTestAudio.hidden = false;
+    this.elements.captureTestAudio.play().catch(() => {});
+    this.elements.captureTestStatus.textContent = this.describeCaptureTrack(settings);
+  } catch (error) {
+    console.error("Test recording failed:", error);
+    this.elements.captureTestStatus.textContent = isMissingDeviceError(error)
+      ? "The selected microphone is not available"
+      : "Test recording failed - check microphone access";
+  } finally {
+    this.isTestingCapture = false;
+    this.renderCaptureSettings();
+    this.resumeWakeWord();
+  }
+};
+
+/**
+ * What the browser actually applied, which may differ from the request
+ * @param {MediaTrackSettings} settings
+ */
+JunaVoiceInterface.prototype.describeCaptureTrack = function (settings) {
+  const parts = [];
+  if (settings.sampleRate) parts.push(`${settings.sampleRate / 1000} kHz`);
+  if (settings.channelCount) parts.push(settings.channelCount === 1 ? "mono" : "stereo");
+
+  const processing = [
+    settings.echoCancellation && "echo cancellation",
+    settings.noiseSuppression && "noise suppression",
+    settings.autoGainControl && "auto gain",
+  ].filter(Boolean);
+  parts.push(processing.length > 0 ? processing.join(", ") : "no processing");
+
+  return `Recorded with ${parts.join(", ")}`;
+};
+
+/**
+ * The microphone went away mid-recording, keep what was captured so far
+ */
+JunaVoiceInterface.prototype.handleMicrophoneLost = function () {
+  if (!this.isRecording) return;
+
+  this.stopRecording();
+  this.showNotification("Microphone disconnected - recording stopped", "warning");
+};
+
+// ============================================================================
+// INPUT LEVEL METER
+// ============================================================================
+
+JunaVoiceInterface.prototype.initializeInputMeter = function () {
+  this.inputMeter = new InputLevelMeter(this.elements.inputWaveform);
+
+  this.inputMeter.on("level", ({ level, peak }) => this.renderInputLevel(level, peak));
+  this.inputMeter.on("warning", ({ warning }) => {
+    const messages = {
+      clipping: "Too loud - move back a little or turn the input volume down",
+      quiet: "Very quiet - check that the right microphone is connected and unmuted",
+    };
+    this.elements.inputWarning.textContent = messages[warning] ?? "";
+    this.elements.inputWarning.classList.toggle("clipping", warning === "clipping");
+  });
+};
+
+JunaVoiceInterface.prototype.startInputMeter = function () {
+  // Visible first, so the waveform is sized to its real width
+  this.elements.inputMeter.hidden = false;
+  this.inputMeter.start(this.audioStream).catch((error) => {
+    // Only the meter is lost, the recording goes on
+    console.error("Input level meter failed:", error);
+    this.elements.inputMeter.hidden = true;
+  });
+};
+
+JunaVoiceInterface.prototype.stopInputMeter = function () {
+  this.inputMeter.stop();
+  this.elements.inputMeter.hidden = true;
+  this.renderInputLevel(-Infinity, -Infinity);
+};
+
+JunaVoiceInterface.prototype.renderInputLevel = function (level, peak) {
+  const fraction = levelToFraction(level);
+  this.elements.soundWaves.style.setProperty("--input-level", fraction.toFixed(3));
+  this.elements.inputLevel.style.setProperty("--input-level", fraction.toFixed(3));
+  this.elements.inputLevel.style.setProperty("--input-peak", levelToFraction(peak).toFixed(3));
+  this.elements.inputLevel.setAttribute("aria-valuenow", Math.round(Math.max(level, METER_FLOOR_DB)));
+};
+
+// ============================================================================
+// HANDS-FREE RECORDING
+// ============================================================================
+
+JunaVoiceInterface.prototype.initializeVoiceActivity = function () {
+  const controls = [
+    [this.elements.vadThresholdInput, "thresholdDb"],
+    [this.elements.vadSilenceInput, "silenceMs"],
+    [this.elements.vadOnsetInput, "minSpeechMs"],
+  ];
+
+  this.elements.vadEnabledInput.addEventListener("change", (e) =>
+    this.settings.set("vad", { enabled: e.target.checked })
+  );
+  controls.forEach(([input, key]) => {
+    input.addEventListener("input", (e) =>
+      this.settings.set("vad", { [key]: Number(e.target.value) })
+    );
+  });
+  this.renderVadSettings();
+
+  this.vad.on("level", ({ level, speaking }) => {
+    this.elements.vadLevelValue.textContent = `${Math.round(level)} dB`;
+    this.elements.vadLevelValue.classList.toggle("speaking", speaking);
+  });
+  this.vad.on("speech_start", () => {
+    this.elements.statusText.textContent = "Hearing you...";
+  });
+  this.vad.on("speech_end", () => {
+    if (!this.isRecording) return;
+    this.autoSubmitRecording = true;
+    this.stopRecording();
+  });
+  this.vad.on("no_speech", () => {
+    if (!this.isRecording) return;
+    this.stopRecording();
+    this.showNotification("No speech detected - stopped listening", "warning");
+  });
+};
+
+JunaVoiceInterface.prototype.renderVadSettings = function () {
+  const { enabled, thresholdDb, silenceMs, minSpeechMs } = this.vad.settings;
+  this.elements.vadEnabledInput.checked = enabled;
+  this.elements.vadThresholdInput.value = thresholdDb;
+  this.elements.vadSilenceInput.value = silenceMs;
+  this.elements.vadOnsetInput.value = minSpeechMs;
+  this.elements.vadThresholdValue.textContent = `${thresholdDb} dB`;
+  this.elements.vadSilenceValue.textContent = `${(silenceMs / 1000).toFixed(1)} s`;
+  this.elements.vadOnsetValue.textContent = `${minSpeechMs} ms`;
+};
+
+JunaVoiceInterface.prototype.startVoiceActivity = async function () {
+  try {
+    await this.vad.start(this.audioStream);
+  } catch (error) {
+    // Recording still works, it just has to be stopped by hand
+    console.error("Voice activity detection failed:", error);
+    this.showNotification("Hands-free unavailable - stop recording manually", "warning");
+  }
+};
+
+// ============================================================================
+// WAKE WORD
+// ============================================================================
+
+JunaVoiceInterface.prototype.initializeWakeWord = function () {
+  this.elements.wakeEnabledInput.checked = this.wakeWord.settings.enabled;
+  this.elements.wakeSensitivityInput.value = this.wakeWord.settings.sensitivity;
+
+  this.elements.wakeEnabledInput.addEventListener("change", (e) =>
+    this.setWakeWordEnabled(e.target.checked)
+  );
+  this.elements.wakeIndicatorOff.addEventListener("click", () =>
+    this.setWakeWordEnabled(false)
+  );
+  this.elements.wakeSensitivityInput.addEventListener("input", (e) => {
+    this.wakeWord.configure({ sensitivity: Number(e.target.value) });
+    this.saveWakeWordState();
+  });
+  this.elements.wakeTrainBtn.addEventListener("click", () =>
+    this.recordWakeWordSample()
+  );
+  this.elements.wakeClearBtn.addEventListener("click", () => {
+    this.wakeWord.clearSamples();
+    this.setWakeWordEnabled(false);
+  });
+
+  this.wakeWord.on("state", ({ listening }) => {
+    this.elements.wakeIndicator.hidden = !listening;
+  });
+  this.wakeWord.on("wake", () => this.handleWakeWord());
+
+  this.renderWakeWordSettings();
+  this.resumeWakeWord();
+};
+
+JunaVoiceInterface.prototype.setWakeWordEnabled = function (enabled) {
+  if (enabled && !this.wakeWord.isTrained) {
+    this.showNotification(`Record ${REQUIRED_SAMPLES} samples of "Hey Juna" first`, "warning");
+    enabled = false;
+  }
+
+  this.wakeWord.configure({ enabled });
+  this.saveWakeWordState();
+  if (enabled) {
+    this.resumeWakeWord();
+  } else {
+    this.wakeWord.stop();
+  }
+};
+
+JunaVoiceInterface.prototype.saveWakeWordState = function () {
+  this.settings.set("wakeWord", this.wakeWord.settings);
+  this.renderWakeWordSettings();
+};
+
+JunaVoiceInterface.prototype.renderWakeWordSettings = function () {
+  const { enabled, sensitivity, templates } = this.wakeWord.settings;
+  this.elements.wakeEnabledInput.checked = enabled;
+  this.elements.wakeSensitivityInput.value = sensitivity;
+  this.elements.wakeSensitivityValue.textContent = `${Math.round(sensitivity * 100)}%`;
+  this.elements.wakeClearBtn.disabled = templates.length === 0 || this.isRecordingWakeSample;
+  this.elements.wakeTrainBtn.disabled = this.isRecordingWakeSample;
+  this.elements.wakeTrainBtn.textContent = templates.length >= REQUIRED_SAMPLES
+    ? "Replace a sample"
+    : `Record sample ${templates.length + 1}/${REQUIRED_SAMPLES}`;
+
+  if (!this.isRecordingWakeSample) {
+    this.elements.wakeTrainStatus.classList.remove("recording");
+    this.elements.wakeTrainStatus.textContent = templates.length >= REQUIRED_SAMPLES
+      ? "Trained on your voice"
+      : `${templates.length} of ${REQUIRED_SAMPLES} samples recorded`;
+  }
+};
+
+JunaVoiceInterface.prototype.recordWakeWordSample = async function () {
+  if (this.isRecording || this.isRecordingWakeSample) return;
+
+  this.isRecordingWakeSample = true;
+  this.renderWakeWordSettings();
+  this.elements.wakeTrainStatus.classList.add("recording");
+  this.elements.wakeTrainStatus.textContent = 'Say "Hey Juna" now...';
+
+  try {
+    const count = await this.wakeWord.recordSample();
+    this.showNotification(`Wake word sample ${count}/${REQUIRED_SAMPLES} saved`, "success");
+  } catch (error) {
+    console.error("Wake word sample failed:", error);
+    this.showNotification(error.message, "warning");
+  } finally {
+    this.isRecordingWakeSample = false;
+    this.saveWakeWordState();
+    this.resumeWakeWord();
+  }
+};
+
+/**
+ * Listen for the wake word again, if it is on and the microphone is free
+ */
+JunaVoiceInterface.prototype.resumeWakeWord = function () {
+  const { enabled } = this.wakeWord.settings;
+  if (!enabled || !this.wakeWord.isTrained) return;
+  if (this.isRecording || this.isRecordingWakeSample || this.isTestingCapture) return;
+
+  this.wakeWord.start().catch((error) => {
+    console.error("Wake word listening failed:", error);
+    this.showNotification("Could not listen for the wake word", "error");
+  });
+};
+
+JunaVoiceInterface.prototype.handleWakeWord = function () {
+  if (this.isRecording) return;
+
+  console.log("👂 Wake word heard, starting to record");
+  this.startRecording();
+};
+
+// ============================================================================
+// GLOBAL SHORTCUTS
+// ============================================================================
+
+JunaVoiceInterface.prototype.initializeGlobalShortcuts = function () {
+  const inputs = [this.elements.shortcutPttInput, this.elements.shortcutToggleInput];
+
+  if (!this.shortcuts.isSupported) {
+    inputs.forEach((input) => (input.disabled = true));
+    this.elements.shortcutNote.textContent = "Global shortcuts are available in the desktop app.";
+    return;
+  }
+
+  inputs.forEach((input) => {
+    input.addEventListener("keydown", (e) => this.recordShortcut(e));
+  });
+  this.shortcuts.on("status", () => this.renderShortcutSettings());
+  this.shortcuts.on("shortcut", ({ action, pressed }) =>
+    this.handleGlobalShortcut(action, pressed)
+  );
+
+  // The title marks background capture only while the window is unfocused
+  window.addEventListener("focus", () => this.updateCaptureIndicator());
+  window.addEventListener("blur", () => this.updateCaptureIndicator());
+
+  this.renderShortcutSettings();
+  this.shortcuts.start().catch((error) => {
+    console.error("Global shortcuts failed:", error);
+    this.showNotification("Global shortcuts unavailable", "error");
+  });
+};
+
+/**
+ * Keydown in a shortcut field: the pressed combination becomes the shortcut
+ */
+JunaVoiceInterface.prototype.recordShortcut = async function (event) {
+  if (event.code === "Tab") return;
+
+  // Keep Space, Ctrl+F etc. from also triggering Juna's own shortcuts
+  event.preventDefault();
+  event.stopPropagation();
+
+  const input = event.target;
+  const action = input.dataset.shortcut;
+  const plainKey = !event.ctrlKey && !event.altKey && !event.shiftKey && !event.metaKey;
+
+  if (plainKey && event.code === "Escape") {
+    input.blur();
+    return;
+  }
+
+  let accelerator;
+  if (plainKey && (event.code === "Backspace" || event.code === "Delete")) {
+    accelerator = "";
+  } else {
+    accelerator = acceleratorFromEvent(event);
+    if (!accelerator) return;
+  }
+
+  const conflict = findShortcutConflict(action, accelerator, this.shortcuts.settings);
+  if (conflict) {
+    this.renderShortcutSettings({ [action]: conflict });
+    return;
+  }
+
+  // Registering happens when the settings change is applied
+  this.settings.set("shortcuts", { [action]: accelerator });
+  await this.pendingShortcuts;
+  if (accelerator && this.shortcuts.statuses[action]?.registered) {
+    this.showNotification(`${formatAccelerator(accelerator)} works everywhere now`, "success");
+  }
+};
+
+/**
+ * @param {Object<string, string>} [rejected] - Conflicts for shortcuts that were not saved
+ */
+JunaVoiceInterface.prototype.renderShortcutSettings = function (rejected = {}) {
+  const fields = [
+    ["pushToTalk", this.elements.shortcutPttInput, this.elements.shortcutPttStatus],
+    ["toggleRecording", this.elements.shortcutToggleInput, this.elements.shortcutToggleStatus],
+  ];
+
+  fields.forEach(([action, input, status]) => {
+    const accelerator = this.shortcuts.settings[action];
+    const error = rejected[action] ?? this.shortcuts.statuses[action]?.error;
+    input.value = formatAccelerator(accelerator);
+    input.classList.toggle("conflict", !!error);
+    status.textContent = error ?? "";
+  });
+};
+
+JunaVoiceInterface.prototype.handleGlobalShortcut = function (action, pressed) {
+  if (action === "toggleRecording") {
+    if (pressed) this.toggleRecording();
+    return;
+  }
+  if (pressed) {
+    this.startPushToTalk();
+  } else {
+    this.finishPushToTalk();
+  }
+};
+
+JunaVoiceInterface.prototype.startPushToTalk = async function () {
+  // Holding the keys repeats the press on some systems
+  if (this.isPushToTalkHeld) return;
+  this.isPushToTalkHeld = true;
+
+  if (!this.isRecording) {
+    await this.startRecording();
+  }
+  // Released while the microphone was still opening
+  if (!this.isPushToTalkHeld) {
+    this.finishPushToTalk();
+  }
+};
+
+JunaVoiceInterface.prototype.finishPushToTalk = function () {
+  this.isPushToTalkHeld = false;
+  if (!this.isRecording) return;
+
+  this.autoSubmitRecording = true;
+  this.stopRecording();
+};
+
+/**
+ * Recording while another app is focused shows in the window title
+ */
+JunaVoiceInterface.prototype.updateCaptureIndicator = function () {
+  this.shortcuts.setCaptureIndicator(this.isRecording && !document.hasFocus());
+};
+
+// ============================================================================
+// SPOKEN REPLIES
+// ============================================================================
+
+JunaVoiceInterface.prototype.initializeSpeechOutput = async function () {
+  const controls = [
+    this.elements.speechVoiceSelect,
+    this.elements.speechRateInput,
+    this.elements.speechPitchInput,
+  ];
+
+  if (!this.speech.isSupported()) {
+    controls.forEach((control) => (control.disabled = true));
+    return;
+  }
+
+  this.speech.on("start", () => this.updateUI());
+  this.speech.on("end", () => this.updateUI());
+
+  const voices = await this.speech.getVoices();
+  if (voices.length === 0) {
+    this.elements.speechVoiceSelect.innerHTML =
+      '<option value="">No offline voices installed</option>';
+    controls.forEach((control) => (control.disabled = true));
+    return;
+  }
+
+  this.elements.speechVoiceSelect.innerHTML = voices
+    .map(
+      (voice) =>
+        `<option value="${escapeHtml(voice.voiceURI)}"${voice.default ? " selected" : ""}>${escapeHtml(voice.name)} (${escapeHtml(voice.lang)})</option>`
+    )
+    .join("");
+  this.renderSpeechSettings();
+};
+
+JunaVoiceInterface.prototype.renderSpeechSettings = function () {
+  const { voiceURI, rate, pitch } = this.settings.get("speech");
+  const select = this.elements.speechVoiceSelect;
+
+  // Fall back to the system's default voice when the saved one is gone
+  if (voiceURI && [...select.options].some((option) => option.value === voiceURI)) {
+    select.value = voiceURI;
+  }
+  this.speech.setVoice(select.value);
+  this.elements.speechRateInput.value = rate;
+  this.elements.speechPitchInput.value = pitch;
+};
+
+JunaVoiceInterface.prototype.speakResponse = function (response) {
+  if (this.currentMode !== "voice" || !response.message) return;
+  if (response.response_type === "CANCELLED") return;
+  this.speech.speak(markdownToPlainText(response.message));
+};
+
+JunaVoiceInterface.prototype.stopSpeaking = function () {
+  if (this.speech.isSpeaking()) {
+    this.speech.stop();
+  }
+};
+
+// ============================================================================
+// CONVERSATION HISTORY
+// ============================================================================
+
+JunaVoiceInterface.prototype.restoreHistory = async function () {
+  const entries = await this.history.load();
+  if (!this.messageRenderer || entries.length === 0) return;
+
+  entries.forEach((entry) => {
+    const messageDiv = this.messageRenderer.renderHistoryEntry(entry);
+    this.messageRenderer.addMessageActions(messageDiv, entry);
+  });
+  console.log(`📚 Restored ${entries.length} messages from history`);
+};
+
+JunaVoiceInterface.prototype.recordHistory = function (entry, messageDiv = null) {
+  if (!this.history) return null;
+
+  const stored = this.history.add(entry);
+  if (messageDiv) {
+    messageDiv.dataset.historyId = stored.id;
+    this.messageRenderer.addMessageActions(messageDiv, stored);
+  }
+
+  const conversationId = this.sessions.activeId;
+  this.sessions.touch(conversationId);
+  if (entry.kind === "user") {
+    this.sessions.autoTitle(conversationId, entry.text);
+  }
+  return stored;
+};
+
+JunaVoiceInterface.prototype.recordProgress = function (update, progressDiv) {
+  const progress = {
+    type: update.type,
+    message: update.message,
+    current_step: update.current_step,
+    total_steps: update.total_steps,
+    status: "running",
+  };
+
+  // One entry per query, updated as the steps come in
+  if (this.progressEntryId && this.history?.get(this.progressEntryId)) {
+    this.history.update(this.progressEntryId, { progress });
+    return;
+  }
+  this.progressEntryId = this.recordHistory({ kind: "progress", progress }, progressDiv)?.id ?? null;
+};
+
+JunaVoiceInterface.prototype.finishProgressEntry = function (response) {
+  const entry = this.progressEntryId && this.history?.get(this.progressEntryId);
+  this.progressEntryId = null;
+  if (!entry) return;
+
+  const status = {
+    CANCELLED: "cancelled",
+    ERROR: "failed",
+  }[response?.response_type] ?? (response ? "completed" : "failed");
+  this.history.update(entry.id, { progress: { ...entry.progress, status } });
+};
+
+// ============================================================================
+// CONVERSATIONS
+// ============================================================================
+
+JunaVoiceInterface.prototype.initializeConversations = async function () {
+  await this.sessions.load();
+  await this.activateConversation(this.sessions.getActive());
+};
+
+JunaVoiceInterface.prototype.activateConversation = async function (conversation) {
+  this.importedView = null;
+  if (!conversation.session_id) {
+    conversation = this.sessions.setSessionId(conversation.id, await this.createBrainSession());
+  }
+
+  this.sessions.setActive(conversation.id);
+  this.brain?.setSession(conversation.session_id);
+  this.history = this.sessions.createHistory(conversation);
+
+  this.clearChatMessages();
+  await this.restoreHistory();
+  this.renderSessionList();
+  this.chatSearch?.refresh();
+  if (this.brain) {
+    await this.updateSessionInfo();
+  }
+};
+
+JunaVoiceInterface.prototype.createBrainSession = async function () {
+  try {
+    const status = await this.brain.createSession();
+    return status.session_id;
+  } catch (error) {
+    // The Brain starts unknown sessions on first use, so a local ID works too
+    console.warn("Could not create a Brain session, using a local ID:", error);
+    return `session-${Date.now().toString(16)}-${Math.random().toString(16).slice(2, 8)}`;
+  }
+};
+
+JunaVoiceInterface.prototype.canSwitchConversation = function () {
+  // Replies and queued messages belong to the conversation they were sent in
+  if (this.isProcessingQuery || this.isReplaying || !this.queryQueue.isEmpty()) {
+    this.showNotification("Wait for Juna to finish before switching conversations", "warning");
+    return false;
+  }
+  return true;
+};
+
+JunaVoiceInterface.prototype.createConversation = async function () {
+  if (!this.canSwitchConversation()) return;
+
+  const conversation = this.sessions.create({ sessionId: await this.createBrainSession() });
+  await this.activateConversation(conversation);
+  this.showNotification("Started a new conversation", "success");
+};
+
+JunaVoiceInterface.prototype.switchConversation = async function (id) {
+  if (id === this.sessions.activeId || !this.canSwitchConversation()) return;
+
+  const conversation = this.sessions.get(id);
+  if (conversation) {
+    await this.activateConversation(conversation);
+  }
+};
+
+JunaVoiceInterface.prototype.toggleConversationArchived = async function (id) {
+  const conversation = this.sessions.get(id);
+  if (!conversation) return;
+
+  const isActive = id === this.sessions.activeId;
+  if (isActive && !conversation.archived && !this.canSwitchConversation()) return;
+
+  this.sessions.setArchived(id, !conversation.archived);
+  if (isActive && !conversation.archived) {
+    await this.openFallbackConversation();
+  }
+  this.showNotification(
+    conversation.archived ? `Restored "${conversation.title}"` : `Archived "${conversation.title}"`,
+    "success"
+  );
+};
+
+JunaVoiceInterface.prototype.deleteConversation = async function (id) {
+  const conversation = this.sessions.get(id);
+  if (!conversation) return;
+
+  const isActive = id === this.sessions.activeId;
+  if (isActive && !this.canSwitchConversation()) return;
+
+  this.sessions.remove(id);
+  await this.sessions.createHistory(conversation).clear();
+  if (conversation.session_id && this.brain) {
+    try {
+      await this.brain.deleteSession(conversation.session_id);
+    } catch (error) {
+      console.warn("Failed to delete Brain session:", error);
+    }
+  }
+
+  if (isActive) {
+    await this.openFallbackConversation();
+  }
+  this.showNotification(`Deleted "${conversation.title}"`, "warning");
+};
+
+JunaVoiceInterface.prototype.openFallbackConversation = async function () {
+  // Most recent conversation that is still listed, or a fresh one
+  const next =
+    this.sessions.list()[0] ??
+    this.sessions.create({ sessionId: await this.createBrainSession() });
+  await this.activateConversation(next);
+};
+
+JunaVoiceInterface.prototype.handleSessionListClick = function (event) {
+  if (event.target.closest(".session-title-input")) return;
+
+  const target = event.target.closest("[data-session-action]");
+  if (!target) return;
+
+  const item = target.closest("[data-conversation-id]");
+  const id = item.dataset.conversationId;
+  switch (target.dataset.sessionAction) {
+    case "open":
+      this.switchConversation(id);
+      break;
+    case "rename":
+      this.startRenamingConversation(item);
+      break;
+    case "archive":
+      this.toggleConversationArchived(id);
+      break;
+    case "delete":
+      // Deleting is permanent, so it takes a second click to confirm
+      if (!target.classList.contains("confirm")) {
+        target.classList.add("confirm");
+        target.textContent = "Delete?";
+        setTimeout(() => {
+          target.classList.remove("confirm");
+          target.textContent = "🗑";
+        }, 3000);
+        return;
+      }
+      this.deleteConversation(id);
+      break;
+  }
+};
+
+JunaVoiceInterface.prototype.startRenamingConversation = function (item) {
+  const conversation = this.sessions.get(item.dataset.conversationId);
+  const title = item.querySelector(".session-item-title");
+  if (!conversation || !title) return;
+
+  const input = document.createElement("input");
+  input.className = "session-title-input";
+  input.value = conversation.title;
+  input.maxLength = 80;
+  title.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let finished = false;
+  const finish = (save) => {
+    if (finished) return;
+    finished = true;
+
+    if (save && input.value.trim() && input.value.trim() !== conversation.title) {
+      this.sessions.rename(conversation.id, input.value);
+    } else {
+      this.renderSessionList();
+    }
+  };
+
+  input.addEventListener("keydown", (e) => {
+    // Keep Escape and Enter away from the global shortcuts
+    e.stopPropagation();
+    if (e.key === "Enter") finish(true);
+    if (e.key === "Escape") finish(false);
+  });
+  input.addEventListener("blur", () => finish(true));
+};
+
+JunaVoiceInterface.prototype.renderSessionList = function () {
+  const active = this.sessions.getActive();
+  const conversations = this.sessions.list({
+    includeArchived: this.elements.sessionShowArchived.checked,
+  });
+
+  // Keep the open conversation visible even when it is archived
+  if (active && !conversations.some((conversation) => conversation.id === active.id)) {
+    conversations.unshift(active);
+  }
+
+  this.elements.sessionList.innerHTML = conversations
+    .map(
+      (conversation) => `
+      <li class="session-item${conversation.id === active?.id ? " active" : ""}${conversation.archived ? " archived" : ""}" data-conversation-id="${conversation.id}">
+        <div class="session-item-main" data-session-action="open" role="button" tabindex="0">
+          <span class="session-item-title">${escapeHtml(conversation.title)}</span>
+          <span class="session-item-time">${this.formatConversationTime(conversation.updated_at)}</span>
+        </div>
+        <div class="session-item-actions">
+          <button class="session-action-btn" data-session-action="rename" title="Rename">✎</button>
+          <button class="session-action-btn" data-session-action="archive" title="${conversation.archived ? "Unarchive" : "Archive"}">${conversation.archived ? "↩" : "🗄"}</button>
+          <button class="session-action-btn" data-session-action="delete" title="Delete">🗑</button>
+        </div>
+      </li>`
+    )
+    .join("");
+
+  if (active && !this.importedView) {
+    this.elements.conversationTitle.textContent = active.title;
+  }
+};
+
+JunaVoiceInterface.prototype.formatConversationTime = function (timestamp) {
+  const date = new Date(timestamp);
+  if (date.toDateString() === new Date().toDateString()) {
+    return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  }
+  return date.toLocaleDateString([], { month: "short", day: "numeric" });
+};
+
+// ============================================================================
+// CONVERSATION EXPORT
+// ============================================================================
+
+JunaVoiceInterface.prototype.toggleExportMenu = function (open) {
+  const show = open ?? this.elements.exportOptions.hidden;
+  this.elements.exportOptions.hidden = !show;
+  this.elements.exportBtn.setAttribute("aria-expanded", String(show));
+};
+
+JunaVoiceInterface.prototype.exportConversation = async function (format) {
+  this.toggleExportMenu(false);
+
+  // Export what is on screen, which may be an imported conversation
+  const { conversation, entries } = this.importedView ?? {
+    conversation: this.sessions.getActive(),
+    entries: this.history?.list() ?? [],
+  };
+  if (!conversation || entries.length === 0) {
+    this.showNotification("Nothing to export yet", "warning");
+    return;
+  }
+
+  try {
+    const savedTo = await this.exporter.save(conversation, entries, format);
+    if (savedTo) {
+      console.log(`📤 Exported conversation to ${savedTo}`);
+      this.showNotification(`Exported to ${savedTo}`, "success");
+    }
+  } catch (error) {
+    console.error("❌ Export failed:", error);
+    this.showNotification("Export failed", "error");
+  }
+};
+
+// ============================================================================
+// CONVERSATION IMPORT
+// ============================================================================
+
+JunaVoiceInterface.prototype.importConversationFile = async function (file) {
+  if (!this.messageRenderer) return;
+
+  let imported;
+  try {
+    imported = await this.importer.readFile(file);
+  } catch (error) {
+    console.error("❌ Import failed:", error);
+    this.showNotification(error.message, "error");
+    return;
+  }
+  this.showImportedConversation(imported);
+};
+
+JunaVoiceInterface.prototype.showImportedConversation = function (imported) {
+  // Shown in place of the active conversation, which stays untouched
+  this.importedView = imported;
+  this.clearChatMessages();
+  this.messageRenderer.renderImportNotice(imported);
+  // One entry that fails to render should not hide the rest of the conversation
+  let failed = 0;
+  imported.entries.forEach((entry) => {
+    try {
+      this.messageRenderer.renderHistoryEntry(entry);
+    } catch (error) {
+      failed++;
+      console.error(`❌ Failed to render imported entry ${entry.id}:`, error);
+    }
+  });
+  this.elements.conversationTitle.textContent = `📄 ${imported.conversation.title}`;
+  this.chatSearch?.refresh();
+
+  if (failed > 0) {
+    this.showNotification(`${failed} imported ${failed === 1 ? "message" : "messages"} could not be shown`, "warning");
+  }
+  console.log(`📥 Imported ${imported.entries.length} entries from "${imported.conversation.title}"`);
+};
+
+JunaVoiceInterface.prototype.closeImportedConversation = async function () {
+  if (!this.importedView) return;
+  await this.activateConversation(this.sessions.getActive());
+};
+
+JunaVoiceInterface.prototype.replayImportedConversation = async function () {
+  const imported = this.importedView;
+  if (!imported || !this.brain || !this.canSwitchConversation()) return;
+
+  // Voice messages were stored as a label only, so they cannot be sent again
+  const turns = this.importer.userTurns(imported.entries);
+  const typedTurns = turns.filter((turn) => !turn.audio);
+  if (typedTurns.length === 0) {
+    this.showNotification("Nothing to replay - there are no typed messages", "warning");
+    return;
+  }
+
+  const conversation = this.sessions.create({
+    title: `${imported.conversation.title} (replay)`,
+    sessionId: await this.createBrainSession(),
+  });
+  await this.activateConversation(conversation);
+
+  this.isReplaying = true;
+  console.log(`🔁 Replaying ${typedTurns.length} messages`);
+  try {
+    for (const [index, turn] of typedTurns.entries()) {
+      const messageDiv = this.messageRenderer.renderUserMessage(turn.text);
+      this.recordHistory({ kind: "user", text: turn.text }, messageDiv);
+
+      const response = await this.processBrainQuery(turn.text);
+      this.messageRenderer.renderReplayComparison(turn.original, response ?? null);
+
+      if (!response || response.response_type === "CANCELLED") {
+        this.showNotification(`Replay stopped after ${index + 1} of ${typedTurns.length} messages`, "warning");
+        return;
+      }
+    }
+
+    const skipped = turns.length - typedTurns.length;
+    this.showNotification(
+      skipped > 0 ? `Replay finished, skipped ${skipped} voice messages` : "Replay finished",
+      "success"
+    );
+  } finally {
+    this.isReplaying = false;
+    // Messages sent during the replay waited in the queue
+    this.processQueryQueue();
+  }
+};
+
+// ============================================================================
+// CHAT SEARCH
+// ============================================================================
+
+JunaVoiceInterface.prototype.initializeChatSearch = function () {
+  this.chatSearch = new ChatSearch({
+    panel: this.elements.chatSearch,
+    chatContainer: this.elements.chatMessages,
+    sessions: this.sessions,
+    // Messages on screen come from the imported file while one is shown
+    getEntry: (id) => this.importedView
+      ? this.importedView.entries.find((entry) => entry.id === id) ?? null
+      : this.history?.get(id) ?? null,
+  });
+
+  this.chatSearch.on("open-result", ({ conversationId, entryId }) =>
+    this.openSearchResult(conversationId, entryId)
+  );
+};
+
+JunaVoiceInterface.prototype.openChatSearch = function () {
+  if (this.currentMode !== "chat") {
+    this.switchToChatMode();
+  }
+  this.chatSearch.open();
+};
+
+JunaVoiceInterface.prototype.openSearchResult = async function (conversationId, entryId) {
+  await this.switchConversation(conversationId);
+  if (this.sessions.activeId !== conversationId || this.importedView) return;
+
+  // Switching searched the newly opened conversation already
+  this.chatSearch.revealEntry(entryId);
+};
+
+// ============================================================================
+// MESSAGE ACTIONS
+// ============================================================================
+
+JunaVoiceInterface.prototype.canEditConversation = function () {
+  if (this.importedView) {
+    this.showNotification("Imported conversations are read-only - replay or close it first", "warning");
+    return false;
+  }
+  // The stored history and the Brain session must not change under a running query
+  if (this.isProcessingQuery || this.isReplaying || !this.queryQueue.isEmpty()) {
+    this.showNotification("Wait for Juna to finish before changing the conversation", "warning");
+    return false;
+  }
+  return true;
+};
+
+JunaVoiceInterface.prototype.historyEntryFor = function (messageDiv) {
+  const id = messageDiv?.dataset.historyId;
+  return (id && this.history?.get(id)) || null;
+};
+
+/**
+ * First query from an entry on that the Brain remembers; failed and
+ * cancelled queries never reached its session history. A user message whose
+ * answer was deleted is still remembered under its own query.
+ */
+JunaVoiceInterface.prototype.firstRememberedQueryFrom = function (entryId) {
+  const entries = this.history.list();
+  const start = this.history.indexOf(entryId);
+  const remembered = entries
+    .slice(start)
+    .find((entry) => entry.query_id && (entry.kind === "user" || entry.response.success));
+  return remembered?.query_id ?? null;
+};
+
+JunaVoiceInterface.prototype.copyMessage = function (messageDiv, button) {
+  const entry = this.historyEntryFor(messageDiv);
+  const text = entry?.kind === "user"
+    ? entry.text
+    : entry?.response?.message ?? messageDiv.querySelector(".message-content")?.textContent.trim();
+  this.messageRenderer.copyText(button, text ?? "");
+};
+
+JunaVoiceInterface.prototype.startEditingMessage = function (messageDiv) {
+  const entry = this.historyEntryFor(messageDiv);
+  const paragraph = messageDiv.querySelector(".message-content > p");
+  if (!entry || entry.kind !== "user" || !paragraph) return;
+  if (entry.audio) {
+    this.showNotification("Voice messages cannot be edited - only the label was stored", "warning");
+    return;
+  }
+  if (!this.canEditConversation()) return;
+
+  const input = document.createElement("textarea");
+  input.className = "message-edit-input";
+  input.value = entry.text;
+  input.maxLength = this.settings.get("general").maxMessageLength;
+  input.rows = Math.min(6, entry.text.split("\n").length + 1);
+  paragraph.replaceWith(input);
+  messageDiv.classList.add("editing");
+  input.focus();
+
+  let finished = false;
+  const finish = (save) => {
+    if (finished) return;
+    finished = true;
+
+    input.replaceWith(paragraph);
+    messageDiv.classList.remove("editing");
+    const text = input.value.trim();
+    if (save && text && text !== entry.text) {
+      this.resendEditedMessage(messageDiv, entry, text);
+    }
+  };
+
+  input.addEventListener("keydown", (e) => {
+    // Keep Escape and Enter away from the global shortcuts
+    e.stopPropagation();
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      finish(true);
+    }
+    if (e.key === "Escape") finish(false);
+  });
+  input.addEventListener("blur", () => finish(false));
+};
+
+JunaVoiceInterface.prototype.resendEditedMessage = async function (messageDiv, entry, text) {
+  if (!this.canEditConversation()) return;
+
+  try {
+    await this.forgetFrom(entry.id);
+  } catch (error) {
+    this.showNotification(`Could not edit the message: ${error.message}`, "error");
+    return;
+  }
+
+  this.messageRenderer.removeMessagesFrom(messageDiv);
+  this.enqueueQuery({ kind: "text", input: text, label: text });
+};
+
+JunaVoiceInterface.prototype.regenerateResponse = async function (messageDiv) {
+  const entry = this.historyEntryFor(messageDiv);
+  if (!entry || !this.canEditConversation()) return;
+
+  const { user } = this.history.exchangeAround(entry.id);
+  const userDiv = user && this.findHistoryMessage(user.id);
+  if (!userDiv) {
+    this.showNotification("The message this answers is no longer in the conversation", "warning");
+    return;
+  }
+  if (user.audio) {
+    this.showNotification("Answers to voice messages cannot be regenerated - only the label was stored", "warning");
+    return;
+  }
+
+  // The question is sent again, so the Brain has to forget it as well as its answer
+  try {
+    await this.forgetFrom(user.id);
+  } catch (error) {
+    this.showNotification(`Could not regenerate the answer: ${error.message}`, "error");
+    return;
+  }
+
+  this.messageRenderer.removeMessagesFrom(userDiv);
+  this.enqueueQuery({ kind: "text", input: user.text, label: user.text });
+};
+
+/**
+ * Send the question of a failed answer again, from the error's Retry button
+ */
+JunaVoiceInterface.prototype.retryFailedQuery = async function (messageDiv) {
+  const entry = this.historyEntryFor(messageDiv);
+  if (!entry || !this.canEditConversation()) return;
+
+  const { user } = this.history.exchangeAround(entry.id);
+  const userDiv = user && this.findHistoryMessage(user.id);
+  if (!userDiv) {
+    this.showNotification("The message this answers is no longer in the conversation", "warning");
+    return;
+  }
+
+  let query = { kind: "text", input: user.text, label: user.text };
+  if (user.audio) {
+    if (this.lastVoiceMessage?.entryId !== user.id) {
+      this.showNotification("Only the latest voice message can be retried - send it again from the recordings", "warning");
+      return;
+    }
+    query = { kind: "audio", audioBlob: this.lastVoiceMessage.audioBlob, label: user.text };
+  }
+
+  try {
+    await this.forgetFrom(user.id);
+  } catch (error) {
+    this.showNotification(`Could not retry: ${error.message}`, "error");
+    return;
+  }
+
+  this.messageRenderer.removeMessagesFrom(userDiv);
+  this.enqueueQuery(query);
+};
+
+/**
+ * Forget an entry and everything after it, in the Brain session and the history
+ */
+JunaVoiceInterface.prototype.forgetFrom = async function (entryId) {
+  const queryId = this.firstRememberedQueryFrom(entryId);
+  if (queryId) {
+    this.currentSession = await this.brain.truncateSession(queryId);
+  }
+  this.history.truncateFrom(entryId);
+  this.updateSessionUI();
+};
+
+JunaVoiceInterface.prototype.deleteMessage = async function (messageDiv) {
+  const entry = this.historyEntryFor(messageDiv);
+  if (!entry || !this.canEditConversation()) return;
+
+  // Deleting a user message takes its answer along; deleting an answer
+  // keeps the question, so it can be regenerated
+  const exchange = this.history.exchangeAround(entry.id);
+  const removed = entry.kind === "user"
+    ? exchange.entries
+    : exchange.entries.filter((item) => item.kind !== "user");
+
+  const answerOnly = entry.kind !== "user";
+  try {
+    for (const item of removed) {
+      if (item.query_id && (item.kind === "user" || item.response.success)) {
+        this.currentSession = await this.brain.removeExchange(item.query_id, { answerOnly });
+        // The Brain keeps the question under this query, remember it for later edits
+        if (answerOnly && exchange.user) {
+          this.history.update(exchange.user.id, { query_id: item.query_id });
+        }
+      }
+    }
+  } catch (error) {
+    this.showNotification(`Could not delete the message: ${error.message}`, "error");
+    return;
+  }
+
+  const ids = removed.map((item) => item.id);
+  this.history.remove(ids);
+  ids.forEach((id) => {
+    const div = this.findHistoryMessage(id);
+    if (div) this.messageRenderer.removeMessage(div.dataset.messageId);
+  });
+  this.updateSessionUI();
+};
+
+JunaVoiceInterface.prototype.findHistoryMessage = function (entryId) {
+  return this.elements.chatMessages.querySelector(`[data-history-id="${entryId}"]`);
+};
+
+// ============================================================================
+// BRAIN COMMUNICATION METHODS
+// ============================================================================
+
+JunaVoiceInterface.prototype.initializeBrainCommunication = async function() {
+  try {
+    console.log("🧠 Initializing Brain communication...");
+    
+    // Initialize Brain communication
+    const { transport } = this.settings.get("brain");
+    this.brain = new BrainCommunication({
+      transport: createTransport(resolveTransportKind(transport)),
+      maxInputLength: this.settings.get("general").maxQueryLength,
+    });
+    
+    // Initialize message renderer
+    this.messageRenderer = new MessageRenderer(this.elements.chatMessages);
+    
+    // Setup event handlers
+    this.setupBrainEventHandlers();
+    
+    // Without a transport every query fails; the session shows as disconnected
+    await this.brain.initialized;
+    if (!this.brain.isReady()) {
+      this.showNotification("Failed to connect to Brain backend", "error");
+    }
+    
+    // Get initial session status
+    this.currentSession = await this.brain.getSessionStatus();
+    this.updateSessionUI();
+    
+    if (this.brain.isReady()) {
+      console.log("✅ Brain communication initialized successfully");
+    }
+  } catch (error) {
+    console.error("❌ Failed to initialize Brain communication:", error);
+    this.showNotification("Failed to connect to Brain backend", "error");
+  }
+};
+
+JunaVoiceInterface.prototype.setupBrainEventHandlers = function() {
+  // Progress update handler
+  this.brain.on('progress_update', (update) => {
+    this.handleProgressUpdate(update);
+  });
+  
+  // Error handler
+  this.brain.on('brain_error', (error) => {
+    this.handleBrainError(error);
+  });
+  
+  // Session event handler
+  this.brain.on('session_event', (event) => {
+    this.handleSessionEvent(event);
+  });
+  
+  // Session reset handler
+  this.brain.on('session_reset', (data) => {
+    this.handleSessionReset(data);
+  });
+  
+  // Stop button on progress messages
+  this.messageRenderer.onAction('cancel-query', () => {
+    this.cancelCurrentQuery();
+  });
+  
+  // Buttons on the notice above an imported conversation
+  this.messageRenderer.onAction('replay-import', () => {
+    this.replayImportedConversation();
+  });
+  this.messageRenderer.onAction('close-import', () => {
+    this.closeImportedConversation();
+  });
+  
+  // Action bar on stored messages
+  this.messageRenderer.onAction('copy-message', (messageDiv, button) => {
+    this.copyMessage(messageDiv, button);
+  });
+  this.messageRenderer.onAction('edit-message', (messageDiv) => {
+    this.startEditingMessage(messageDiv);
+  });
+  this.messageRenderer.onAction('regenerate-message', (messageDiv) => {
+    this.regenerateResponse(messageDiv);
+  });
+  this.messageRenderer.onAction('delete-message', (messageDiv) => {
+    this.deleteMessage(messageDiv);
+  });
+  
+  // Retry buttons on recoverable errors: early start of a scheduled
+  // retry, or sending the question again once none is left
+  this.messageRenderer.onAction('retry-query', () => {
+    if (this.currentRetryKey) {
+      this.errorHandler.retryNow(this.currentRetryKey);
+    }
+  });
+  this.messageRenderer.onAction('retry', (messageDiv) => {
+    this.retryFailedQuery(messageDiv);
+  });
+};
+
+JunaVoiceInterface.prototype.processBrainQuery = async function(input) {
+  return this.runBrainQuery((queryId) =>
+    this.brain.processQuery(input, {
+      queryId,
+      onChunk: (chunk) => this.handleResponseChunk(queryId, chunk)
+    })
+  );
+};
+
+JunaVoiceInterface.prototype.processBrainAudioQuery = async function(audioBlob) {
+  return this.runBrainQuery((queryId) =>
+    this.brain.processAudioQuery(audioBlob, {
+      queryId,
+      onChunk: (chunk) => this.handleResponseChunk(queryId, chunk)
+    })
+  );
+};
+
+JunaVoiceInterface.prototype.runBrainQuery = async function(sendQuery) {
+  if (this.isProcessingQuery) {
+    this.showNotification("Please wait for current query to complete", "warning");
+    return;
+  }
+  
+  this.isProcessingQuery = true;
+  this.currentTaskId = `task_${Date.now()}`;
+  this.progressEntryId = null;
+  this.currentQueryId = this.brain.generateQueryId();
+  let queryId = this.currentQueryId;
+  
+  // The first query ID identifies the retry budget across all attempts
+  const retryKey = queryId;
+  this.currentRetryKey = retryKey;
+  this.updateUI();
+  
+  let response = null;
   try {
     // Show processing indicator
     this.showProcessingIndicator();
     
-    // Send input to Brain (updated parameter name)
-    const response = await this.brain.processQuery(input);
+    this.currentQuery = sendQuery(queryId);
+    response = await this.currentQuery;
+    
+    // Recoverable failures are retried with backoff, each attempt
+    // replacing the previous error message in place
+    while (this.errorHandler.shouldRetry(response, retryKey)) {
+      const retry = this.errorHandler.scheduleRetry(retryKey);
+      const errorDiv = this.renderBrainResponse(response, queryId, { retry });
+      this.showProcessingIndicator(`Retrying in ${Math.ceil(retry.delayMs / 1000)}s...`);
+      
+      const proceed = await this.errorHandler.waitForRetry(retryKey, retry.delayMs);
+      if (!proceed) {
+        response = this.brain.createCancelledResponse();
+        const cancelledDiv = this.messageRenderer.replaceMessage(
+          errorDiv,
+          this.messageRenderer.buildCancelledResponse(response)
+        );
+        this.recordHistory({ kind: "response", response, query_id: queryId }, cancelledDiv);
+        this.messageRenderer.cancelProgressMessage(this.currentTaskId);
+        this.showNotification("Retry cancelled", "warning");
+        return response;
+      }
+      
+      this.showProcessingIndicator();
+      this.currentQueryId = this.brain.generateQueryId();
+      queryId = this.currentQueryId;
+      this.messageRenderer.renderStreamingResponse(queryId, { replace: errorDiv });
+      
+      this.currentQuery = sendQuery(queryId);
+      response = await this.currentQuery;
+    }
     
     // Render response based on type
-    this.renderBrainResponse(response);
+    const attempts = this.errorHandler.getAttempts(retryKey);
+    const exhausted = this.errorHandler.isRecoverable(response) && attempts > 0;
+    this.renderBrainResponse(response, queryId, exhausted ? { retry: { exhausted, attempt: attempts } } : {});
     
     // Update session info
     this.updateSessionInfo();
@@ -715,7 +3296,7 @@ JunaVoiceInterface.prototype.processBrainQuery = async function(input) {
     // Handle structured ErrorResponse
     if (error.error_code && error.message) {
       this.showNotification(`${error.message}`, "error");
-      this.messageRenderer.renderErrorResponse({
+      response = {
         success: false,
         response_type: "ERROR",
         message: error.message,
@@ -723,51 +3304,134 @@ JunaVoiceInterface.prototype.processBrainQuery = async function(input) {
           error_code: error.error_code,
           details: error.details
         }
-      });
+      };
     } else {
       this.showNotification(`Query failed: ${error.message}`, "error");
-      this.messageRenderer.renderErrorResponse({
+      response = {
         success: false,
         response_type: "ERROR",
         message: error.message,
         metadata: { error_code: "COMMUNICATION_FAILED" }
-      });
+      };
     }
     
+    const errorDiv = this.messageRenderer.renderErrorResponse(response);
+    this.recordHistory({ kind: "response", response, query_id: queryId }, errorDiv);
+    
   } finally {
+    this.finishProgressEntry(response);
+    this.errorHandler.finish(retryKey);
     this.isProcessingQuery = false;
+    this.currentQueryId = null;
+    this.currentQuery = null;
+    this.currentRetryKey = null;
     this.hideProcessingIndicator();
+    this.updateUI();
   }
+  return response;
 };
 
-JunaVoiceInterface.prototype.renderBrainResponse = function(response) {
+JunaVoiceInterface.prototype.renderBrainResponse = function(response, queryId = null, options = {}) {
+  if (response.response_type === "CANCELLED") {
+    return this.renderCancelledQuery(response, queryId);
+  }
+
+  // Only speak final results, not errors that are about to be retried
+  const isFinal = !options.retry || options.retry.exhausted;
+  let messageDiv;
+
+  // Streamed answers are already on screen, only their metadata is missing
+  if (this.messageRenderer.findStreamingMessage(queryId)) {
+    const streamedText = this.messageRenderer.getStreamedText(queryId);
+    messageDiv = this.messageRenderer.finalizeStreamingResponse(queryId, response, options);
+    if (this.currentTaskId && response.response_type !== "ERROR") {
+      this.messageRenderer.completeProgressMessage(this.currentTaskId, response);
+    }
+    if (isFinal) {
+      this.speakResponse(response);
+      this.recordHistory({
+        kind: "response",
+        response: { ...response, message: response.message || streamedText },
+        query_id: queryId
+      }, messageDiv);
+    }
+    return messageDiv;
+  }
+
   switch (response.response_type) {
     case "SIMPLE":
-      this.messageRenderer.renderSimpleResponse(response);
+      messageDiv = this.messageRenderer.renderSimpleResponse(response);
       break;
     case "COMPLEX":
-      this.messageRenderer.renderComplexResponse(response);
+      messageDiv = this.messageRenderer.renderComplexResponse(response);
       // Complete any active progress messages
       if (this.currentTaskId) {
         this.messageRenderer.completeProgressMessage(this.currentTaskId, response);
       }
       break;
     case "DIRECT":
-      this.messageRenderer.renderDirectResponse(response);
+      messageDiv = this.messageRenderer.renderDirectResponse(response);
       break;
     case "ERROR":
-      this.messageRenderer.renderErrorResponse(response);
+      messageDiv = this.messageRenderer.renderErrorResponse(response, options);
       break;
     default:
-      this.messageRenderer.renderSimpleResponse(response);
+      messageDiv = this.messageRenderer.renderSimpleResponse(response);
+  }
+
+  if (isFinal) {
+    this.speakResponse(response);
+    this.recordHistory({ kind: "response", response, query_id: queryId }, messageDiv);
+  }
+  return messageDiv;
+};
+
+JunaVoiceInterface.prototype.renderCancelledQuery = function(response, queryId) {
+  // Whatever was streamed before the cancel stays on screen, so store that
+  const streamedText = this.messageRenderer.getStreamedText(queryId);
+  let messageDiv;
+  if (this.messageRenderer.findStreamingMessage(queryId)) {
+    messageDiv = this.messageRenderer.finalizeStreamingResponse(queryId, response);
+  } else {
+    messageDiv = this.messageRenderer.renderCancelledResponse(response);
+  }
+  this.recordHistory({
+    kind: "response",
+    response: { ...response, message: streamedText || response.message },
+    query_id: queryId
+  }, messageDiv);
+
+  if (this.currentTaskId) {
+    this.messageRenderer.cancelProgressMessage(this.currentTaskId);
+  }
+  this.showNotification("Query cancelled", "warning");
+  return messageDiv;
+};
+
+JunaVoiceInterface.prototype.cancelCurrentQuery = async function() {
+  // Waiting for a retry: nothing is in flight, just drop the retry
+  if (this.currentRetryKey && this.errorHandler.cancelRetry(this.currentRetryKey)) return;
+
+  if (!this.currentQuery) return;
+  await this.currentQuery.cancel();
+};
+
+JunaVoiceInterface.prototype.handleResponseChunk = function(queryId, chunk) {
+  // Ignore late chunks from a query that already finished
+  if (queryId !== this.currentQueryId || !chunk.text) return;
+
+  if (!this.messageRenderer.findStreamingMessage(queryId)) {
+    this.showProcessingIndicator("Juna is typing...");
   }
+  this.messageRenderer.appendStreamChunk(queryId, chunk.text);
 };
 
 JunaVoiceInterface.prototype.handleProgressUpdate = function(update) {
   console.log("📊 Progress update:", update);
   
   // Render or update progress message
-  this.messageRenderer.renderProgressUpdate(update, this.currentTaskId);
+  const progressDiv = this.messageRenderer.renderProgressUpdate(update, this.currentTaskId);
+  this.recordProgress(update, progressDiv);
   
   // Show progress notification for major steps
   if (update.type === "STEP_COMPLETE") {
@@ -799,24 +3463,28 @@ JunaVoiceInterface.prototype.handleSessionEvent = function(event) {
 JunaVoiceInterface.prototype.handleSessionReset = function(data) {
   console.log("🔄 Session reset:", data);
   
+  // The Brain forgot the conversation, so the stored history goes too
+  this.history?.clear();
+  
   // Clear chat messages but keep welcome message
-  const welcomeMessage = this.elements.chatMessages.querySelector('.welcome-message');
-  this.elements.chatMessages.innerHTML = '';
-  if (welcomeMessage) {
-    this.elements.chatMessages.appendChild(welcomeMessage);
-  }
+  this.clearChatMessages();
   
   this.showNotification("Session reset successfully", "success");
 };
 
+/**
+ * @returns {Promise<boolean>} Whether the Brain reset the session
+ */
 JunaVoiceInterface.prototype.resetBrainSession = async function() {
   try {
     this.showNotification("Resetting session...", "warning");
     await this.brain.resetSession();
     this.currentSession = await this.brain.getSessionStatus();
+    return true;
   } catch (error) {
     console.error("Failed to reset session:", error);
     this.showNotification(`Failed to reset session: ${error.message}`, "error");
+    return false;
   }
 };
 
@@ -840,17 +3508,20 @@ JunaVoiceInterface.prototype.updateSessionUI = function() {
         <span class="session-id">Session: ${this.currentSession.session_id.substring(0, 8)}...</span>
         <span class="message-count">Messages: ${this.currentSession.message_count}</span>
         <span class="memory-size">Memory: ${this.formatBytes(this.currentSession.memory_size)}</span>
+        ${!this.currentSession.is_active ? `<span class="session-disconnected">Disconnected</span>` : ""}
+        ${this.brain.getTransportName() !== "tauri" ?
+          `<span class="session-transport">${this.brain.getTransportName() === "mock" ? "Mock Brain" : "Local HTTP Brain"}</span>` : ""}
       </div>
     `;
   }
 };
 
-JunaVoiceInterface.prototype.showProcessingIndicator = function() {
+JunaVoiceInterface.prototype.showProcessingIndicator = function(text = 'Juna is thinking...') {
   // Show typing indicator or processing state
   const typingIndicator = document.getElementById('typing-indicator');
   if (typingIndicator) {
     typingIndicator.classList.add('active');
-    typingIndicator.textContent = 'Juna is thinking...';
+    typingIndicator.textContent = text;
   }
 };
 
@@ -0,0 +1,367 @@
+/**
+ * MARKDOWN RENDERER
+ * Turns Markdown from the Brain into safe HTML for Juna messages
+ *
+ * Supports paragraphs, headings, nested lists, blockquotes, tables, fenced
+ * code blocks with highlighting and a copy button, links and inline emphasis.
+ * Raw HTML is never passed through: text is escaped before any markup is
+ * added, and only http(s) and mailto links are kept.
+ *
+ * Code blocks and links carry data-action="copy-code" / "open-link" for the
+ * MessageRenderer's action handlers.
+ */
+
+import { highlightCode, resolveLanguage } from './code-highlighter.js';
+import { escapeHtml } from './helpers.js';
+
+const SAFE_LINK_PROTOCOLS = ["http:", "https:", "mailto:"];
+const MAX_NESTING_DEPTH = 6;
+
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s{0,3}>/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Code spans, [links](url) and bare URLs are cut out before emphasis is applied
+const INLINE_PATTERN = new RegExp([
+  String.raw`(\`+)([^\`][\s\S]*?)\1(?!\`)`,
+  String.raw`\[([^\]\n]+)\]\(\s*<?([^\s()<>]+)>?(?:\s+"[^"\n]*")?\s*\)`,
+  String.raw`(https?:\/\/[^\s<>"']*[^\s<>"'.,:;!?)\]])`
+].join('|'), 'g');
+
+/**
+ * Render Markdown as sanitized HTML
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function renderMarkdown(markdown) {
+  const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+  return renderBlocks(lines, 0);
+}
+
+/**
+ * Strip Markdown syntax, e.g. before a response is read aloud
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToPlainText(markdown) {
+  return String(markdown ?? '')
+    .replace(/^\s{0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^\s{0,3}\1[^\n]*$|(?![\s\S]))/gm, 'Code block.\n')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/\[([^\]\n]+)\]\((?:[^()\n]|\([^()\n]*\))*\)/g, '$1')
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s{0,3}>\s?/gm, '')
+    .replace(/^\s*(?:[-*+]|\d{1,9}[.)])\s+/gm, '')
+    .replace(/^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/gm, '')
+    .replace(/^[ \t]*\|[ \t]*|[ \t]*\|[ \t]*$/gm, '')
+    .replace(/[ \t]*(?<!\\)\|[ \t]*/g, ', ')
+    .replace(/\\\|/g, '|')
+    .replace(/(\*\*|~~)(?=\S)([\s\S]*?\S)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?![\w*])/g, '$1$2')
+    .replace(/(^|[^\w_])_(?=\S)([^_\n]*?\S)_(?![\w_])/g, '$1$2')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ============================================================================
+// BLOCKS
+// ============================================================================
+
+function renderBlocks(lines, depth) {
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !isClosingFence(lines[i], fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      html.push(renderCodeBlock(code.join('\n'), fence[2]));
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const table = renderTable(lines, i);
+      html.push(table.html);
+      i = table.next;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+        i++;
+      }
+      html.push(`<blockquote>${renderNested(quoted, depth)}</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      const list = renderList(lines, i, depth);
+      html.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    // A paragraph runs until a blank line or the start of another block
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+  }
+
+  return html.join('');
+}
+
+function renderNested(lines, depth) {
+  // Deeply nested input is flattened into text instead of recursing further
+  if (depth >= MAX_NESTING_DEPTH) {
+    return `<p>${lines.filter(line => line.trim()).map(line => renderInline(line.trim())).join('<br>')}</p>`;
+  }
+  return renderBlocks(lines, depth + 1);
+}
+
+function startsBlock(lines, i) {
+  const line = lines[i];
+  return FENCE_PATTERN.test(line) ||
+    HEADING_PATTERN.test(line) ||
+    RULE_PATTERN.test(line) ||
+    QUOTE_PATTERN.test(line) ||
+    LIST_ITEM_PATTERN.test(line) ||
+    isTableStart(lines, i);
+}
+
+function isClosingFence(line, fence) {
+  const trimmed = line.trim();
+  return trimmed.startsWith(fence) && trimmed.replace(/[`~]/g, '') === '';
+}
+
+function renderCodeBlock(code, info) {
+  const language = resolveLanguage(info);
+  const label = info ? escapeHtml(info) : 'text';
+
+  return `<div class="code-block">` +
+    `<div class="code-block-header">` +
+    `<span class="code-block-language">${label}</span>` +
+    `<button class="code-copy-btn" data-action="copy-code" title="Copy code">Copy</button>` +
+    `</div>` +
+    `<pre><code${language ? ` class="language-${language}"` : ''}>${highlightCode(code, language)}</code></pre>` +
+    `</div>`;
+}
+
+// ============================================================================
+// LISTS
+// ============================================================================
+
+function parseListItem(line) {
+  const match = line.match(LIST_ITEM_PATTERN);
+  if (!match) return null;
+
+  const [, indent, marker, content] = match;
+  return {
+    indent: indent.length,
+    ordered: /\d/.test(marker),
+    start: parseInt(marker, 10),
+    contentIndent: indent.length + marker.length + 1,
+    content
+  };
+}
+
+function renderList(lines, start, depth) {
+  const first = parseListItem(lines[start]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const item = parseListItem(lines[i]);
+    const isSibling = item && item.ordered === first.ordered &&
+      item.indent >= first.indent && item.indent <= first.indent + 1;
+    if (!isSibling) break;
+
+    // Everything indented below the marker belongs to this item
+    const content = [item.content];
+    i++;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        const next = nextNonBlank(lines, i);
+        if (next !== -1 && indentOf(lines[next]) > first.indent) {
+          content.push('');
+          i++;
+          continue;
+        }
+        break;
+      }
+
+      const indent = indentOf(line);
+      if (indent > first.indent) {
+        content.push(line.slice(Math.min(indent, item.contentIndent)));
+        i++;
+        continue;
+      }
+      if (startsBlock(lines, i)) break;
+
+      // Lazy continuation of the item's text
+      content.push(line.trim());
+      i++;
+    }
+    items.push(content);
+
+    // Blank lines between items of the same list
+    const next = nextNonBlank(lines, i);
+    if (next !== -1 && next > i && parseListItem(lines[next])?.indent === first.indent) {
+      i = next;
+    }
+  }
+
+  const body = items.map(content => {
+    // Keep tight items free of paragraph margins
+    const html = renderNested(content, depth).replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+    return `<li>${html}</li>`;
+  }).join('');
+
+  const tag = first.ordered ? 'ol' : 'ul';
+  const startAttribute = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+  return { html: `<${tag}${startAttribute}>${body}</${tag}>`, next: i };
+}
+
+function nextNonBlank(lines, from) {
+  for (let i = from; i < lines.length; i++) {
+    if (lines[i].trim()) return i;
+  }
+  return -1;
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+// ============================================================================
+// TABLES
+// ============================================================================
+
+function isTableStart(lines, i) {
+  return i + 1 < lines.length &&
+    lines[i].includes('|') &&
+    lines[i + 1].includes('|') &&
+    TABLE_SEPARATOR_PATTERN.test(lines[i + 1]);
+}
+
+function splitTableRow(line) {
+  return line.trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function renderTable(lines, start) {
+  const headers = splitTableRow(lines[start]);
+  const alignments = splitTableRow(lines[start + 1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+    rows.push(splitTableRow(lines[i]));
+    i++;
+  }
+
+  const renderRow = (cells, tag) => '<tr>' + headers.map((_, column) => {
+    const align = alignments[column] ? ` style="text-align: ${alignments[column]}"` : '';
+    return `<${tag}${align}>${renderInline(cells[column] ?? '')}</${tag}>`;
+  }).join('') + '</tr>';
+
+  const html = `<div class="table-wrapper"><table>` +
+    `<thead>${renderRow(headers, 'th')}</thead>` +
+    `<tbody>${rows.map(row => renderRow(row, 'td')).join('')}</tbody>` +
+    `</table></div>`;
+  return { html, next: i };
+}
+
+// ============================================================================
+// INLINE
+// ============================================================================
+
+function renderInline(text) {
+  // Code and links are swapped for placeholders so emphasis can wrap them
+  const placeholders = [];
+  const hold = (html) => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+  const marked = text.replace(/\u0000/g, '').replace(INLINE_PATTERN, (match, ticks, code, label, url, bareUrl) => {
+    if (ticks) {
+      return hold(`<code>${escapeHtml(code.trim() || code)}</code>`);
+    }
+    if (label) {
+      return hold(renderLink(url, renderEmphasis(escapeHtml(label))));
+    }
+    return hold(renderLink(bareUrl, escapeHtml(bareUrl)));
+  });
+
+  return renderEmphasis(escapeHtml(marked))
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => placeholders[index]);
+}
+
+/**
+ * Emphasis on already escaped text; the added tags are fixed strings
+ */
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?![\w*])/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w_])_(?=\S)([^_]*?\S)_(?![\w_])/g, '$1<em>$2</em>');
+}
+
+function renderLink(url, labelHtml) {
+  const href = safeUrl(url);
+  if (!href) return labelHtml;
+
+  return `<a class="md-link" href="${escapeHtml(href)}" data-action="open-link" ` +
+    `target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+}
+
+function safeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return SAFE_LINK_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
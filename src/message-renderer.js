@@ -3,23 +3,61 @@
  * Handles rendering different types of messages from Brain backend
  */
 
+import { renderMarkdown } from './markdown-renderer.js';
+import { openExternalUrl } from './tauri-api.js';
+import { escapeHtml } from './helpers.js';
+
 export class MessageRenderer {
   constructor(chatContainer) {
     this.chatContainer = chatContainer;
     this.messageIdCounter = 0;
+    this.actionHandlers = new Map();
+    
+    // Buttons inside messages declare a data-action, handled by delegation
+    this.chatContainer.addEventListener('click', (event) => this.handleActionClick(event));
+    
+    // Code blocks and links inside Markdown responses
+    this.onAction('copy-code', (messageDiv, button) => this.copyCodeBlock(button));
+    this.onAction('open-link', (messageDiv, link) => {
+      openExternalUrl(link.href).catch(error => console.error("Failed to open link:", error));
+    });
+  }
+
+  /**
+   * Register a handler for buttons with data-action="<action>"
+   * @param {string} action
+   * @param {(messageDiv: HTMLElement, button: HTMLElement) => void} handler
+   */
+  onAction(action, handler) {
+    this.actionHandlers.set(action, handler);
+  }
+
+  /**
+   * Dispatch clicks on action buttons to their handler
+   */
+  handleActionClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button || !this.chatContainer.contains(button)) return;
+    
+    const handler = this.actionHandlers.get(button.dataset.action);
+    if (handler) {
+      event.preventDefault();
+      handler(button.closest('.message'), button);
+    }
   }
 
   /**
    * Render a user message
+   * @param {number} [options.timestamp] - When the message was sent, defaults to now
    */
-  renderUserMessage(message) {
+  renderUserMessage(message, options = {}) {
     const messageDiv = this.createMessageContainer('user-message');
-    const time = this.getCurrentTime();
+    const time = this.formatTime(options.timestamp);
     
     messageDiv.innerHTML = `
       <div class="message-avatar">U</div>
       <div class="message-content">
-        <p>${this.escapeHtml(message)}</p>
+        <p>${escapeHtml(message)}</p>
         <span class="message-time">${time}</span>
       </div>
     `;
@@ -31,32 +69,49 @@ export class MessageRenderer {
   /**
    * Render a simple Brain response
    */
-  renderSimpleResponse(response) {
+  renderSimpleResponse(response, options = {}) {
+    const messageDiv = this.buildSimpleResponse(response, options);
+    this.appendMessage(messageDiv);
+    return messageDiv;
+  }
+
+  /**
+   * Build the element for a simple Brain response
+   */
+  buildSimpleResponse(response, options = {}) {
     const messageDiv = this.createMessageContainer('juna-message simple');
-    const time = this.getCurrentTime();
+    const time = this.formatTime(options.timestamp);
     
     messageDiv.innerHTML = `
       <div class="message-avatar">J</div>
       <div class="message-content">
-        <p>${this.escapeHtml(response.message)}</p>
+        ${this.renderMessageBody(response.message)}
         <div class="response-metadata">
-          <span class="metadata-item">⚡ ${response.metadata.execution_time_ms}ms</span>
-          <span class="metadata-item">📍 ${response.metadata.route_taken}</span>
+          <span class="metadata-item">⚡ ${escapeHtml(response.metadata.execution_time_ms)}ms</span>
+          <span class="metadata-item">📍 ${escapeHtml(response.metadata.route_taken)}</span>
         </div>
         <span class="message-time">${time}</span>
       </div>
     `;
     
-    this.appendMessage(messageDiv);
     return messageDiv;
   }
 
   /**
    * Render a complex Brain response with detailed metadata
    */
-  renderComplexResponse(response) {
+  renderComplexResponse(response, options = {}) {
+    const messageDiv = this.buildComplexResponse(response, options);
+    this.appendMessage(messageDiv);
+    return messageDiv;
+  }
+
+  /**
+   * Build the element for a complex Brain response
+   */
+  buildComplexResponse(response, options = {}) {
     const messageDiv = this.createMessageContainer('juna-message complex');
-    const time = this.getCurrentTime();
+    const time = this.formatTime(options.timestamp);
     
     messageDiv.innerHTML = `
       <div class="message-avatar">J</div>
@@ -64,24 +119,24 @@ export class MessageRenderer {
         <div class="response-header">
           <span class="response-type-badge complex">Complex Task</span>
         </div>
-        <p>${this.escapeHtml(response.message)}</p>
+        ${this.renderMessageBody(response.message)}
         <div class="response-metadata">
           <div class="metadata-grid">
             <div class="metadata-item">
               <span class="metadata-label">Route:</span>
-              <span class="metadata-value">${response.metadata.route_taken}</span>
+              <span class="metadata-value">${escapeHtml(response.metadata.route_taken)}</span>
             </div>
             <div class="metadata-item">
               <span class="metadata-label">Time:</span>
-              <span class="metadata-value">${response.metadata.execution_time_ms}ms</span>
+              <span class="metadata-value">${escapeHtml(response.metadata.execution_time_ms)}ms</span>
             </div>
             <div class="metadata-item">
               <span class="metadata-label">Steps:</span>
-              <span class="metadata-value">${response.metadata.steps_completed}</span>
+              <span class="metadata-value">${escapeHtml(response.metadata.steps_completed)}</span>
             </div>
             <div class="metadata-item">
               <span class="metadata-label">Session:</span>
-              <span class="metadata-value">${response.metadata.session_id.substring(0, 8)}...</span>
+              <span class="metadata-value">${escapeHtml(String(response.metadata.session_id).substring(0, 8))}...</span>
             </div>
           </div>
         </div>
@@ -89,16 +144,24 @@ export class MessageRenderer {
       </div>
     `;
     
-    this.appendMessage(messageDiv);
     return messageDiv;
   }
 
   /**
    * Render a direct Brain response
    */
-  renderDirectResponse(response) {
+  renderDirectResponse(response, options = {}) {
+    const messageDiv = this.buildDirectResponse(response, options);
+    this.appendMessage(messageDiv);
+    return messageDiv;
+  }
+
+  /**
+   * Build the element for a direct Brain response
+   */
+  buildDirectResponse(response, options = {}) {
     const messageDiv = this.createMessageContainer('juna-message direct');
-    const time = this.getCurrentTime();
+    const time = this.formatTime(options.timestamp);
     
     messageDiv.innerHTML = `
       <div class="message-avatar">J</div>
@@ -106,24 +169,37 @@ export class MessageRenderer {
         <div class="response-header">
           <span class="response-type-badge direct">Direct</span>
         </div>
-        <p>${this.escapeHtml(response.message)}</p>
+        ${this.renderMessageBody(response.message)}
         <div class="response-metadata">
-          <span class="metadata-item">⚡ ${response.metadata.execution_time_ms}ms</span>
+          <span class="metadata-item">⚡ ${escapeHtml(response.metadata.execution_time_ms)}ms</span>
         </div>
         <span class="message-time">${time}</span>
       </div>
     `;
     
-    this.appendMessage(messageDiv);
     return messageDiv;
   }
 
   /**
    * Render an error response
    */
-  renderErrorResponse(response) {
+  renderErrorResponse(response, options = {}) {
+    const messageDiv = this.buildErrorResponse(response, options);
+    this.appendMessage(messageDiv);
+    return messageDiv;
+  }
+
+  /**
+   * Build the element for an error response
+   * @param {Object} [options.retry] - RetryInfo of a scheduled retry, or { exhausted, attempt }
+   *   Recoverable errors without a scheduled retry get a Retry button (data-action="retry")
+   */
+  buildErrorResponse(response, options = {}) {
     const messageDiv = this.createMessageContainer('juna-message error');
-    const time = this.getCurrentTime();
+    const time = this.formatTime(options.timestamp);
+    const retry = options.retry;
+    // Once no automatic retry is scheduled, the user can still send it again
+    const canRetryManually = response.metadata?.recoverable === true && !(retry && !retry.exhausted);
     
     messageDiv.innerHTML = `
       <div class="message-avatar error">⚠</div>
@@ -131,23 +207,339 @@ export class MessageRenderer {
         <div class="response-header">
           <span class="response-type-badge error">Error</span>
         </div>
-        <p class="error-message">${this.escapeHtml(response.message)}</p>
+        <p class="error-message">${escapeHtml(response.message)}</p>
         <div class="error-details">
-          <span class="error-code">${response.metadata?.error_code || 'UNKNOWN_ERROR'}</span>
+          <span class="error-code">${escapeHtml(response.metadata?.error_code || 'UNKNOWN_ERROR')}</span>
           ${response.metadata?.details ? 
             `<details class="error-details-expandable">
               <summary>Technical Details</summary>
-              <pre>${this.escapeHtml(response.metadata.details)}</pre>
+              <pre>${escapeHtml(response.metadata.details)}</pre>
             </details>` : ''}
         </div>
+        ${retry && !retry.exhausted ? `
+        <div class="retry-controls">
+          <span class="retry-countdown">Retrying (${retry.attempt}/${retry.maxRetries})...</span>
+          <button class="retry-btn" data-action="retry-query">Retry now</button>
+        </div>` : ''}
+        ${canRetryManually ? `
+        <div class="retry-controls">
+          ${retry?.exhausted ? `<span class="retry-countdown">Gave up after ${retry.attempt} ${retry.attempt === 1 ? 'retry' : 'retries'}</span>` : ''}
+          <button class="retry-btn" data-action="retry">Retry</button>
+        </div>` : ''}
         <span class="message-time">${time}</span>
       </div>
     `;
     
+    if (retry && !retry.exhausted) {
+      this.startRetryCountdown(messageDiv, retry);
+    }
+    
+    return messageDiv;
+  }
+
+  /**
+   * Count down to a scheduled retry inside an error message
+   */
+  startRetryCountdown(messageDiv, retry) {
+    const retryAt = Date.now() + retry.delayMs;
+    const countdown = messageDiv.querySelector('.retry-countdown');
+    
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+      countdown.textContent = `Retrying in ${seconds}s (attempt ${retry.attempt}/${retry.maxRetries})`;
+    };
+    tick();
+    
+    let wasConnected = false;
+    const timer = setInterval(() => {
+      wasConnected = wasConnected || messageDiv.isConnected;
+      
+      // Stop once the retry replaced this message or the countdown ran out
+      if (Date.now() >= retryAt || (wasConnected && !messageDiv.isConnected)) {
+        clearInterval(timer);
+        return;
+      }
+      tick();
+    }, 250);
+  }
+
+  /**
+   * Render a cancelled query
+   */
+  renderCancelledResponse(response, options = {}) {
+    const messageDiv = this.buildCancelledResponse(response, options);
+    this.appendMessage(messageDiv);
+    return messageDiv;
+  }
+
+  /**
+   * Build the element for a cancelled query
+   */
+  buildCancelledResponse(response, options = {}) {
+    const messageDiv = this.createMessageContainer('juna-message cancelled');
+    const time = this.formatTime(options.timestamp);
+    
+    messageDiv.innerHTML = `
+      <div class="message-avatar">J</div>
+      <div class="message-content">
+        <div class="response-header">
+          <span class="response-type-badge cancelled">Cancelled</span>
+        </div>
+        <p>${escapeHtml(response.message)}</p>
+        <span class="message-time">${time}</span>
+      </div>
+    `;
+    
+    return messageDiv;
+  }
+
+  /**
+   * Build the element matching a response type
+   */
+  buildResponse(response, options = {}) {
+    switch (response.response_type) {
+      case 'COMPLEX':
+        return this.buildComplexResponse(response, options);
+      case 'DIRECT':
+        return this.buildDirectResponse(response, options);
+      case 'ERROR':
+        return this.buildErrorResponse(response, options);
+      case 'CANCELLED':
+        return this.buildCancelledResponse(response, options);
+      default:
+        return this.buildSimpleResponse(response, options);
+    }
+  }
+
+  // ============================================================================
+  // HISTORY
+  // ============================================================================
+
+  /**
+   * Re-render a stored HistoryEntry with its original time
+   */
+  renderHistoryEntry(entry) {
+    const options = { timestamp: entry.timestamp };
+    let messageDiv;
+    
+    switch (entry.kind) {
+      case 'user':
+        messageDiv = this.renderUserMessage(entry.text, options);
+        break;
+      case 'response':
+        messageDiv = this.buildResponse(entry.response, options);
+        this.appendMessage(messageDiv);
+        break;
+      case 'progress':
+        messageDiv = this.restoreProgressMessage(entry.progress, `history_${entry.id}`);
+        break;
+      default:
+        return null;
+    }
+    
+    messageDiv.dataset.historyId = entry.id;
+    return messageDiv;
+  }
+
+  // ============================================================================
+  // MESSAGE ACTIONS
+  // ============================================================================
+
+  /**
+   * Add the hover action bar to a stored message
+   * @param {HTMLElement} messageDiv
+   * @param {import('./history-store.js').HistoryEntry} entry
+   */
+  addMessageActions(messageDiv, entry) {
+    const content = messageDiv?.querySelector('.message-content');
+    if (entry.kind === 'progress' || !content || content.querySelector('.message-actions')) return;
+    
+    // A voice message is stored as its label, so there is no text to edit
+    const buttons = entry.kind === 'user'
+      ? [['copy-message', 'Copy'], ...(entry.audio ? [] : [['edit-message', 'Edit']]), ['delete-message', 'Delete']]
+      : [['copy-message', 'Copy'], ['regenerate-message', 'Regenerate'], ['delete-message', 'Delete']];
+    
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+    actions.innerHTML = buttons
+      .map(([action, label]) => `<button class="message-action-btn" data-action="${action}">${label}</button>`)
+      .join('');
+    content.appendChild(actions);
+  }
+
+  /**
+   * Remove a message and every message after it, without animation
+   */
+  removeMessagesFrom(messageDiv) {
+    while (messageDiv?.nextElementSibling) {
+      messageDiv.nextElementSibling.remove();
+    }
+    messageDiv?.remove();
+  }
+
+  /**
+   * Copy text, confirming on the button that was clicked
+   */
+  async copyText(button, text) {
+    const label = button.textContent;
+    try {
+      await navigator.clipboard.writeText(text);
+      button.textContent = 'Copied';
+    } catch (error) {
+      console.error("Failed to copy:", error);
+      button.textContent = 'Failed';
+    }
+    setTimeout(() => { button.textContent = label; }, 1500);
+  }
+
+  // ============================================================================
+  // IMPORTED CONVERSATIONS
+  // ============================================================================
+
+  /**
+   * Notice above an imported conversation shown read-only
+   * @param {import('./conversation-importer.js').ImportedConversation} imported
+   */
+  renderImportNotice(imported) {
+    const messageDiv = this.createMessageContainer('import-notice');
+    const count = imported.entries.length;
+    
+    messageDiv.innerHTML = `
+      <div class="import-notice-text">
+        <strong>📄 ${escapeHtml(imported.conversation.title)}</strong>
+        <span>Imported, read-only - ${count} ${count === 1 ? 'entry' : 'entries'}</span>
+      </div>
+      <div class="import-notice-actions">
+        <button class="retry-btn" data-action="replay-import">Replay as new conversation</button>
+        <button class="retry-btn" data-action="close-import">Close</button>
+      </div>
+    `;
+    
+    this.appendMessage(messageDiv);
+    return messageDiv;
+  }
+
+  /**
+   * Show an imported response next to the one the Brain gives on replay
+   * @param {import('./brain-communication.js').QueryResponse|null} original
+   * @param {import('./brain-communication.js').QueryResponse|null} replayed
+   */
+  renderReplayComparison(original, replayed) {
+    const messageDiv = this.createMessageContainer('replay-comparison');
+    
+    const column = (label, response) => {
+      if (!response) {
+        return `
+        <div class="comparison-column empty">
+          <div class="comparison-label">${label}</div>
+          <p>No response</p>
+        </div>`;
+      }
+      const { metadata } = response;
+      return `
+        <div class="comparison-column">
+          <div class="comparison-label">
+            ${label}
+            <span class="response-type-badge ${escapeHtml(response.response_type.toLowerCase())}">${escapeHtml(response.response_type)}</span>
+          </div>
+          ${this.renderMessageBody(response.message)}
+          <div class="response-metadata">
+            <span class="metadata-item">📍 ${escapeHtml(metadata.route_taken)}</span>
+            <span class="metadata-item">⚡ ${escapeHtml(metadata.execution_time_ms)}ms</span>
+            <span class="metadata-item">🔢 ${escapeHtml(metadata.steps_completed)} steps</span>
+          </div>
+        </div>`;
+    };
+    
+    messageDiv.innerHTML = `
+      <div class="comparison-grid">${column('Original', original)}${column('Replay', replayed)}
+      </div>
+    `;
+    
     this.appendMessage(messageDiv);
     return messageDiv;
   }
 
+  // ============================================================================
+  // STREAMING RESPONSES
+  // ============================================================================
+
+  /**
+   * Start a Juna message that grows as response chunks arrive
+   * @param {HTMLElement} [options.replace] - Message to stream into instead of appending
+   */
+  renderStreamingResponse(queryId, options = {}) {
+    const messageDiv = this.createMessageContainer('juna-message streaming');
+    messageDiv.dataset.queryId = queryId;
+    
+    messageDiv.innerHTML = `
+      <div class="message-avatar">J</div>
+      <div class="message-content">
+        <p class="stream-text"></p>
+        <span class="stream-cursor" aria-hidden="true"></span>
+      </div>
+    `;
+    
+    if (options.replace) {
+      this.replaceMessage(options.replace, messageDiv);
+    } else {
+      this.appendMessage(messageDiv);
+    }
+    return messageDiv;
+  }
+
+  /**
+   * Append a chunk of text to a streaming message, creating it on the first chunk
+   */
+  appendStreamChunk(queryId, text) {
+    const messageDiv = this.findStreamingMessage(queryId) || this.renderStreamingResponse(queryId);
+    const textElement = messageDiv.querySelector('.stream-text');
+    
+    // Text nodes are never parsed as HTML, so chunks need no escaping
+    textElement.appendChild(document.createTextNode(text));
+    this.scrollToBottom();
+    return messageDiv;
+  }
+
+  /**
+   * Replace a streaming message with the final response, including its metadata block
+   */
+  finalizeStreamingResponse(queryId, response, options = {}) {
+    const messageDiv = this.findStreamingMessage(queryId);
+    if (!messageDiv) return null;
+    
+    const streamedText = this.getStreamedText(queryId);
+    
+    // Keep whatever was streamed before a cancel instead of the generic notice
+    const keepStreamedText = response.response_type === 'CANCELLED' && streamedText;
+    const finalDiv = this.buildResponse({
+      ...response,
+      message: keepStreamedText ? streamedText : (response.message || streamedText)
+    }, options);
+    
+    this.replaceMessage(messageDiv, finalDiv);
+    return finalDiv;
+  }
+
+  /**
+   * Text streamed so far into a streaming message
+   */
+  getStreamedText(queryId) {
+    return this.findStreamingMessage(queryId)?.querySelector('.stream-text').textContent ?? '';
+  }
+
+  /**
+   * Find a streaming message by query ID
+   */
+  findStreamingMessage(queryId) {
+    if (!queryId) return null;
+    return this.chatContainer.querySelector(`.streaming[data-query-id="${queryId}"]`);
+  }
+
+  // ============================================================================
+  // PROGRESS UPDATES
+  // ============================================================================
+
   /**
    * Render a progress update
    */
@@ -191,13 +583,18 @@ export class MessageRenderer {
     messageDiv.innerHTML = `
       <div class="progress-content">
         <div class="progress-header">
-          <span class="progress-type ${update.type.toLowerCase()}">${this.formatProgressType(update.type)}</span>
-          <span class="progress-step">${progressText}</span>
+          <span class="progress-type ${escapeHtml(String(update.type).toLowerCase())}">${this.formatProgressType(update.type)}</span>
+          <span class="progress-step">${escapeHtml(progressText)}</span>
         </div>
-        <div class="progress-message">${this.escapeHtml(update.message)}</div>
+        <div class="progress-message">${escapeHtml(update.message)}</div>
         <div class="progress-bar-container">
           <div class="progress-bar" style="width: ${progressPercentage}%"></div>
         </div>
+        <div class="progress-actions">
+          <button class="progress-stop-btn" data-action="cancel-query" title="Stop this query">
+            ⏹ Stop
+          </button>
+        </div>
       </div>
     `;
   }
@@ -209,6 +606,7 @@ export class MessageRenderer {
     const progressMessage = this.findProgressMessage(taskId);
     if (progressMessage) {
       progressMessage.classList.add('completed');
+      progressMessage.querySelector('.progress-actions')?.remove();
       
       // Add completion indicator
       const completionBadge = document.createElement('div');
@@ -221,6 +619,42 @@ export class MessageRenderer {
     }
   }
 
+  /**
+   * Mark a progress message as cancelled
+   */
+  cancelProgressMessage(taskId) {
+    const progressMessage = this.findProgressMessage(taskId);
+    if (progressMessage) {
+      progressMessage.classList.add('cancelled');
+      progressMessage.querySelector('.progress-actions')?.remove();
+      
+      const cancelledBadge = document.createElement('div');
+      cancelledBadge.className = 'progress-completion cancelled';
+      cancelledBadge.innerHTML = `
+        <span class="completion-icon">⏹</span>
+        <span class="completion-text">Cancelled</span>
+      `;
+      progressMessage.appendChild(cancelledBadge);
+    }
+  }
+
+  /**
+   * Render a finished progress message from a stored ProgressSummary
+   */
+  restoreProgressMessage(progress, taskId) {
+    const messageDiv = this.createProgressMessage(progress, taskId);
+    
+    if (progress.status === 'completed') {
+      this.completeProgressMessage(taskId);
+    } else if (progress.status === 'cancelled') {
+      this.cancelProgressMessage(taskId);
+    } else {
+      // Nothing is running anymore, so there is nothing to stop
+      messageDiv.querySelector('.progress-actions')?.remove();
+    }
+    return messageDiv;
+  }
+
   /**
    * Find existing progress message by task ID
    */
@@ -229,6 +663,23 @@ export class MessageRenderer {
     return this.chatContainer.querySelector(`[data-task-id="${taskId}"]`);
   }
 
+  /**
+   * Markdown text of a Juna response as sanitized HTML
+   */
+  renderMessageBody(text) {
+    return `<div class="markdown-body">${renderMarkdown(text)}</div>`;
+  }
+
+  /**
+   * Copy the code of the block a copy button belongs to
+   */
+  async copyCodeBlock(button) {
+    const code = button.closest('.code-block')?.querySelector('code');
+    if (!code) return;
+    
+    await this.copyText(button, code.textContent);
+  }
+
   /**
    * Create base message container
    */
@@ -259,6 +710,16 @@ export class MessageRenderer {
     this.scrollToBottom();
   }
 
+  /**
+   * Swap a message for a new element in place, keeping its message ID
+   */
+  replaceMessage(messageDiv, newDiv) {
+    newDiv.dataset.messageId = messageDiv.dataset.messageId;
+    messageDiv.replaceWith(newDiv);
+    this.scrollToBottom();
+    return newDiv;
+  }
+
   /**
    * Scroll chat container to bottom
    */
@@ -276,32 +737,23 @@ export class MessageRenderer {
       'STEP_COMPLETE': 'Step Complete'
     };
     
-    return typeMap[type] || type;
+    return typeMap[type] || escapeHtml(type);
   }
 
   /**
    * Get current time string
    */
   getCurrentTime() {
-    return new Date().toLocaleTimeString([], {
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+    return this.formatTime();
   }
 
   /**
-   * Escape HTML to prevent XSS
+   * Format a message timestamp, defaulting to now
    */
-  escapeHtml(text) {
-    const map = {
-      '&': '&amp;',
-      '<': '&lt;',
-      '>': '&gt;',
-      '"': '&quot;',
-      "'": '&#039;'
-    };
-    return text.replace(/[&<>"']/g, function(m) { 
-      return map[m]; 
+  formatTime(timestamp = Date.now()) {
+    return new Date(timestamp).toLocaleTimeString([], {
+      hour: '2-digit',
+      minute: '2-digit'
     });
   }
 
@@ -0,0 +1,421 @@
+/**
+ * MOCK BRAIN
+ * A scripted stand-in for the Brain backend, built into the frontend
+ *
+ * Implements the same commands and events as the real Brain so the UI can be
+ * developed and demoed in a plain browser. The scenario is picked from the input:
+ * - contains "error"              → ERROR (not recoverable)
+ * - contains "flaky"              → recoverable ERROR twice, then SIMPLE
+ * - contains "time", "date", "open" → DIRECT
+ * - contains "code", "example"    → SIMPLE with Markdown (code block, table, link)
+ * - contains "plan", "analyze", "research" or is long → COMPLEX with progress updates
+ * - anything else                 → SIMPLE
+ *
+ * Sessions live in memory; an unknown session id starts a new, empty session.
+ * Answered exchanges are kept per session so history edits can be mirrored.
+ */
+
+import { BrainTransport } from './brain-transport.js';
+
+const CHUNK_DELAY_MS = 35;
+
+export class MockBrainTransport extends BrainTransport {
+  constructor(options = {}) {
+    super();
+    this.latencyScale = options.latencyScale ?? 1;
+    this.eventHandlers = new Map();
+    this.runningQueries = new Map();
+    this.flakyAttempts = 0;
+    this.sessions = new Map();
+    this.sessionTurns = new Map();
+    this.defaultSessionId = this.addSession().session_id;
+  }
+
+  get name() {
+    return "mock";
+  }
+
+  // ============================================================================
+  // TRANSPORT INTERFACE
+  // ============================================================================
+
+  async invoke(command, args = {}) {
+    switch (command) {
+      case "process_query":
+        return this.processQuery(args.input, args.queryId, args.sessionId);
+      case "process_audio_query":
+        return this.processAudioQuery(args.audio, args.mimeType, args.queryId, args.sessionId);
+      case "cancel_query":
+        return this.cancelQuery(args.queryId);
+      case "get_session_status":
+        return this.getSessionStatus(args.sessionId);
+      case "create_session":
+        return this.createSession();
+      case "reset_session":
+        return this.resetSession(args.sessionId);
+      case "delete_session":
+        return this.deleteSession(args.sessionId);
+      case "truncate_session":
+        return this.editTurns(args.sessionId, args.queryId, "truncate");
+      case "remove_exchange":
+        return this.editTurns(args.sessionId, args.queryId, args.answerOnly ? "answer" : "exchange");
+      default:
+        throw {
+          error_code: "UNKNOWN_COMMAND",
+          message: `Mock Brain does not implement ${command}`,
+          details: null,
+          recoverable: false,
+          timestamp: Date.now()
+        };
+    }
+  }
+
+  async listen(eventName, handler) {
+    if (!this.eventHandlers.has(eventName)) {
+      this.eventHandlers.set(eventName, new Set());
+    }
+    this.eventHandlers.get(eventName).add(handler);
+
+    return () => this.eventHandlers.get(eventName)?.delete(handler);
+  }
+
+  emitEvent(eventName, payload) {
+    this.eventHandlers.get(eventName)?.forEach(handler => {
+      try {
+        handler({ event: eventName, payload });
+      } catch (error) {
+        console.error(`Error in mock Brain handler for ${eventName}:`, error);
+      }
+    });
+  }
+
+  // ============================================================================
+  // COMMANDS
+  // ============================================================================
+
+  async processQuery(input, queryId, sessionId) {
+    const startTime = Date.now();
+    const session = this.getSession(sessionId);
+    const query = { cancelled: false, sessionId: session.session_id };
+    this.runningQueries.set(queryId, query);
+    session.current_task = queryId;
+
+    try {
+      const scenario = this.pickScenario(input);
+      const result = await scenario.call(this, input, queryId, query);
+      if (query.cancelled) return this.cancelledResponse(startTime, session);
+
+      if (result.response_type !== "ERROR") {
+        this.sessionTurns.get(session.session_id).push(
+          { query_id: queryId, role: "user", content: input },
+          { query_id: queryId, role: "assistant", content: result.message }
+        );
+        this.updateSessionSize(session);
+      }
+
+      const response = {
+        success: result.response_type !== "ERROR",
+        response_type: result.response_type,
+        message: result.message,
+        metadata: {
+          route_taken: result.route_taken,
+          execution_time_ms: Date.now() - startTime,
+          steps_completed: result.steps_completed ?? 0,
+          session_id: session.session_id,
+          ...result.errorMetadata
+        }
+      };
+
+      if (result.streamed) {
+        this.emitEvent("response_end", { query_id: queryId, response });
+      }
+      return response;
+    } finally {
+      this.runningQueries.delete(queryId);
+      session.current_task = null;
+    }
+  }
+
+  async processAudioQuery(audio, mimeType, queryId, sessionId) {
+    const kilobytes = Math.round((audio?.length ?? 0) / 1024);
+    return this.processQuery(
+      `[voice message, ${kilobytes} KB ${mimeType}]`,
+      queryId,
+      sessionId
+    );
+  }
+
+  async cancelQuery(queryId) {
+    const query = this.runningQueries.get(queryId);
+    if (query) {
+      query.cancelled = true;
+    }
+    return null;
+  }
+
+  async getSessionStatus(sessionId) {
+    return { ...this.getSession(sessionId), is_active: true };
+  }
+
+  async createSession() {
+    const session = this.addSession();
+    this.emitSessionEvent("session_created", session.session_id);
+    return { ...session };
+  }
+
+  async resetSession(sessionId) {
+    const id = sessionId ?? this.defaultSessionId;
+    this.cancelSessionQueries(id);
+    this.addSession(id);
+    this.emitSessionEvent("session_reset", id);
+    return null;
+  }
+
+  async deleteSession(sessionId) {
+    this.cancelSessionQueries(sessionId);
+    if (sessionId === this.defaultSessionId) {
+      this.addSession(sessionId);
+    } else {
+      this.sessions.delete(sessionId);
+      this.sessionTurns.delete(sessionId);
+    }
+    this.emitSessionEvent("session_deleted", sessionId);
+    return null;
+  }
+
+  /**
+   * Drop the turns of a query: "truncate" also drops everything after it,
+   * "answer" only drops the assistant turn
+   */
+  async editTurns(sessionId, queryId, mode) {
+    const session = this.getSession(sessionId);
+    const turns = this.sessionTurns.get(session.session_id);
+    const start = turns.findIndex(turn => turn.query_id === queryId);
+
+    if (start !== -1) {
+      const kept = mode === "truncate"
+        ? turns.slice(0, start)
+        : turns.filter(turn => turn.query_id !== queryId || (mode === "answer" && turn.role === "user"));
+      this.sessionTurns.set(session.session_id, kept);
+      this.updateSessionSize(session);
+    }
+
+    this.emitSessionEvent("session_edited", session.session_id);
+    return { ...session };
+  }
+
+  // ============================================================================
+  // SCENARIOS
+  // ============================================================================
+
+  pickScenario(input) {
+    const text = input.toLowerCase();
+
+    if (text.includes("flaky")) return this.flakyScenario;
+    if (text.includes("error")) return this.errorScenario;
+    if (/\b(time|date|open)\b/.test(text)) return this.directScenario;
+    if (/\b(code|example)\b/.test(text)) return this.markdownScenario;
+    if (/\b(plan|analy[sz]e|research)\b/.test(text) || text.length > 200) {
+      return this.complexScenario;
+    }
+    return this.simpleScenario;
+  }
+
+  async simpleScenario(input, queryId, query) {
+    await this.sleep(400);
+    const message = `You said: "${input}". This is the mock Brain answering - connect a real Brain for actual answers.`;
+    await this.streamText(message, queryId, query);
+
+    return { response_type: "SIMPLE", message, route_taken: "mock_conversation", streamed: true };
+  }
+
+  async directScenario(input, queryId, query) {
+    await this.sleep(150);
+    const message = input.toLowerCase().includes("open")
+      ? "Done - the mock Brain pretended to open that for you."
+      : `It is ${new Date().toLocaleString()}.`;
+
+    return { response_type: "DIRECT", message, route_taken: "mock_direct_action" };
+  }
+
+  async markdownScenario(input, queryId, query) {
+    await this.sleep(300);
+    const message = [
+      "### Example",
+      "",
+      "Here is a **scripted** answer with `inline code`, a list and a table:",
+      "",
+      "- Parse the input",
+      "- Reply with *Markdown*",
+      "",
+      "```js",
+      "// Greet whoever asked",
+      "function greet(name) {",
+      "  return `Hello, ${name}!`;",
+      "}",
+      "```",
+      "",
+      "| Step | Status |",
+      "|:-----|:------:|",
+      "| Parse | ✅ |",
+      "| Reply | ✅ |",
+      "",
+      "More at [the Tauri docs](https://tauri.app)."
+    ].join("\n");
+    await this.streamText(message, queryId, query);
+
+    return { response_type: "SIMPLE", message, route_taken: "mock_conversation", streamed: true };
+  }
+
+  async complexScenario(input, queryId, query) {
+    const steps = [
+      { type: "CONTEXT_COLLECTION", message: "Collecting desktop context..." },
+      { type: "CONTEXT_COLLECTION", message: "Reading recent conversation..." },
+      { type: "TASK_EXECUTION", message: "Breaking the task into steps..." },
+      { type: "TASK_EXECUTION", message: "Running tools..." },
+      { type: "STEP_COMPLETE", message: "Analysis complete" }
+    ];
+
+    for (let i = 0; i < steps.length; i++) {
+      if (query.cancelled) return { response_type: "CANCELLED", message: "" };
+
+      this.emitEvent("progress_update", {
+        ...steps[i],
+        current_step: i + 1,
+        total_steps: steps.length,
+        timestamp: Date.now()
+      });
+      await this.sleep(700);
+    }
+
+    const message = [
+      `Here is a plan for: "${input.slice(0, 80)}"`,
+      "",
+      "1. Gather the relevant information and constraints.",
+      "2. Split the work into small, verifiable steps.",
+      "3. Execute each step and check the result before moving on.",
+      "4. Summarize what was done and what is left.",
+      "",
+      "(Scripted answer from the mock Brain.)"
+    ].join("\n");
+    await this.streamText(message, queryId, query);
+
+    return {
+      response_type: "COMPLEX",
+      message,
+      route_taken: "mock_task_planner",
+      steps_completed: steps.length,
+      streamed: true
+    };
+  }
+
+  async errorScenario() {
+    await this.sleep(300);
+    return {
+      response_type: "ERROR",
+      message: "The mock Brain failed on purpose.",
+      route_taken: "error_handler",
+      errorMetadata: {
+        error_code: "MOCK_FAILURE",
+        details: "Triggered by the word \"error\" in the input.",
+        recoverable: false
+      }
+    };
+  }
+
+  async flakyScenario(input, queryId, query) {
+    this.flakyAttempts++;
+    if (this.flakyAttempts % 3 !== 0) {
+      await this.sleep(300);
+      return {
+        response_type: "ERROR",
+        message: "The mock Brain is temporarily unavailable.",
+        route_taken: "error_handler",
+        errorMetadata: {
+          error_code: "MOCK_TEMPORARY_FAILURE",
+          details: `Attempt ${this.flakyAttempts % 3} of a scripted flaky sequence.`,
+          recoverable: true
+        }
+      };
+    }
+    return this.simpleScenario(input, queryId, query);
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  /**
+   * Emit a message word by word as response_chunk events
+   */
+  async streamText(message, queryId, query) {
+    const words = message.split(/(\s+)/);
+    for (let index = 0; index < words.length; index++) {
+      if (query.cancelled) return;
+      this.emitEvent("response_chunk", { query_id: queryId, index, text: words[index] });
+      await this.sleep(CHUNK_DELAY_MS);
+    }
+  }
+
+  cancelledResponse(startTime, session) {
+    return {
+      success: false,
+      response_type: "CANCELLED",
+      message: "Query cancelled",
+      metadata: {
+        route_taken: "cancelled",
+        execution_time_ms: Date.now() - startTime,
+        steps_completed: 0,
+        session_id: session.session_id
+      }
+    };
+  }
+
+  /**
+   * Create a session, or replace an existing one with an empty one
+   */
+  addSession(sessionId = null) {
+    const session = {
+      session_id: sessionId ?? `mock-${Math.random().toString(16).slice(2, 10)}${Date.now().toString(16)}`,
+      created_at: Date.now(),
+      message_count: 0,
+      current_task: null,
+      memory_size: 0,
+      is_active: true
+    };
+    this.sessions.set(session.session_id, session);
+    this.sessionTurns.set(session.session_id, []);
+    return session;
+  }
+
+  updateSessionSize(session) {
+    const turns = this.sessionTurns.get(session.session_id);
+    session.message_count = turns.length;
+    session.memory_size = turns.reduce((size, turn) => size + turn.content.length, 0);
+  }
+
+  getSession(sessionId) {
+    const id = sessionId ?? this.defaultSessionId;
+    return this.sessions.get(id) ?? this.addSession(id);
+  }
+
+  cancelSessionQueries(sessionId) {
+    this.runningQueries.forEach(query => {
+      if (query.sessionId === sessionId) {
+        query.cancelled = true;
+      }
+    });
+  }
+
+  emitSessionEvent(type, sessionId) {
+    this.emitEvent("session_event", {
+      type,
+      session_id: sessionId,
+      timestamp: Date.now()
+    });
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms * this.latencyScale));
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * QUERY QUEUE
+ * Outgoing messages waiting to be sent to the Brain, in order
+ *
+ * The Brain handles one query at a time; everything the user sends while a
+ * query is running waits here instead of being dropped.
+ */
+
+import { EventEmitter } from './helpers.js';
+
+const MAX_QUEUE_SIZE = 20;
+
+export class QueryQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.items = [];
+    this.itemIdCounter = 0;
+  }
+
+  // ============================================================================
+  // QUEUE OPERATIONS
+  // ============================================================================
+
+  /**
+   * Add a query to the end of the queue
+   * @param {Omit<QueuedQuery, "id"|"queued_at">} query
+   * @returns {QueuedQuery}
+   */
+  enqueue(query) {
+    if (this.items.length >= MAX_QUEUE_SIZE) {
+      throw new Error(`Queue is full (${MAX_QUEUE_SIZE} messages)`);
+    }
+
+    const item = {
+      ...query,
+      id: `queued_${++this.itemIdCounter}`,
+      queued_at: Date.now()
+    };
+
+    this.items.push(item);
+    this.emit('change', this.list());
+    return item;
+  }
+
+  /**
+   * Take the next query off the queue
+   * @returns {QueuedQuery|null}
+   */
+  dequeue() {
+    const item = this.items.shift() ?? null;
+    if (item) {
+      this.emit('change', this.list());
+    }
+    return item;
+  }
+
+  /**
+   * Remove a queued query
+   * @returns {QueuedQuery|null} The removed query
+   */
+  remove(id) {
+    const index = this.indexOf(id);
+    if (index === -1) return null;
+
+    const [item] = this.items.splice(index, 1);
+    this.emit('change', this.list());
+    return item;
+  }
+
+  /**
+   * Move a queued query up (-1) or down (+1)
+   * @returns {boolean} Whether the query moved
+   */
+  move(id, offset) {
+    const index = this.indexOf(id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= this.items.length) {
+      return false;
+    }
+
+    const [item] = this.items.splice(index, 1);
+    this.items.splice(target, 0, item);
+    this.emit('change', this.list());
+    return true;
+  }
+
+  /**
+   * Drop every queued query
+   */
+  clear() {
+    if (this.items.length === 0) return;
+    this.items = [];
+    this.emit('change', this.list());
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  indexOf(id) {
+    return this.items.findIndex(item => item.id === id);
+  }
+
+  /**
+   * Snapshot of the queued queries in send order
+   * @returns {QueuedQuery[]}
+   */
+  list() {
+    return [...this.items];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  isEmpty() {
+    return this.items.length === 0;
+  }
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} QueuedQuery
+ * @property {string} id
+ * @property {"text"|"audio"} kind
+ * @property {string} label - What the user sees, e.g. the message text
+ * @property {string} [input] - Text queries
+ * @property {Blob} [audioBlob] - Voice queries
+ * @property {number} queued_at
+ */
@@ -0,0 +1,389 @@
+/**
+ * RECORDING LIBRARY
+ * Every recording kept as a named clip, across restarts
+ *
+ * The clip list (name, duration, format, transcript) is a single document in
+ * the DocumentStore. The audio lives next to it:
+ * - Inside the desktop app as files in the app data folder:
+ *   recording_write(file_name, audio: number[]), recording_read(file_name) → ArrayBuffer,
+ *   recording_delete(file_name), recordings_usage() → { files, bytes }
+ * - In a plain browser in IndexedDB, since localStorage can't hold audio
+ */
+
+import { createDocumentStore } from './storage.js';
+import { invoke, isTauri } from './tauri-api.js';
+import { EventEmitter } from './helpers.js';
+
+const RECORDINGS_KEY = "recordings";
+const RECORDINGS_VERSION = 1;
+const MAX_NAME_LENGTH = 80;
+
+const CLIP_DATABASE = "juna-recordings";
+const CLIP_OBJECT_STORE = "clips";
+
+export class RecordingLibrary extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {import('./storage.js').TauriDocumentStore} [options.store] - Defaults to createDocumentStore()
+   * @param {TauriClipStore|IndexedDbClipStore} [options.clips] - Defaults to createClipStore()
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store ?? createDocumentStore();
+    this.clipStore = options.clips ?? createClipStore();
+    this.clips = [];
+    this.clipIdCounter = 0;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  // ============================================================================
+  // LOADING AND SAVING
+  // ============================================================================
+
+  /**
+   * Load the stored clip list
+   * @returns {Promise<Clip[]>}
+   */
+  async load() {
+    let document = null;
+    try {
+      document = await this.store.read(RECORDINGS_KEY);
+    } catch (error) {
+      console.error("❌ Failed to load recordings:", error);
+    }
+
+    this.clips = this.validateDocument(document);
+    console.log(`🎙️ Loaded ${this.clips.length} recordings`);
+    this.emit('change', this.list());
+    return this.list();
+  }
+
+  /**
+   * Queue a write of the clip list
+   */
+  save() {
+    const document = {
+      version: RECORDINGS_VERSION,
+      clips: this.clips.map(clip => ({ ...clip }))
+    };
+
+    this.pendingWrite = this.pendingWrite
+      .then(() => this.store.write(RECORDINGS_KEY, document))
+      .catch(error => console.error("❌ Failed to save recordings:", error));
+    return this.pendingWrite;
+  }
+
+  // ============================================================================
+  // CLIPS
+  // ============================================================================
+
+  /**
+   * Store a recording as a new clip
+   * @param {Blob} blob
+   * @param {Object} details
+   * @param {number} details.duration - In milliseconds
+   * @param {string} details.extension - e.g. "webm"
+   * @param {number|null} [details.sampleRate] - Rate the microphone delivered
+   * @param {string} [details.name]
+   * @returns {Promise<Clip>}
+   */
+  async add(blob, details) {
+    const id = this.generateClipId();
+    const timestamp = Date.now();
+    const clip = {
+      id,
+      name: this.normalizeName(details.name) ?? defaultClipName(timestamp),
+      file_name: `${id}.${details.extension}`,
+      mime_type: blob.type,
+      format: details.extension,
+      duration: Math.max(0, Math.round(details.duration)),
+      sample_rate: details.sampleRate ?? null,
+      size: blob.size,
+      timestamp,
+      transcript: null
+    };
+
+    // The audio first, so the list never points at a missing file
+    await this.clipStore.write(clip.file_name, blob);
+    this.clips.push(clip);
+    this.save();
+    this.emit('change', this.list());
+    return clip;
+  }
+
+  /**
+   * @returns {Clip|null}
+   */
+  rename(id, name) {
+    const normalized = this.normalizeName(name);
+    if (!normalized) return null;
+    return this.update(id, { name: normalized });
+  }
+
+  /**
+   * @param {string|null} transcript
+   * @returns {Clip|null}
+   */
+  setTranscript(id, transcript) {
+    return this.update(id, { transcript: transcript?.trim() || null });
+  }
+
+  /**
+   * Swap a clip's audio for an edited version
+   * @param {string} id
+   * @param {Blob} blob
+   * @param {Object} details
+   * @param {number} details.duration - In milliseconds
+   * @param {string} details.extension - e.g. "wav"
+   * @returns {Promise<Clip|null>}
+   */
+  async replaceAudio(id, blob, details) {
+    const clip = this.get(id);
+    if (!clip) return null;
+
+    const fileName = `${id}.${details.extension}`;
+    await this.clipStore.write(fileName, blob);
+    const updated = this.update(id, {
+      file_name: fileName,
+      mime_type: blob.type,
+      format: details.extension,
+      duration: Math.max(0, Math.round(details.duration)),
+      size: blob.size
+    });
+
+    // A new format leaves the old file behind
+    if (clip.file_name !== fileName) {
+      try {
+        await this.clipStore.delete(clip.file_name);
+      } catch (error) {
+        console.error(`❌ Failed to delete the old audio of ${clip.name}:`, error);
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Remove a clip and its audio
+   * @returns {Promise<Clip|null>} The removed clip
+   */
+  async remove(id) {
+    const index = this.clips.findIndex(clip => clip.id === id);
+    if (index === -1) return null;
+
+    const [removed] = this.clips.splice(index, 1);
+    this.save();
+    this.emit('change', this.list());
+
+    try {
+      await this.clipStore.delete(removed.file_name);
+    } catch (error) {
+      console.error(`❌ Failed to delete the audio of ${removed.name}:`, error);
+    }
+    return removed;
+  }
+
+  update(id, changes) {
+    const index = this.clips.findIndex(clip => clip.id === id);
+    if (index === -1) return null;
+
+    this.clips[index] = { ...this.clips[index], ...changes, id };
+    this.save();
+    this.emit('change', this.list());
+    return this.clips[index];
+  }
+
+  /**
+   * The clip's audio
+   * @returns {Promise<Blob>}
+   */
+  async getBlob(id) {
+    const clip = this.get(id);
+    if (!clip) {
+      throw new Error(`Unknown recording: ${id}`);
+    }
+    return this.clipStore.read(clip.file_name, clip.mime_type);
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  /**
+   * @returns {Clip|null}
+   */
+  get(id) {
+    if (!id) return null;
+    return this.clips.find(clip => clip.id === id) ?? null;
+  }
+
+  /**
+   * Clips, newest first
+   * @returns {Clip[]}
+   */
+  list() {
+    return [...this.clips].sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  get size() {
+    return this.clips.length;
+  }
+
+  /**
+   * Space taken by the recordings. Inside the app this is measured on disk,
+   * so it also counts files the list lost track of.
+   * @returns {Promise<{ files: number, bytes: number }>}
+   */
+  async usage() {
+    try {
+      const measured = await this.clipStore.usage?.();
+      if (measured) return measured;
+    } catch (error) {
+      console.warn("Measuring recordings failed:", error);
+    }
+    return {
+      files: this.clips.length,
+      bytes: this.clips.reduce((total, clip) => total + clip.size, 0)
+    };
+  }
+
+  generateClipId() {
+    return `clip_${Date.now().toString(36)}_${++this.clipIdCounter}`;
+  }
+
+  normalizeName(name) {
+    if (typeof name !== 'string') return null;
+    const trimmed = name.trim().slice(0, MAX_NAME_LENGTH);
+    return trimmed || null;
+  }
+
+  /**
+   * Keep only well-formed clips from a stored document
+   */
+  validateDocument(document) {
+    if (!document || !Array.isArray(document.clips)) return [];
+
+    return document.clips.filter(clip =>
+      clip &&
+      typeof clip.id === 'string' &&
+      typeof clip.name === 'string' &&
+      typeof clip.file_name === 'string'
+    ).map(clip => ({
+      mime_type: "",
+      format: clip.file_name.split(".").pop(),
+      duration: 0,
+      sample_rate: null,
+      size: 0,
+      timestamp: Date.now(),
+      transcript: null,
+      ...clip
+    }));
+  }
+}
+
+function defaultClipName(timestamp) {
+  const date = new Date(timestamp);
+  return `Recording ${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`;
+}
+
+// ============================================================================
+// TAURI FILES
+// ============================================================================
+
+export class TauriClipStore {
+  async write(fileName, blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    await invoke("recording_write", { fileName, audio: Array.from(bytes) });
+  }
+
+  async read(fileName, mimeType) {
+    const buffer = await invoke("recording_read", { fileName });
+    return new Blob([buffer], { type: mimeType });
+  }
+
+  async delete(fileName) {
+    await invoke("recording_delete", { fileName });
+  }
+
+  async usage() {
+    return invoke("recordings_usage");
+  }
+}
+
+// ============================================================================
+// BROWSER FALLBACK
+// ============================================================================
+
+export class IndexedDbClipStore {
+  constructor() {
+    this.database = null;
+  }
+
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(CLIP_DATABASE, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(CLIP_OBJECT_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Allow a later attempt if opening failed
+      this.database.catch(() => {
+        this.database = null;
+      });
+    }
+    return this.database;
+  }
+
+  async transaction(mode, operation) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(CLIP_OBJECT_STORE, mode);
+      const request = operation(transaction.objectStore(CLIP_OBJECT_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error ?? new Error("Storage transaction aborted"));
+    });
+  }
+
+  async write(fileName, blob) {
+    await this.transaction("readwrite", store => store.put(blob, fileName));
+  }
+
+  async read(fileName) {
+    const blob = await this.transaction("readonly", store => store.get(fileName));
+    if (!blob) {
+      throw new Error(`Recording ${fileName} is missing`);
+    }
+    return blob;
+  }
+
+  async delete(fileName) {
+    await this.transaction("readwrite", store => store.delete(fileName));
+  }
+}
+
+/**
+ * Pick the clip store for the current environment
+ */
+export function createClipStore() {
+  return isTauri() ? new TauriClipStore() : new IndexedDbClipStore();
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} Clip
+ * @property {string} id
+ * @property {string} name
+ * @property {string} file_name - Audio file in the clip store, "<id>.<format>"
+ * @property {string} mime_type - As recorded, e.g. "audio/webm;codecs=opus"
+ * @property {string} format - File extension, e.g. "webm"
+ * @property {number} duration - In milliseconds
+ * @property {number|null} sample_rate - Rate the microphone delivered, used when converting
+ * @property {number} size - In bytes
+ * @property {number} timestamp - When it was recorded
+ * @property {string|null} transcript
+ */
@@ -0,0 +1,297 @@
+/**
+ * SESSION MANAGER
+ * Named conversations, each with its own Brain session and stored history
+ *
+ * The list of conversations and the active one are stored as a single
+ * document; each conversation's messages live in their own HistoryStore.
+ * The history of the original single conversation is adopted as the first
+ * conversation, so nothing is lost when upgrading.
+ */
+
+import { createDocumentStore } from './storage.js';
+import { HistoryStore } from './history-store.js';
+import { EventEmitter } from './helpers.js';
+
+const CONVERSATIONS_KEY = "conversations";
+const CONVERSATIONS_VERSION = 1;
+// Where the history lived before there were multiple conversations
+const LEGACY_HISTORY_KEY = "conversation-history";
+const DEFAULT_TITLE = "New conversation";
+const MAX_TITLE_LENGTH = 80;
+
+export class SessionManager extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {import('./storage.js').TauriDocumentStore} [options.store] - Defaults to createDocumentStore()
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store ?? createDocumentStore();
+    this.conversations = [];
+    this.activeId = null;
+    this.conversationIdCounter = 0;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  // ============================================================================
+  // LOADING AND SAVING
+  // ============================================================================
+
+  /**
+   * Load the stored conversations
+   * @returns {Promise<Conversation[]>}
+   */
+  async load() {
+    let document = null;
+    try {
+      document = await this.store.read(CONVERSATIONS_KEY);
+    } catch (error) {
+      console.error("❌ Failed to load conversations:", error);
+    }
+
+    this.conversations = this.validateDocument(document);
+    this.activeId = this.get(document?.active_id)?.id ?? null;
+
+    if (this.conversations.length === 0) {
+      // First start, or an upgrade from the single-conversation history
+      this.create({ historyKey: LEGACY_HISTORY_KEY });
+    }
+    if (!this.getActive()) {
+      this.activeId = this.list()[0]?.id ?? this.conversations[0].id;
+    }
+
+    console.log(`💬 Loaded ${this.conversations.length} conversations`);
+    this.emit('change', this.list({ includeArchived: true }));
+    return this.list({ includeArchived: true });
+  }
+
+  /**
+   * Queue a write of the conversation list
+   */
+  save() {
+    const document = {
+      version: CONVERSATIONS_VERSION,
+      active_id: this.activeId,
+      conversations: this.conversations.map(conversation => ({ ...conversation }))
+    };
+
+    this.pendingWrite = this.pendingWrite
+      .then(() => this.store.write(CONVERSATIONS_KEY, document))
+      .catch(error => console.error("❌ Failed to save conversations:", error));
+    return this.pendingWrite;
+  }
+
+  // ============================================================================
+  // CONVERSATIONS
+  // ============================================================================
+
+  /**
+   * Create a conversation
+   * @param {Object} [options]
+   * @param {string} [options.title]
+   * @param {string|null} [options.sessionId] - Brain session, can be set later
+   * @param {string} [options.historyKey] - Storage key for its messages
+   * @returns {Conversation}
+   */
+  create(options = {}) {
+    const id = this.generateConversationId();
+    const now = Date.now();
+    const conversation = {
+      id,
+      title: this.normalizeTitle(options.title) ?? DEFAULT_TITLE,
+      auto_title: !options.title,
+      session_id: options.sessionId ?? null,
+      history_key: options.historyKey ?? `conversation-${id}`,
+      archived: false,
+      created_at: now,
+      updated_at: now
+    };
+
+    this.conversations.push(conversation);
+    this.save();
+    this.emit('change', this.list({ includeArchived: true }));
+    return conversation;
+  }
+
+  /**
+   * Rename a conversation
+   * @returns {Conversation|null}
+   */
+  rename(id, title) {
+    const normalized = this.normalizeTitle(title);
+    if (!normalized) {
+      throw new Error("Conversation title cannot be empty");
+    }
+    return this.update(id, { title: normalized, auto_title: false });
+  }
+
+  /**
+   * Title a conversation after its first message, unless the user named it
+   */
+  autoTitle(id, text) {
+    const conversation = this.get(id);
+    if (!conversation?.auto_title) return conversation;
+
+    const title = this.normalizeTitle(text.replace(/\s+/g, " ").slice(0, 40));
+    return title ? this.update(id, { title, auto_title: false }) : conversation;
+  }
+
+  /**
+   * Archive or unarchive a conversation
+   */
+  setArchived(id, archived) {
+    return this.update(id, { archived: !!archived });
+  }
+
+  /**
+   * Remember which Brain session a conversation talks to
+   */
+  setSessionId(id, sessionId) {
+    return this.update(id, { session_id: sessionId });
+  }
+
+  /**
+   * Mark a conversation as recently used
+   */
+  touch(id) {
+    return this.update(id, { updated_at: Date.now() });
+  }
+
+  /**
+   * Remove a conversation; its history and Brain session are up to the caller
+   * @returns {Conversation|null} The removed conversation
+   */
+  remove(id) {
+    const index = this.conversations.findIndex(conversation => conversation.id === id);
+    if (index === -1) return null;
+
+    const [removed] = this.conversations.splice(index, 1);
+    if (this.activeId === id) {
+      this.activeId = null;
+    }
+
+    this.save();
+    this.emit('change', this.list({ includeArchived: true }));
+    return removed;
+  }
+
+  update(id, changes) {
+    const index = this.conversations.findIndex(conversation => conversation.id === id);
+    if (index === -1) return null;
+
+    this.conversations[index] = { ...this.conversations[index], ...changes, id };
+    this.save();
+    this.emit('change', this.list({ includeArchived: true }));
+    return this.conversations[index];
+  }
+
+  // ============================================================================
+  // ACTIVE CONVERSATION
+  // ============================================================================
+
+  /**
+   * Make a conversation the active one
+   * @returns {Conversation}
+   */
+  setActive(id) {
+    const conversation = this.get(id);
+    if (!conversation) {
+      throw new Error(`Unknown conversation: ${id}`);
+    }
+
+    this.activeId = id;
+    this.save();
+    this.emit('switch', conversation);
+    return conversation;
+  }
+
+  /**
+   * @returns {Conversation|null}
+   */
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  /**
+   * Open the stored history of a conversation
+   * @returns {HistoryStore}
+   */
+  createHistory(conversation) {
+    return new HistoryStore({ store: this.store, key: conversation.history_key });
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  /**
+   * @returns {Conversation|null}
+   */
+  get(id) {
+    if (!id) return null;
+    return this.conversations.find(conversation => conversation.id === id) ?? null;
+  }
+
+  /**
+   * Conversations, most recently used first
+   * @param {Object} [options]
+   * @param {boolean} [options.includeArchived]
+   * @returns {Conversation[]}
+   */
+  list(options = {}) {
+    return this.conversations
+      .filter(conversation => options.includeArchived || !conversation.archived)
+      .sort((a, b) => b.updated_at - a.updated_at);
+  }
+
+  get size() {
+    return this.conversations.length;
+  }
+
+  generateConversationId() {
+    return `conv_${Date.now().toString(36)}_${++this.conversationIdCounter}`;
+  }
+
+  normalizeTitle(title) {
+    if (typeof title !== 'string') return null;
+    const trimmed = title.trim().slice(0, MAX_TITLE_LENGTH);
+    return trimmed || null;
+  }
+
+  /**
+   * Keep only well-formed conversations from a stored document
+   */
+  validateDocument(document) {
+    if (!document || !Array.isArray(document.conversations)) return [];
+
+    return document.conversations.filter(conversation =>
+      conversation &&
+      typeof conversation.id === 'string' &&
+      typeof conversation.title === 'string' &&
+      typeof conversation.history_key === 'string'
+    ).map(conversation => ({
+      auto_title: false,
+      session_id: null,
+      archived: false,
+      created_at: Date.now(),
+      updated_at: Date.now(),
+      ...conversation
+    }));
+  }
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} Conversation
+ * @property {string} id
+ * @property {string} title
+ * @property {boolean} auto_title - Still waiting to be named after its first message
+ * @property {string|null} session_id - Brain session
+ * @property {string} history_key - Storage key of its HistoryStore
+ * @property {boolean} archived
+ * @property {number} created_at
+ * @property {number} updated_at
+ */
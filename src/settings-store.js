@@ -0,0 +1,354 @@
+/**
+ * SETTINGS STORE
+ * Every user setting in one versioned document
+ *
+ * Settings are grouped in sections, each with defaults and a normalizer that
+ * clamps or replaces invalid values, so a hand-edited or older file never
+ * breaks the app. The document is persisted through the DocumentStore (a JSON
+ * file in the app data folder inside the desktop app). Changes are emitted per
+ * section, so the app can apply them live.
+ *
+ * Settings that used to live in separate localStorage keys are adopted on the
+ * first start.
+ */
+
+import { createDocumentStore } from './storage.js';
+import { CAPTURE_SAMPLE_RATES, DEFAULT_CAPTURE_SETTINGS, normalizeCaptureSettings } from './audio-input.js';
+import { BIT_DEPTHS, SAVE_FORMATS } from './audio-encoder.js';
+import { DEFAULT_VAD_SETTINGS, normalizeVadSettings } from './voice-activity.js';
+import { DEFAULT_WAKE_WORD_SETTINGS, normalizeWakeWordSettings } from './wake-word.js';
+import { DEFAULT_SHORTCUT_SETTINGS, normalizeShortcutSettings } from './global-shortcuts.js';
+import { EventEmitter } from './helpers.js';
+
+const SETTINGS_KEY = "settings";
+export const SETTINGS_VERSION = 1;
+export const SETTINGS_FORMAT_ID = "juna-settings";
+
+// Coalesce bursts of changes (e.g. dragging a slider) into one write
+const SAVE_DELAY_MS = 300;
+
+export const TRANSPORT_CHOICES = ["auto", "tauri", "http", "mock"];
+export const BITRATE_CHOICES = [64000, 96000, 128000, 192000, 256000];
+
+/**
+ * Section name → defaults, normalizer, and keys that are data rather than
+ * preferences. Private keys are not exported and survive reset and import.
+ */
+const SECTIONS = {
+  general: {
+    defaults: {
+      notificationMs: 3000,
+      maxMessageLength: 500,
+      maxQueryLength: 10000
+    },
+    normalize: (values) => {
+      const maxQueryLength = clampInteger(values.maxQueryLength, 1000, 100000, 10000);
+      return {
+        notificationMs: clampInteger(values.notificationMs, 1000, 15000, 3000),
+        // A chat message must fit in one query
+        maxMessageLength: clampInteger(values.maxMessageLength, 50, maxQueryLength, 500),
+        maxQueryLength
+      };
+    }
+  },
+  recording: {
+    defaults: {
+      mimeType: "",
+      audioBitsPerSecond: 128000,
+      saveFormat: "original",
+      saveBitDepth: 16,
+      saveSampleRate: 0,
+      saveMono: false
+    },
+    normalize: (values) => ({
+      mimeType: typeof values.mimeType === "string" ? values.mimeType : "",
+      audioBitsPerSecond: BITRATE_CHOICES.includes(Number(values.audioBitsPerSecond))
+        ? Number(values.audioBitsPerSecond)
+        : 128000,
+      saveFormat: Object.hasOwn(SAVE_FORMATS, values.saveFormat) ? values.saveFormat : "original",
+      saveBitDepth: BIT_DEPTHS.includes(Number(values.saveBitDepth)) ? Number(values.saveBitDepth) : 16,
+      // 0 keeps the rate the microphone recorded at
+      saveSampleRate: CAPTURE_SAMPLE_RATES.includes(Number(values.saveSampleRate)) ? Number(values.saveSampleRate) : 0,
+      saveMono: values.saveMono === true
+    })
+  },
+  brain: {
+    defaults: { transport: "auto" },
+    normalize: (values) => ({
+      transport: TRANSPORT_CHOICES.includes(values.transport) ? values.transport : "auto"
+    })
+  },
+  speech: {
+    defaults: { voiceURI: "", rate: 1, pitch: 1 },
+    normalize: (values) => ({
+      voiceURI: typeof values.voiceURI === "string" ? values.voiceURI : "",
+      rate: clampNumber(values.rate, 0.5, 2, 1),
+      pitch: clampNumber(values.pitch, 0, 2, 1)
+    })
+  },
+  capture: { defaults: DEFAULT_CAPTURE_SETTINGS, normalize: normalizeCaptureSettings },
+  vad: { defaults: DEFAULT_VAD_SETTINGS, normalize: normalizeVadSettings },
+  wakeWord: {
+    defaults: DEFAULT_WAKE_WORD_SETTINGS,
+    normalize: normalizeWakeWordSettings,
+    // Voice features of the user's samples
+    private: ["templates"]
+  },
+  shortcuts: { defaults: DEFAULT_SHORTCUT_SETTINGS, normalize: normalizeShortcutSettings }
+};
+
+// Where settings were kept before the settings store
+const LEGACY_KEYS = {
+  capture: "juna.capture",
+  vad: "juna.vad",
+  wakeWord: "juna.wakeword",
+  shortcuts: "juna.shortcuts"
+};
+const LEGACY_TRANSPORT_KEY = "juna.transport";
+
+export class SettingsStore extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {import('./storage.js').TauriDocumentStore} [options.store] - Defaults to createDocumentStore()
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store ?? createDocumentStore();
+    this.values = defaultValues();
+    this.saveTimer = null;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Section names, in a stable order
+   * @returns {string[]}
+   */
+  sections() {
+    return Object.keys(SECTIONS);
+  }
+
+  /**
+   * Copy of one section's values
+   * @param {string} section
+   */
+  get(section) {
+    assertSection(section);
+    return structuredClone(this.values[section]);
+  }
+
+  // ============================================================================
+  // LOADING AND SAVING
+  // ============================================================================
+
+  /**
+   * Load the stored settings, adopting older localStorage settings once
+   * @returns {Promise<Object>} All sections
+   */
+  async load() {
+    let document = null;
+    try {
+      document = await this.store.read(SETTINGS_KEY);
+    } catch (error) {
+      console.error("❌ Failed to load settings:", error);
+    }
+
+    if (document) {
+      if (document.version > SETTINGS_VERSION) {
+        console.warn(`Settings were written by a newer version (${document.version}), keeping what is understood`);
+      }
+      this.values = normalizeValues(document.values ?? {});
+    } else {
+      this.values = normalizeValues(readLegacySettings());
+      try {
+        await this.store.write(SETTINGS_KEY, { version: SETTINGS_VERSION, values: structuredClone(this.values) });
+        clearLegacySettings();
+      } catch (error) {
+        console.error("❌ Failed to save settings:", error);
+      }
+    }
+
+    console.log("⚙️ Settings loaded");
+    return structuredClone(this.values);
+  }
+
+  /**
+   * Write the settings after a short delay
+   */
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+  }
+
+  /**
+   * Queue a write of the settings document now
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const document = { version: SETTINGS_VERSION, values: structuredClone(this.values) };
+    this.pendingWrite = this.pendingWrite
+      .then(() => this.store.write(SETTINGS_KEY, document))
+      .catch(error => console.error("❌ Failed to save settings:", error));
+    return this.pendingWrite;
+  }
+
+  // ============================================================================
+  // CHANGING SETTINGS
+  // ============================================================================
+
+  /**
+   * Change some values of a section
+   * @param {string} section
+   * @param {Object} changes
+   * @returns {Object} The section's values after normalizing
+   */
+  set(section, changes) {
+    assertSection(section);
+    this.replace(section, { ...this.values[section], ...changes });
+    this.scheduleSave();
+    return this.get(section);
+  }
+
+  /**
+   * Back to defaults, for one section or all of them. Private data such
+   * as wake word samples is kept.
+   * @param {string} [section]
+   */
+  reset(section) {
+    const sections = section ? [section] : this.sections();
+    sections.forEach(name => {
+      assertSection(name);
+      this.replace(name, { ...structuredClone(SECTIONS[name].defaults), ...this.privateValues(name) });
+    });
+    this.save();
+  }
+
+  replace(section, values) {
+    const previous = this.values[section];
+    const normalized = SECTIONS[section].normalize(values);
+    if (JSON.stringify(normalized) === JSON.stringify(previous)) return;
+
+    this.values[section] = normalized;
+    this.emit('change', { section, values: structuredClone(normalized) });
+  }
+
+  privateValues(section) {
+    const privateKeys = SECTIONS[section].private ?? [];
+    return Object.fromEntries(privateKeys.map(key => [key, this.values[section][key]]));
+  }
+
+  // ============================================================================
+  // IMPORT AND EXPORT
+  // ============================================================================
+
+  /**
+   * Settings as a JSON document, without private data
+   * @returns {string}
+   */
+  export() {
+    const values = {};
+    for (const section of this.sections()) {
+      values[section] = this.get(section);
+      (SECTIONS[section].private ?? []).forEach(key => delete values[section][key]);
+    }
+
+    return JSON.stringify({
+      format: SETTINGS_FORMAT_ID,
+      version: SETTINGS_VERSION,
+      exported_at: new Date().toISOString(),
+      values
+    }, null, 2);
+  }
+
+  /**
+   * Replace the settings with an exported document. Sections missing from
+   * the file are reset to their defaults.
+   * @param {string} text - Contents of an export
+   * @param {string} [source] - Name used in error messages
+   */
+  import(text, source = "File") {
+    let document;
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${source} is not valid JSON: ${error.message}`);
+    }
+    if (!document || typeof document !== 'object' || document.format !== SETTINGS_FORMAT_ID) {
+      throw new Error(`${source} is not a Juna settings export`);
+    }
+    if (typeof document.version !== 'number' || document.version > SETTINGS_VERSION) {
+      throw new Error(`${source} uses an unsupported settings version (${document.version})`);
+    }
+    if (!document.values || typeof document.values !== 'object') {
+      throw new Error(`${source} has no settings`);
+    }
+
+    for (const section of this.sections()) {
+      const imported = isPlainObject(document.values[section]) ? document.values[section] : {};
+      this.replace(section, {
+        ...structuredClone(SECTIONS[section].defaults),
+        ...imported,
+        ...this.privateValues(section)
+      });
+    }
+    this.save();
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function defaultValues() {
+  return normalizeValues({});
+}
+
+function normalizeValues(values) {
+  const normalized = {};
+  for (const [section, { defaults, normalize }] of Object.entries(SECTIONS)) {
+    const saved = isPlainObject(values[section]) ? values[section] : {};
+    normalized[section] = normalize({ ...structuredClone(defaults), ...saved });
+  }
+  return normalized;
+}
+
+function readLegacySettings() {
+  const values = {};
+  try {
+    for (const [section, key] of Object.entries(LEGACY_KEYS)) {
+      const saved = JSON.parse(window.localStorage?.getItem(key) ?? "null");
+      if (saved) values[section] = saved;
+    }
+    const transport = window.localStorage?.getItem(LEGACY_TRANSPORT_KEY);
+    if (transport) values.brain = { transport };
+  } catch (error) {
+    console.warn("Ignoring invalid legacy settings:", error);
+  }
+  return values;
+}
+
+function clearLegacySettings() {
+  [...Object.values(LEGACY_KEYS), LEGACY_TRANSPORT_KEY].forEach(key => {
+    window.localStorage?.removeItem(key);
+  });
+}
+
+function assertSection(section) {
+  if (!SECTIONS[section]) {
+    throw new Error(`Unknown settings section: ${section}`);
+  }
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+function clampInteger(value, min, max, fallback) {
+  return Math.round(clampNumber(value, min, max, fallback));
+}
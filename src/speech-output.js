@@ -0,0 +1,253 @@
+/**
+ * SPEECH OUTPUT MODULE
+ * Reads Juna's responses aloud using the platform speech synthesizer
+ *
+ * Only voices installed on the device (localService) are offered, so spoken
+ * replies keep working without a network connection.
+ */
+
+import { EventEmitter } from './helpers.js';
+
+// Chromium-based engines stop long utterances after ~15 seconds, so long
+// responses are spoken sentence by sentence
+const MAX_UTTERANCE_LENGTH = 200;
+// Engines without any voices (common with WebKitGTK on Linux) never fire
+// voiceschanged, so stop waiting for the voice list after this long
+const VOICES_TIMEOUT_MS = 1000;
+
+export class SpeechOutput extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.synth = window.speechSynthesis ?? null;
+    this.voiceURI = options.voiceURI ?? null;
+    this.rate = options.rate ?? 1;
+    this.pitch = options.pitch ?? 1;
+    this.queue = [];
+    this.speaking = false;
+    // Bumped by stop(), so a reply still waiting for voices is dropped
+    this.generation = 0;
+    this.voicesReady = this.loadVoices();
+  }
+
+  // ============================================================================
+  // VOICES
+  // ============================================================================
+
+  /**
+   * Check whether speech synthesis is supported
+   */
+  isSupported() {
+    return !!this.synth;
+  }
+
+  /**
+   * Resolve once the synthesizer has published its voice list, or with
+   * whatever it has after VOICES_TIMEOUT_MS
+   */
+  loadVoices() {
+    if (!this.synth) return Promise.resolve([]);
+
+    return new Promise(resolve => {
+      const voices = this.synth.getVoices();
+      if (voices.length > 0) {
+        resolve(voices);
+        return;
+      }
+
+      const done = () => {
+        clearTimeout(timeout);
+        this.synth.removeEventListener("voiceschanged", done);
+        resolve(this.synth.getVoices());
+      };
+      const timeout = setTimeout(done, VOICES_TIMEOUT_MS);
+      this.synth.addEventListener("voiceschanged", done);
+    });
+  }
+
+  /**
+   * Get the offline voices available on this device
+   * @returns {Promise<SpeechSynthesisVoice[]>}
+   */
+  async getVoices() {
+    if (!this.synth) return [];
+    await this.voicesReady;
+    // Read again, voices may have been installed after the timeout
+    return this.synth.getVoices().filter(voice => voice.localService);
+  }
+
+  /**
+   * Select the voice used for new utterances (null = system default)
+   */
+  setVoice(voiceURI) {
+    this.voiceURI = voiceURI || null;
+  }
+
+  /**
+   * Set speaking rate (0.5 - 2)
+   */
+  setRate(rate) {
+    this.rate = clamp(Number(rate) || 1, 0.5, 2);
+  }
+
+  /**
+   * Set voice pitch (0 - 2)
+   */
+  setPitch(pitch) {
+    this.pitch = clamp(Number(pitch) || 1, 0, 2);
+  }
+
+  // ============================================================================
+  // PLAYBACK
+  // ============================================================================
+
+  /**
+   * Speak text aloud, interrupting anything currently being spoken
+   * @param {string} text
+   */
+  async speak(text) {
+    if (!this.synth || !text || typeof text !== "string") return;
+
+    this.stop();
+    const generation = this.generation;
+
+    const voices = await this.getVoices();
+    // stop() or a newer reply came in while waiting for the voices
+    if (generation !== this.generation) return;
+
+    const voice = voices.find(v => v.voiceURI === this.voiceURI) ?? voices[0] ?? null;
+    if (!voice) {
+      console.warn("🔇 No offline voice installed, skipping spoken reply");
+      return;
+    }
+
+    this.queue = splitIntoChunks(text, MAX_UTTERANCE_LENGTH).map(chunk => {
+      const utterance = new SpeechSynthesisUtterance(chunk);
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+      utterance.rate = this.rate;
+      utterance.pitch = this.pitch;
+      return utterance;
+    });
+
+    this.speaking = true;
+    this.emit("start", { text });
+    this.speakNext();
+  }
+
+  /**
+   * Speak the next queued utterance
+   */
+  speakNext() {
+    const utterance = this.queue.shift();
+    if (!utterance) {
+      this.finish();
+      return;
+    }
+
+    // Events of an utterance cancelled by stop() can arrive after the next reply started
+    const generation = this.generation;
+    utterance.onend = () => {
+      if (generation !== this.generation) return;
+      if (this.speaking) this.speakNext();
+    };
+    utterance.onerror = (event) => {
+      if (generation !== this.generation) return;
+      // "interrupted"/"canceled" are the result of stop(), not failures
+      if (event.error !== "interrupted" && event.error !== "canceled") {
+        console.error("Speech synthesis failed:", event.error);
+        this.emit("error", { error: event.error });
+      }
+      this.finish();
+    };
+
+    this.synth.speak(utterance);
+  }
+
+  /**
+   * Stop speaking immediately
+   */
+  stop() {
+    if (!this.synth) return;
+
+    const wasSpeaking = this.speaking;
+    this.generation++;
+    this.queue = [];
+    this.speaking = false;
+    this.synth.cancel();
+
+    if (wasSpeaking) {
+      this.emit("end", { interrupted: true });
+    }
+  }
+
+  /**
+   * Mark the current reply as finished
+   */
+  finish() {
+    if (!this.speaking) return;
+    this.speaking = false;
+    this.queue = [];
+    this.emit("end", { interrupted: false });
+  }
+
+  /**
+   * Check whether a reply is currently being spoken
+   */
+  isSpeaking() {
+    return this.speaking;
+  }
+
+  // ============================================================================
+  // CLEANUP
+  // ============================================================================
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this.stop();
+    this.eventHandlers.clear();
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Split text at sentence boundaries into chunks of at most maxLength characters
+ */
+function splitIntoChunks(text, maxLength) {
+  const sentences = text.replace(/\s+/g, " ").trim().match(/[^.!?]+[.!?]*\s*/g) ?? [];
+  const chunks = [];
+  let current = "";
+
+  for (const sentence of sentences) {
+    if ((current + sentence).length > maxLength && current) {
+      chunks.push(current.trim());
+      current = "";
+    }
+
+    if (sentence.length > maxLength) {
+      // Very long sentence: fall back to splitting on word boundaries
+      for (const word of sentence.split(" ")) {
+        if ((current + word).length > maxLength && current) {
+          chunks.push(current.trim());
+          current = "";
+        }
+        current += `${word} `;
+      }
+    } else {
+      current += sentence;
+    }
+  }
+
+  if (current.trim()) {
+    chunks.push(current.trim());
+  }
+  return chunks;
+}
@@ -0,0 +1,66 @@
+/**
+ * DOCUMENT STORAGE
+ * Persists small JSON documents on this machine
+ *
+ * Inside the desktop app documents are JSON files in the app data folder:
+ * - storage_read(key) → value | null
+ * - storage_write(key, value)
+ * - storage_delete(key)
+ *
+ * In a plain browser (mock or HTTP Brain) they fall back to localStorage.
+ */
+
+import { invoke, isTauri } from './tauri-api.js';
+
+const LOCAL_STORAGE_PREFIX = "juna.store.";
+
+// ============================================================================
+// TAURI FILES
+// ============================================================================
+
+export class TauriDocumentStore {
+  async read(key) {
+    return invoke("storage_read", { key });
+  }
+
+  async write(key, value) {
+    await invoke("storage_write", { key, value });
+  }
+
+  async delete(key) {
+    await invoke("storage_delete", { key });
+  }
+}
+
+// ============================================================================
+// BROWSER FALLBACK
+// ============================================================================
+
+export class LocalDocumentStore {
+  async read(key) {
+    const raw = window.localStorage.getItem(LOCAL_STORAGE_PREFIX + key);
+    if (raw === null) return null;
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn(`Stored document ${key} is not valid JSON, ignoring it`);
+      return null;
+    }
+  }
+
+  async write(key, value) {
+    window.localStorage.setItem(LOCAL_STORAGE_PREFIX + key, JSON.stringify(value));
+  }
+
+  async delete(key) {
+    window.localStorage.removeItem(LOCAL_STORAGE_PREFIX + key);
+  }
+}
+
+/**
+ * Pick the document store for the current environment
+ */
+export function createDocumentStore() {
+  return isTauri() ? new TauriDocumentStore() : new LocalDocumentStore();
+}
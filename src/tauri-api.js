@@ -0,0 +1,59 @@
+/**
+ * TAURI API LOADER
+ * Lazy access to the Tauri IPC API
+ *
+ * The frontend is served from src/ without a bundler, so the API comes from
+ * the window.__TAURI__ global that `withGlobalTauri` injects into the app.
+ * It is looked up on first use instead of at module load, so the frontend
+ * still starts in a plain browser (e.g. against the mock Brain).
+ */
+
+/**
+ * Check whether the page runs inside the Tauri webview
+ */
+export function isTauri() {
+  return typeof window !== "undefined" && !!(window.__TAURI_INTERNALS__ || window.__TAURI__);
+}
+
+/**
+ * Load the Tauri invoke/listen functions
+ * @returns {Promise<{ invoke: Function, listen: Function }>}
+ */
+export async function loadTauriApi() {
+  const tauri = typeof window !== "undefined" ? window.__TAURI__ : undefined;
+  if (!tauri?.core?.invoke || !tauri?.event?.listen) {
+    throw new Error("Tauri API unavailable - is withGlobalTauri enabled?");
+  }
+  return {
+    invoke: tauri.core.invoke,
+    listen: tauri.event.listen
+  };
+}
+
+/**
+ * Invoke a Tauri command
+ */
+export async function invoke(command, args) {
+  const api = await loadTauriApi();
+  return api.invoke(command, args);
+}
+
+/**
+ * Listen for a Tauri event
+ * @returns {Promise<Function>} Unlisten function
+ */
+export async function listen(eventName, handler) {
+  const api = await loadTauriApi();
+  return api.listen(eventName, handler);
+}
+
+/**
+ * Open a URL in the system browser, or a new tab outside the app
+ */
+export async function openExternalUrl(url) {
+  if (!isTauri()) {
+    window.open(url, "_blank", "noopener,noreferrer");
+    return;
+  }
+  await invoke("plugin:opener|open_url", { url });
+}
@@ -0,0 +1,234 @@
+/**
+ * TRANSCRIBER MODULE
+ * Speech-to-text for recorded voice messages
+ *
+ * Engines implement the small Transcriber interface and are registered in a
+ * TranscriberRegistry, so the UI never depends on a specific backend.
+ *
+ * Built-in engine:
+ * - LocalWhisperTranscriber → transcribe_audio(samples: i16[], sample_rate: u32, language?: string) → Transcript
+ *   Runs a Whisper model inside the Tauri process, no network required.
+ */
+
+import { invoke, isTauri } from './tauri-api.js';
+
+// Whisper models are trained on 16kHz mono audio
+const WHISPER_SAMPLE_RATE = 16000;
+
+// ============================================================================
+// TRANSCRIBER INTERFACE
+// ============================================================================
+
+/**
+ * Base class for speech-to-text engines
+ */
+export class Transcriber {
+  /**
+   * Unique engine identifier
+   * @returns {string}
+   */
+  get id() {
+    throw new Error("Transcriber.id must be implemented");
+  }
+
+  /**
+   * Human readable engine name
+   * @returns {string}
+   */
+  get name() {
+    return this.id;
+  }
+
+  /**
+   * Check whether the engine can transcribe right now
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    return false;
+  }
+
+  /**
+   * Transcribe a recorded audio blob
+   * @param {Blob} audioBlob - MediaRecorder output
+   * @returns {Promise<Transcript>}
+   */
+  async transcribe(audioBlob) {
+    throw new Error("Transcriber.transcribe must be implemented");
+  }
+}
+
+// ============================================================================
+// LOCAL WHISPER ENGINE
+// ============================================================================
+
+/**
+ * Offline transcription through the Whisper model bundled with the Tauri backend
+ */
+export class LocalWhisperTranscriber extends Transcriber {
+  constructor(options = {}) {
+    super();
+    this.language = options.language ?? null;
+  }
+
+  get id() {
+    return "local-whisper";
+  }
+
+  get name() {
+    return "Whisper (offline)";
+  }
+
+  async isAvailable() {
+    if (!isTauri()) return false;
+
+    try {
+      const status = await invoke("transcriber_status");
+      return !!status?.available;
+    } catch (error) {
+      console.warn("Local transcriber unavailable:", error);
+      return false;
+    }
+  }
+
+  async transcribe(audioBlob) {
+    if (!(audioBlob instanceof Blob) || audioBlob.size === 0) {
+      throw new Error("Audio must be a non-empty Blob");
+    }
+
+    const samples = await decodeToMonoPcm(audioBlob, WHISPER_SAMPLE_RATE);
+
+    console.log(`📝 Transcribing ${samples.length} samples with ${this.name}`);
+    const transcript = await invoke("transcribe_audio", {
+      samples: Array.from(samples),
+      sampleRate: WHISPER_SAMPLE_RATE,
+      language: this.language
+    });
+
+    return validateTranscript(transcript, this.id);
+  }
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Keeps track of the available engines and which one is active
+ */
+export class TranscriberRegistry {
+  constructor() {
+    this.transcribers = new Map();
+    this.activeId = null;
+  }
+
+  /**
+   * Register an engine; the first registered engine becomes active
+   */
+  register(transcriber) {
+    if (!(transcriber instanceof Transcriber)) {
+      throw new Error("Only Transcriber instances can be registered");
+    }
+
+    this.transcribers.set(transcriber.id, transcriber);
+    if (!this.activeId) {
+      this.activeId = transcriber.id;
+    }
+  }
+
+  /**
+   * Switch the active engine
+   */
+  setActive(id) {
+    if (!this.transcribers.has(id)) {
+      throw new Error(`Unknown transcriber: ${id}`);
+    }
+    this.activeId = id;
+  }
+
+  /**
+   * Get the active engine
+   * @returns {Transcriber|null}
+   */
+  getActive() {
+    return this.transcribers.get(this.activeId) ?? null;
+  }
+
+  /**
+   * List registered engines
+   */
+  list() {
+    return Array.from(this.transcribers.values()).map(transcriber => ({
+      id: transcriber.id,
+      name: transcriber.name,
+      active: transcriber.id === this.activeId
+    }));
+  }
+}
+
+// ============================================================================
+// AUDIO HELPERS
+// ============================================================================
+
+/**
+ * Decode a compressed recording into 16-bit mono PCM at the given sample rate
+ * @param {Blob} audioBlob
+ * @param {number} sampleRate
+ * @returns {Promise<Int16Array>}
+ */
+async function decodeToMonoPcm(audioBlob, sampleRate) {
+  const arrayBuffer = await audioBlob.arrayBuffer();
+
+  const decodeContext = new AudioContext();
+  let decoded;
+  try {
+    decoded = await decodeContext.decodeAudioData(arrayBuffer);
+  } finally {
+    decodeContext.close();
+  }
+
+  // OfflineAudioContext handles both resampling and the mono downmix
+  const frameCount = Math.ceil(decoded.duration * sampleRate);
+  const offlineContext = new OfflineAudioContext(1, frameCount, sampleRate);
+  const source = offlineContext.createBufferSource();
+  source.buffer = decoded;
+  source.connect(offlineContext.destination);
+  source.start();
+
+  const rendered = await offlineContext.startRendering();
+  const floatSamples = rendered.getChannelData(0);
+
+  const pcm = new Int16Array(floatSamples.length);
+  for (let i = 0; i < floatSamples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, floatSamples[i]));
+    pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+  }
+  return pcm;
+}
+
+/**
+ * Validate Transcript structure
+ */
+function validateTranscript(transcript, engineId) {
+  if (!transcript || typeof transcript !== "object") {
+    throw new Error("Invalid transcript structure");
+  }
+
+  return {
+    text: (transcript.text ?? "").trim(),
+    language: transcript.language ?? null,
+    duration_ms: transcript.duration_ms ?? 0,
+    engine: transcript.engine ?? engineId
+  };
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} Transcript
+ * @property {string} text
+ * @property {string|null} language
+ * @property {number} duration_ms
+ * @property {string} engine
+ */
@@ -0,0 +1,189 @@
+/**
+ * VOICE ACTIVITY DETECTION
+ * Notices when the user starts talking and when they have finished
+ *
+ * The microphone level is measured as RMS in dBFS. Speech starts once the
+ * level stays above the threshold for minSpeechMs, and ends after
+ * silenceMs below it. A timer is used instead of requestAnimationFrame so
+ * detection keeps running while the window is in the background.
+ */
+
+import { EventEmitter } from './helpers.js';
+
+const POLL_INTERVAL_MS = 50;
+// Quieter than any real microphone, used for digital silence
+const MIN_LEVEL_DB = -100;
+
+export const DEFAULT_VAD_SETTINGS = {
+  enabled: false,
+  thresholdDb: -45,
+  silenceMs: 1500,
+  minSpeechMs: 200,
+  noSpeechTimeoutMs: 10000
+};
+
+export const VAD_SETTINGS_LIMITS = {
+  thresholdDb: { min: -70, max: -20 },
+  silenceMs: { min: 500, max: 5000 },
+  minSpeechMs: { min: 50, max: 1000 },
+  noSpeechTimeoutMs: { min: 3000, max: 60000 }
+};
+
+export class VoiceActivityDetector extends EventEmitter {
+  /**
+   * @param {Partial<VadSettings>} [settings]
+   */
+  constructor(settings = {}) {
+    super();
+    this.settings = normalizeVadSettings(settings);
+    this.audioContext = null;
+    this.source = null;
+    this.analyser = null;
+    this.samples = null;
+    this.pollTimer = null;
+    this.resetState();
+  }
+
+  resetState() {
+    this.level = MIN_LEVEL_DB;
+    this.speaking = false;
+    this.startedAt = 0;
+    this.aboveSince = null;
+    this.belowSince = null;
+  }
+
+  /**
+   * Change thresholds, also while listening
+   * @param {Partial<VadSettings>} changes
+   * @returns {VadSettings}
+   */
+  configure(changes) {
+    this.settings = normalizeVadSettings({ ...this.settings, ...changes });
+    return this.settings;
+  }
+
+  get isActive() {
+    return this.pollTimer !== null;
+  }
+
+  // ============================================================================
+  // LISTENING
+  // ============================================================================
+
+  /**
+   * Start watching a microphone stream
+   * @param {MediaStream} stream
+   */
+  async start(stream) {
+    this.stop();
+
+    const context = new AudioContext();
+    this.audioContext = context;
+    this.source = context.createMediaStreamSource(stream);
+    this.analyser = context.createAnalyser();
+    this.analyser.fftSize = 2048;
+    this.samples = new Float32Array(this.analyser.fftSize);
+    this.source.connect(this.analyser);
+
+    // Contexts created without a user gesture start suspended
+    if (context.state === "suspended") {
+      try {
+        await context.resume();
+      } catch (error) {
+        if (this.audioContext === context) throw error;
+      }
+    }
+    // stop() was called while resuming
+    if (this.audioContext !== context) return;
+
+    this.resetState();
+    this.startedAt = Date.now();
+    this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.source?.disconnect();
+    this.audioContext?.close().catch(() => {});
+    this.audioContext = null;
+    this.source = null;
+    this.analyser = null;
+  }
+
+  poll() {
+    this.analyser.getFloatTimeDomainData(this.samples);
+    this.level = measureLevel(this.samples);
+    this.emit("level", { level: this.level, speaking: this.speaking });
+
+    const now = Date.now();
+    const { thresholdDb, minSpeechMs, silenceMs, noSpeechTimeoutMs } = this.settings;
+
+    if (this.level >= thresholdDb) {
+      this.belowSince = null;
+      this.aboveSince ??= now;
+      if (!this.speaking && now - this.aboveSince >= minSpeechMs) {
+        this.speaking = true;
+        this.emit("speech_start", { level: this.level });
+      }
+      return;
+    }
+
+    this.aboveSince = null;
+    this.belowSince ??= now;
+    if (this.speaking && now - this.belowSince >= silenceMs) {
+      // One utterance per start(), the caller decides what happens next
+      this.stop();
+      this.emit("speech_end", { durationMs: now - this.startedAt });
+    } else if (!this.speaking && now - this.startedAt >= noSpeechTimeoutMs) {
+      this.stop();
+      this.emit("no_speech", {});
+    }
+  }
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Clamp every threshold to VAD_SETTINGS_LIMITS
+ * @returns {VadSettings}
+ */
+export function normalizeVadSettings(settings) {
+  const normalized = { enabled: settings.enabled === true };
+  for (const [key, { min, max }] of Object.entries(VAD_SETTINGS_LIMITS)) {
+    const value = Number(settings[key]);
+    normalized[key] = Number.isFinite(value)
+      ? Math.min(max, Math.max(min, value))
+      : DEFAULT_VAD_SETTINGS[key];
+  }
+  return normalized;
+}
+
+/**
+ * RMS level of a block of samples in dBFS
+ */
+function measureLevel(samples) {
+  let sum = 0;
+  for (const sample of samples) {
+    sum += sample * sample;
+  }
+  const rms = Math.sqrt(sum / samples.length);
+  return rms > 0 ? Math.max(MIN_LEVEL_DB, 20 * Math.log10(rms)) : MIN_LEVEL_DB;
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} VadSettings
+ * @property {boolean} enabled - Hands-free recording
+ * @property {number} thresholdDb - Level in dBFS that counts as speech
+ * @property {number} silenceMs - Silence after speech that ends the recording
+ * @property {number} minSpeechMs - How long the level must stay up to count as speech
+ * @property {number} noSpeechTimeoutMs - Give up if nobody speaks
+ */
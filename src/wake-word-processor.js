@@ -0,0 +1,38 @@
+/**
+ * WAKE WORD FRAME PROCESSOR
+ * AudioWorklet that hands microphone samples to the wake word detector
+ *
+ * Runs on the audio thread. Samples are posted in blocks of `hopSize` and
+ * the worklet keeps nothing once a block is sent.
+ */
+
+class WakeWordFrameProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.hopSize = options.processorOptions.hopSize;
+    this.block = new Float32Array(this.hopSize);
+    this.filled = 0;
+  }
+
+  process(inputs) {
+    const channel = inputs[0]?.[0];
+    if (!channel) return true;
+
+    let offset = 0;
+    while (offset < channel.length) {
+      const count = Math.min(this.hopSize - this.filled, channel.length - offset);
+      this.block.set(channel.subarray(offset, offset + count), this.filled);
+      this.filled += count;
+      offset += count;
+
+      if (this.filled === this.hopSize) {
+        this.port.postMessage(this.block, [this.block.buffer]);
+        this.block = new Float32Array(this.hopSize);
+        this.filled = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("wake-word-frames", WakeWordFrameProcessor);
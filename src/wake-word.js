@@ -0,0 +1,501 @@
+/**
+ * WAKE WORD DETECTOR
+ * Offline "Hey Juna" detection by comparing speech against recorded samples
+ *
+ * The user records a few samples of the phrase. Each is stored as MFCC
+ * features (a spectral fingerprint from which the audio cannot be played
+ * back), never as audio. While listening, the latest stretch of microphone
+ * features is compared against every sample with dynamic time warping, so
+ * speaking faster or slower still matches.
+ *
+ * Privacy: samples from the microphone are turned into features as they
+ * arrive and dropped; only the features of the last couple of seconds are
+ * kept in memory. The microphone is released before 'wake' is emitted, so a
+ * recording started from it never contains audio from before the wake word.
+ */
+
+import { EventEmitter } from './helpers.js';
+
+const WORKLET_URL = new URL('./wake-word-processor.js', import.meta.url);
+
+const MEL_BANDS = 24;
+const MFCC_COUNT = 12;
+const MIN_FREQUENCY = 100;
+const MAX_FREQUENCY = 4000;
+
+export const REQUIRED_SAMPLES = 3;
+const SAMPLE_DURATION_MS = 2000;
+// Quieter frames are never speech; louder ones within the range of a sample's peak are
+const SPEECH_FLOOR_DB = -55;
+const TRIM_RANGE_DB = 30;
+const TRIM_PADDING_FRAMES = 3;
+const MIN_SAMPLE_FRAMES = 15;
+const CHECK_EVERY_FRAMES = 3;
+// Sakoe-Chiba band, how far the time warping may stray from the diagonal
+const WARP_BAND_RATIO = 0.25;
+
+export const DEFAULT_WAKE_WORD_SETTINGS = {
+  enabled: false,
+  sensitivity: 0.5,
+  templates: []
+};
+
+const DEFAULT_AUDIO_CONSTRAINTS = {
+  audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true, channelCount: 1 }
+};
+
+export class WakeWordDetector extends EventEmitter {
+  /**
+   * @param {Partial<WakeWordSettings>} [settings]
+   * @param {Object} [options]
+   * @param {MediaStreamConstraints} [options.audioConstraints]
+   */
+  constructor(settings = {}, options = {}) {
+    super();
+    this.audioConstraints = options.audioConstraints ?? DEFAULT_AUDIO_CONSTRAINTS;
+    this.pipeline = null;
+    this.pipelineToken = 0;
+    this.frames = [];
+    this.framesSinceCheck = 0;
+    this.settings = normalizeWakeWordSettings(settings);
+    this.updateThreshold();
+  }
+
+  get isTrained() {
+    return this.settings.templates.length >= REQUIRED_SAMPLES;
+  }
+
+  get isListening() {
+    return this.pipeline?.mode === 'listen';
+  }
+
+  /**
+   * Change settings; samples are replaced with recordSample() and clearSamples()
+   * @param {Partial<WakeWordSettings>} changes
+   * @returns {WakeWordSettings}
+   */
+  configure(changes) {
+    this.settings = normalizeWakeWordSettings({ ...this.settings, ...changes, templates: this.settings.templates });
+    this.updateThreshold();
+    return this.settings;
+  }
+
+  /**
+   * Take over stored settings, samples included
+   * @param {WakeWordSettings} settings
+   */
+  restore(settings) {
+    this.settings = normalizeWakeWordSettings(settings);
+    this.updateThreshold();
+    return this.settings;
+  }
+
+  updateThreshold() {
+    // Calibrated on how far apart the user's own samples are
+    const { templates, sensitivity } = this.settings;
+    const distances = [];
+    for (let i = 0; i < templates.length; i++) {
+      for (let j = i + 1; j < templates.length; j++) {
+        distances.push(dtwDistance(templates[i], templates[j]));
+      }
+    }
+    const spread = distances.length
+      ? distances.reduce((sum, distance) => sum + distance, 0) / distances.length
+      : 0;
+    this.threshold = spread * (0.75 + sensitivity);
+  }
+
+  // ============================================================================
+  // LISTENING
+  // ============================================================================
+
+  /**
+   * Listen for the wake word until stop() or a detection
+   */
+  async start() {
+    if (!this.isTrained) {
+      throw new Error(`Record ${REQUIRED_SAMPLES} samples of the wake word first`);
+    }
+    if (this.pipeline) return;
+
+    this.frames = [];
+    this.framesSinceCheck = 0;
+    if (await this.openPipeline('listen', (frame) => this.detect(frame))) {
+      console.log("👂 Listening for the wake word");
+      this.emit('state', { listening: true });
+    }
+  }
+
+  /**
+   * Release the microphone and forget everything heard
+   */
+  stop() {
+    const wasListening = this.isListening;
+    this.pipelineToken++;
+    if (this.pipeline) {
+      closePipeline(this.pipeline);
+      this.pipeline = null;
+    }
+    this.frames = [];
+
+    if (wasListening) {
+      this.emit('state', { listening: false });
+    }
+  }
+
+  detect(frame) {
+    const maxLength = Math.max(...this.settings.templates.map(template => template.length));
+    this.frames.push(frame);
+    if (this.frames.length > maxLength) {
+      this.frames.shift();
+    }
+    if (++this.framesSinceCheck < CHECK_EVERY_FRAMES) return;
+    this.framesSinceCheck = 0;
+
+    let best = Infinity;
+    for (const template of this.settings.templates) {
+      if (this.frames.length < template.length) continue;
+
+      const window = this.frames.slice(-template.length);
+      const speechFrames = window.filter(item => item.level > SPEECH_FLOOR_DB).length;
+      if (speechFrames < template.length / 3) continue;
+
+      best = Math.min(best, dtwDistance(normalizeMean(window.map(item => item.features)), template));
+    }
+
+    if (best <= this.threshold) {
+      console.log(`👂 Wake word detected (distance ${best.toFixed(2)}, threshold ${this.threshold.toFixed(2)})`);
+      this.stop();
+      this.emit('wake', { distance: best });
+    }
+  }
+
+  // ============================================================================
+  // SAMPLES
+  // ============================================================================
+
+  /**
+   * Record one sample of the wake word; the user should say it right away
+   * @param {number} [durationMs]
+   * @returns {Promise<number>} How many samples are stored now
+   */
+  async recordSample(durationMs = SAMPLE_DURATION_MS) {
+    this.stop();
+
+    const captured = [];
+    if (!(await this.openPipeline('sample', (frame) => captured.push(frame)))) {
+      throw new Error("Sample recording was interrupted");
+    }
+    await new Promise(resolve => setTimeout(resolve, durationMs));
+    this.stop();
+
+    const template = trimToSpeech(captured);
+    if (!template) {
+      throw new Error("No speech heard - say the wake word clearly, close to the microphone");
+    }
+
+    const templates = [...this.settings.templates, roundFeatures(template)].slice(-REQUIRED_SAMPLES);
+    this.settings = { ...this.settings, templates };
+    this.updateThreshold();
+    return templates.length;
+  }
+
+  clearSamples() {
+    this.stop();
+    this.settings = { ...this.settings, templates: [] };
+    this.updateThreshold();
+  }
+
+  // ============================================================================
+  // AUDIO PIPELINE
+  // ============================================================================
+
+  /**
+   * Open the microphone and feed feature frames to onFrame
+   * @returns {Promise<boolean>} false if stop() was called meanwhile
+   */
+  async openPipeline(mode, onFrame) {
+    const token = ++this.pipelineToken;
+    const stream = await navigator.mediaDevices.getUserMedia(this.audioConstraints);
+    const context = new AudioContext();
+    const pipeline = { mode, stream, context, source: null, node: null };
+
+    try {
+      await context.audioWorklet.addModule(WORKLET_URL);
+      if (context.state === 'suspended') {
+        await context.resume();
+      }
+    } catch (error) {
+      closePipeline(pipeline);
+      throw error;
+    }
+
+    if (token !== this.pipelineToken) {
+      closePipeline(pipeline);
+      return false;
+    }
+
+    const extractor = new FeatureExtractor(context.sampleRate);
+    pipeline.source = context.createMediaStreamSource(stream);
+    pipeline.node = new AudioWorkletNode(context, 'wake-word-frames', {
+      processorOptions: { hopSize: extractor.hopSize }
+    });
+    pipeline.node.port.onmessage = (event) => {
+      const frame = extractor.process(event.data);
+      if (frame) onFrame(frame);
+    };
+
+    // Nodes only run while something pulls on them; a muted gain does
+    const mute = context.createGain();
+    mute.gain.value = 0;
+    pipeline.source.connect(pipeline.node).connect(mute).connect(context.destination);
+
+    this.pipeline = pipeline;
+    return true;
+  }
+}
+
+function closePipeline(pipeline) {
+  if (pipeline.node) {
+    pipeline.node.port.onmessage = null;
+    pipeline.node.disconnect();
+  }
+  pipeline.source?.disconnect();
+  pipeline.context.close().catch(() => {});
+  pipeline.stream.getTracks().forEach(track => track.stop());
+}
+
+// ============================================================================
+// FEATURES
+// ============================================================================
+
+/**
+ * Turns blocks of samples into MFCC frames with 50% overlap
+ */
+export class FeatureExtractor {
+  constructor(sampleRate) {
+    // About 20ms per frame at common microphone rates
+    this.fftSize = sampleRate > 32000 ? 1024 : 512;
+    this.hopSize = this.fftSize / 2;
+    this.previous = null;
+
+    this.window = Float32Array.from({ length: this.fftSize }, (_, i) =>
+      0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (this.fftSize - 1))
+    );
+    this.melFilters = createMelFilters(sampleRate, this.fftSize);
+    this.real = new Float64Array(this.fftSize);
+    this.imag = new Float64Array(this.fftSize);
+  }
+
+  /**
+   * @param {Float32Array} block - hopSize samples
+   * @returns {FeatureFrame|null} null until a full frame is available
+   */
+  process(block) {
+    const previous = this.previous;
+    this.previous = block;
+    if (!previous) return null;
+
+    let energy = 0;
+    for (let i = 0; i < this.hopSize; i++) {
+      this.real[i] = previous[i] * this.window[i];
+      this.real[i + this.hopSize] = block[i] * this.window[i + this.hopSize];
+      energy += block[i] * block[i];
+    }
+    this.imag.fill(0);
+    fft(this.real, this.imag);
+
+    const logMel = this.melFilters.map(({ start, weights }) => {
+      let sum = 0;
+      weights.forEach((weight, offset) => {
+        const bin = start + offset;
+        sum += weight * (this.real[bin] ** 2 + this.imag[bin] ** 2);
+      });
+      return Math.log(sum + 1e-10);
+    });
+
+    const rms = Math.sqrt(energy / this.hopSize);
+    return {
+      features: dct(logMel),
+      level: rms > 0 ? 20 * Math.log10(rms) : -100
+    };
+  }
+}
+
+function createMelFilters(sampleRate, fftSize) {
+  const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+  const toHz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+  const low = toMel(MIN_FREQUENCY);
+  const high = toMel(Math.min(MAX_FREQUENCY, sampleRate / 2));
+
+  const bins = Array.from({ length: MEL_BANDS + 2 }, (_, i) =>
+    Math.floor(((fftSize + 1) * toHz(low + ((high - low) * i) / (MEL_BANDS + 1))) / sampleRate)
+  );
+
+  return Array.from({ length: MEL_BANDS }, (_, band) => {
+    const [left, center, right] = [bins[band], bins[band + 1], bins[band + 2]];
+    const weights = [];
+    for (let bin = left; bin <= right; bin++) {
+      weights.push(bin <= center
+        ? (bin - left) / Math.max(1, center - left)
+        : (right - bin) / Math.max(1, right - center));
+    }
+    return { start: left, weights };
+  });
+}
+
+/**
+ * In-place radix-2 FFT
+ */
+function fft(real, imag) {
+  const n = real.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = real[b] * cos - imag[b] * sin;
+        const ti = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * Cepstral coefficients 1..MFCC_COUNT; c0 is loudness, which should not matter
+ */
+function dct(values) {
+  const n = values.length;
+  return Float32Array.from({ length: MFCC_COUNT }, (_, index) => {
+    const k = index + 1;
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+      sum += values[i] * Math.cos((Math.PI * k * (i + 0.5)) / n);
+    }
+    return sum;
+  });
+}
+
+/**
+ * Subtract the average, which removes the microphone's own coloring
+ */
+function normalizeMean(frames) {
+  const mean = new Float32Array(MFCC_COUNT);
+  frames.forEach(frame => frame.forEach((value, i) => { mean[i] += value / frames.length; }));
+  return frames.map(frame => frame.map((value, i) => value - mean[i]));
+}
+
+/**
+ * The spoken part of a recorded sample, mean-normalized
+ * @param {FeatureFrame[]} frames
+ * @returns {Float32Array[]|null} null when nothing was said
+ */
+function trimToSpeech(frames) {
+  const peak = Math.max(...frames.map(frame => frame.level));
+  if (peak < SPEECH_FLOOR_DB) return null;
+
+  const floor = Math.max(SPEECH_FLOOR_DB, peak - TRIM_RANGE_DB);
+  const first = frames.findIndex(frame => frame.level >= floor);
+  const last = frames.findLastIndex(frame => frame.level >= floor);
+  if (last - first + 1 < MIN_SAMPLE_FRAMES) return null;
+
+  const spoken = frames.slice(
+    Math.max(0, first - TRIM_PADDING_FRAMES),
+    Math.min(frames.length, last + TRIM_PADDING_FRAMES + 1)
+  );
+  return normalizeMean(spoken.map(frame => frame.features));
+}
+
+function roundFeatures(template) {
+  return template.map(frame => Array.from(frame, value => Math.round(value * 1000) / 1000));
+}
+
+/**
+ * Dynamic time warping distance, normalized by the path length
+ * @param {ArrayLike<number>[]} a
+ * @param {ArrayLike<number>[]} b
+ */
+export function dtwDistance(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const band = Math.max(Math.abs(n - m), Math.ceil(Math.max(n, m) * WARP_BAND_RATIO));
+
+  let previous = new Float64Array(m + 1).fill(Infinity);
+  let current = new Float64Array(m + 1);
+  previous[0] = 0;
+
+  for (let i = 1; i <= n; i++) {
+    current.fill(Infinity);
+    const from = Math.max(1, Math.round((i * m) / n) - band);
+    const to = Math.min(m, Math.round((i * m) / n) + band);
+    for (let j = from; j <= to; j++) {
+      let squared = 0;
+      for (let k = 0; k < a[i - 1].length; k++) {
+        squared += (a[i - 1][k] - b[j - 1][k]) ** 2;
+      }
+      current[j] = Math.sqrt(squared) + Math.min(previous[j], current[j - 1], previous[j - 1]);
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous[m] / (n + m);
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * @returns {WakeWordSettings}
+ */
+export function normalizeWakeWordSettings(settings) {
+  const sensitivity = Number(settings.sensitivity);
+  const templates = Array.isArray(settings.templates)
+    ? settings.templates.filter(template =>
+        Array.isArray(template) &&
+        template.length >= MIN_SAMPLE_FRAMES &&
+        template.every(frame => frame?.length === MFCC_COUNT && Array.from(frame).every(Number.isFinite))
+      )
+    : [];
+
+  return {
+    enabled: settings.enabled === true,
+    sensitivity: Number.isFinite(sensitivity)
+      ? Math.min(1, Math.max(0, sensitivity))
+      : DEFAULT_WAKE_WORD_SETTINGS.sensitivity,
+    templates: templates.slice(-REQUIRED_SAMPLES).map(template => template.map(frame => Array.from(frame)))
+  };
+}
+
+// ============================================================================
+// TYPE DEFINITIONS (for reference)
+// ============================================================================
+
+/**
+ * @typedef {Object} WakeWordSettings
+ * @property {boolean} enabled - Always listening for the wake word
+ * @property {number} sensitivity - 0 (strict) to 1 (lenient)
+ * @property {number[][][]} templates - Features of the recorded samples
+ */
+
+/**
+ * @typedef {Object} FeatureFrame
+ * @property {Float32Array} features - MFCC coefficients
+ * @property {number} level - Loudness in dBFS
+ */